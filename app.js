@@ -1,15 +1,28 @@
 import avvio from 'avvio'
 import { setTimeout } from 'node:timers/promises'
+import { computeBackoff } from './lib/retry.js'
 import init from './plugins/init.js'
 import env from './plugins/env.js'
 import metadata from './plugins/metadata.js'
+import localScaler from './plugins/local-scaler.js'
 import compliancy from './plugins/compliancy.js'
 import scheduler from './plugins/scheduler.js'
 import auth from './plugins/auth.js'
 import update from './plugins/update.js'
 import alert from './plugins/alerts.js'
+import serviceHistory from './plugins/service-history.js'
 import healthSignals from './plugins/health-signals.js'
 import flamegraphs from './plugins/flamegraphs.js'
+import status from './plugins/status.js'
+import shutdown from './plugins/shutdown.js'
+import admin from './plugins/admin.js'
+import probes from './plugins/probes.js'
+import outbox from './plugins/outbox.js'
+import circuitBreakers from './plugins/circuit-breakers.js'
+import commands from './plugins/commands.js'
+import configUpdates from './plugins/config-updates.js'
+import runtimeCommands from './plugins/runtime-commands.js'
+import logLevel from './plugins/log-level.js'
 
 async function buildApp (logger) {
   const app = {
@@ -21,26 +34,45 @@ async function buildApp (logger) {
   app
     .use(env)
     .use(auth)
+    .use(circuitBreakers)
     .use(init)
+    .use(outbox)
+    .use(commands)
+    .use(configUpdates)
+    .use(serviceHistory)
     .use(alert)
     .use(healthSignals)
     .use(metadata)
+    .use(localScaler)
+    .use(status)
     .use(compliancy)
     .use(scheduler)
     .use(update)
+    .use(runtimeCommands)
+    .use(logLevel)
     .use(flamegraphs)
+    .use(shutdown)
+    .use(admin)
+    .use(probes)
 
   await app.ready()
 
+  let iccInitialized = false
+  app.isICCInitialized = () => iccInitialized
+
   app.startRuntime = async function startRuntime () {
     app.log.info('Starting Runtime -app')
+    app.reportStatus('starting')
     try {
       app.log.info('Spawning the app')
-      await app.watt.spawn()
+      await app.watt.spawn({ beforeStart: app.enforceCompliance })
     } catch (err) {
       app.log.error(err, 'Failed to spawn the app')
+      app.reportStatus('stopped')
       throw new Error('Failed to spawn the app: ' + err.message)
     }
+    app.setupStatus()
+    app.reportStatus('started')
   }
 
   app.sendToICC = async function sendToICC () {
@@ -59,8 +91,13 @@ async function buildApp (logger) {
       }
       await app.connectToUpdates()
       await app.sendMetadata()
+      // Resend the lifecycle status, it may have been missed while ICC was unreachable
+      await app.reportStatus()
       await app.checkCompliancy()
       await app.sendSchedulerInfo()
+      iccInitialized = true
+      // Send what was queued while ICC was unreachable
+      app.replayOutbox()
     } catch (err) {
       app.log.error({ err }, 'Failed in sending data to ICC')
       throw err
@@ -74,12 +111,10 @@ async function buildApp (logger) {
       return
     }
 
-    const baseRetryInterval = Number(app.env.PLT_ICC_RETRY_TIME)
+    const baseRetryInterval = app.env.PLT_ICC_RETRY_TIME
     const maxRetryInterval = 60000 // Max retry interval: 1 minute
 
-    let currentRetryInterval = baseRetryInterval
     let retries = 0
-    let capReached = false
 
     while (true) {
       // Continue indefinitely
@@ -90,15 +125,11 @@ async function buildApp (logger) {
         logger.info('Successfully sent info to ICC after retry')
         return
       } catch (err) {
-        if (!capReached) {
-          const waitFor = 200 * Math.pow(2, retries)
-          if (waitFor >= maxRetryInterval) {
-            capReached = true
-            currentRetryInterval = maxRetryInterval
-          } else {
-            currentRetryInterval = waitFor
-          }
-        }
+        // Jittered, so that instances don't reconnect in lockstep when ICC restarts
+        const currentRetryInterval = computeBackoff(retries, {
+          baseDelay: baseRetryInterval,
+          maxDelay: maxRetryInterval
+        })
         logger.error(
           {
             err: err.message,
@@ -114,13 +145,21 @@ async function buildApp (logger) {
 
   app.close = async function close () {
     app.log.info('Closing runtime')
+    app.removeShutdownHandlers()
     if (app.cleanupFlamegraphs) {
       await app.cleanupFlamegraphs()
     }
+    await app.closeServiceHistory()
+    app.closeHealthSignals()
     if (app.watt.runtime) {
+      app.reportStatus('stopping')
       await app.watt.close()
+      await app.reportStatus('stopped')
     }
     await app.closeUpdates()
+    await app.closeOutbox()
+    await app.closeAdmin()
+    await app.closeProbes()
   }
 
   return app
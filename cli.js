@@ -7,6 +7,8 @@ import { readFileSync } from 'node:fs'
 import { start, logger } from './index.js'
 import { getSimpleBanner } from './lib/banner.js'
 import { applyStartArgs } from './lib/start-args.js'
+import { parseProfileArgs, downloadProfile } from './lib/profile-command.js'
+import { parseLogLevelArgs, setLogLevel } from './lib/log-level-command.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -48,6 +50,40 @@ async function startCommand (argv) {
   return true
 }
 
+// Handle profile command
+async function profileCommand (argv) {
+  const options = parseProfileArgs(argv)
+
+  if (options.help) {
+    helpMe.toStdout('profile')
+    return true
+  }
+
+  const { out, size, timestamp, preserved } = await downloadProfile(options)
+  logger.info(
+    { service: options.service, type: options.type, size, timestamp, preserved },
+    `Profile saved to ${out}`
+  )
+  return true
+}
+
+// Handle log-level command
+async function logLevelCommand (argv) {
+  const options = parseLogLevelArgs(argv)
+
+  if (options.help) {
+    helpMe.toStdout('log-level')
+    return true
+  }
+
+  const { target, level, previous, expiresAt } = await setLogLevel(options)
+  logger.info(
+    { target, level, previous, expiresAt: new Date(expiresAt).toISOString() },
+    `Log level of ${target} set to ${level}`
+  )
+  return true
+}
+
 // Handle help command
 function help (args) {
   // Make sure args exists and has the expected structure
@@ -57,6 +93,8 @@ function help (args) {
 
 // Register commands
 commistInstance.register('start', startCommand)
+commistInstance.register('profile', profileCommand)
+commistInstance.register('log-level', logLevelCommand)
 commistInstance.register('help', help)
 commistInstance.register('version', version)
 commistInstance.register('-h', help)
@@ -89,6 +127,16 @@ async function run () {
         return
       }
 
+      if (command === 'profile') {
+        await profileCommand(args.slice(1))
+        return
+      }
+
+      if (command === 'log-level') {
+        await logLevelCommand(args.slice(1))
+        return
+      }
+
       if (command === 'help') {
         // Handle the 'help' command with optional subcommand
         const subcommand = args[1]
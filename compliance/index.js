@@ -1,21 +1,43 @@
+import { isAbsolute, join } from 'node:path'
+import { RuleRegistry } from './registry.js'
 import dependenciesRule from './rules/dependencies.js'
+import { createLicensesRule } from './rules/licenses.js'
+import { createSbomRule } from './rules/sbom.js'
+import { createVulnerabilitiesRule } from './rules/vulnerabilities.js'
 
-const rules = {
-  npmDependencies: dependenciesRule
-}
+const builtinRules = [
+  dependenciesRule
+]
+
+// Registers the builtin rules, then the ones found in the rules
+// directory of the application (relative to the application directory).
+// The licenses rule is evaluated with the licenses lists ({ allow, deny }),
+// unless the rule options have their own.
+// The vulnerabilities rule needs an advisory database, so it's registered
+// only when advisoriesPath is set. The SBOMs are large, so the sbom rule is
+// registered only when sbom.enabled is set.
+async function createRuleRegistry ({ projectDir, rulesDir, licenses, advisoriesPath, sbom, logger }) {
+  const registry = new RuleRegistry({ logger })
 
-async function getCompliancyMetadata (config) {
-  const metadata = {}
+  for (const rule of builtinRules) {
+    registry.register(rule)
+  }
+  registry.register(createLicensesRule(licenses))
+  if (advisoriesPath) {
+    registry.register(createVulnerabilitiesRule({ advisoriesPath }))
+  }
+  if (sbom?.enabled) {
+    registry.register(createSbomRule({ outputDir: sbom.outputDir }))
+  }
 
-  await Promise.allSettled(
-    Object.keys(rules).map(async (ruleName) => {
-      metadata[ruleName] = await rules[ruleName](config)
-    })
-  )
+  if (projectDir && rulesDir) {
+    const dir = isAbsolute(rulesDir) ? rulesDir : join(projectDir, rulesDir)
+    await registry.loadDirectory(dir, 'application')
+  }
 
-  return metadata
+  return registry
 }
 
 export {
-  getCompliancyMetadata
+  createRuleRegistry
 }
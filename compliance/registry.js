@@ -0,0 +1,141 @@
+import { readdir } from 'node:fs/promises'
+import { basename, extname, join } from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { InvalidComplianceRuleError } from '../lib/errors.js'
+
+const ruleExtensions = new Set(['.js', '.mjs'])
+
+// A rule module default exports { name, label?, description?, collect, evaluate? }.
+// collect(context) returns the metadata of the rule, sent to ICC under its
+// name. The context has the projectDir, the runtime and a logger.
+// evaluate(metadata, options, context) returns the violations found in the
+// metadata, as [{ message, ... }]: the rules without it are not enforced.
+function validateRule (rule, source) {
+  if (typeof rule?.name !== 'string' || rule.name.length === 0) {
+    throw new InvalidComplianceRuleError(source, 'the name must be a non empty string')
+  }
+  if (typeof rule.collect !== 'function') {
+    throw new InvalidComplianceRuleError(rule.name, 'collect must be a function')
+  }
+  if (rule.evaluate !== undefined && typeof rule.evaluate !== 'function') {
+    throw new InvalidComplianceRuleError(rule.name, 'evaluate must be a function')
+  }
+}
+
+class RuleRegistry {
+  #rules = new Map()
+  #logger
+
+  constructor ({ logger }) {
+    this.#logger = logger
+  }
+
+  // The builtin rules cannot be replaced by the ones of the application
+  register (rule, source = 'builtin') {
+    validateRule(rule, source)
+
+    if (this.#rules.has(rule.name)) {
+      throw new InvalidComplianceRuleError(rule.name, `already registered by ${this.#rules.get(rule.name).source}`)
+    }
+    this.#rules.set(rule.name, { ...rule, source })
+  }
+
+  // Loads the rule modules of a directory, the invalid ones are skipped
+  async loadDirectory (dir, source) {
+    let files
+    try {
+      files = await readdir(dir)
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.#logger.error({ err, dir }, 'Failed to read the compliance rules directory')
+      }
+      return
+    }
+
+    for (const file of files.sort()) {
+      if (!ruleExtensions.has(extname(file))) continue
+
+      const path = join(dir, file)
+      try {
+        const { default: rule } = await import(pathToFileURL(path))
+        this.register(rule, `${source}:${basename(file)}`)
+        this.#logger.info({ rule: rule.name, path }, 'Compliance rule loaded')
+      } catch (err) {
+        this.#logger.error({ err, path }, 'Failed to load the compliance rule, skipping it')
+      }
+    }
+  }
+
+  get (name) {
+    return this.#rules.get(name)
+  }
+
+  list () {
+    return [...this.#rules.values()].map(({ name, label, description, source, evaluate }) => ({
+      name,
+      label: label ?? name,
+      description: description ?? null,
+      source,
+      enforceable: evaluate !== undefined
+    }))
+  }
+
+  // Runs all the rules, a failing rule doesn't prevent the others from
+  // reporting their metadata
+  async collect (context) {
+    const metadata = {}
+
+    await Promise.all([...this.#rules.values()].map(async (rule) => {
+      try {
+        metadata[rule.name] = await rule.collect({ ...context, logger: this.#logger })
+      } catch (err) {
+        this.#logger.error({ err, rule: rule.name }, 'Failed to collect the compliance rule metadata')
+      }
+    }))
+
+    return metadata
+  }
+
+  // Evaluates the enforceable rules that are not disabled in ruleConfigs
+  // ({ name: { enabled, options } }). A rule without metadata or that fails
+  // to evaluate is not compliant.
+  async evaluate (metadata, ruleConfigs, context) {
+    const results = []
+
+    for (const rule of this.#rules.values()) {
+      if (!rule.evaluate) continue
+
+      const { enabled = true, options = {} } = ruleConfigs[rule.name] ?? {}
+      if (!enabled) continue
+
+      const result = { name: rule.name, label: rule.label ?? rule.name, compliant: false, violations: [] }
+      results.push(result)
+
+      if (metadata[rule.name] === undefined) {
+        result.error = 'The metadata of the rule could not be collected'
+        continue
+      }
+
+      try {
+        result.violations = await rule.evaluate(metadata[rule.name], options, { ...context, logger: this.#logger }) ?? []
+        result.compliant = result.violations.length === 0
+      } catch (err) {
+        this.#logger.error({ err, rule: rule.name }, 'Failed to evaluate the compliance rule')
+        result.error = err.message
+      }
+    }
+
+    for (const name of Object.keys(ruleConfigs)) {
+      if (!this.#rules.get(name)?.evaluate) {
+        this.#logger.debug({ rule: name }, 'The compliance rule cannot be evaluated locally, skipping it')
+      }
+    }
+
+    return {
+      compliant: results.every(result => result.compliant),
+      rules: results
+    }
+  }
+}
+
+export { RuleRegistry }
@@ -0,0 +1,25 @@
+// Formats the result of RuleRegistry.evaluate for the logs and the console
+function formatComplianceReport (report) {
+  const lines = [`Compliance report: ${report.compliant ? 'compliant' : 'NOT compliant'}`]
+
+  if (report.rules.length === 0) {
+    lines.push('  No enforceable rules')
+  }
+
+  for (const rule of report.rules) {
+    const title = rule.label === rule.name ? rule.name : `${rule.label} (${rule.name})`
+    lines.push(`  [${rule.compliant ? 'PASS' : 'FAIL'}] ${title}`)
+
+    if (rule.error) {
+      lines.push(`    - ${rule.error}`)
+    }
+    for (const violation of rule.violations) {
+      const prefix = violation.application ? `${violation.application}: ` : ''
+      lines.push(`    - ${prefix}${violation.message}`)
+    }
+  }
+
+  return lines.join('\n')
+}
+
+export { formatComplianceReport }
@@ -73,4 +73,9 @@ async function parsePackageJson (packageJsonPath, attempt = 1) {
   }
 }
 
-export default getApplicationDependencies
+export default {
+  name: 'npmDependencies',
+  label: 'npm dependencies',
+  description: 'Declared and installed versions of the dependencies of the runtime and of its applications',
+  collect: getApplicationDependencies
+}
@@ -0,0 +1,98 @@
+import { readdir } from 'node:fs/promises'
+import { join } from 'node:path'
+import { readJson } from './utils.js'
+
+async function readEntries (dir) {
+  try {
+    return await readdir(dir, { withFileTypes: true })
+  } catch {
+    return []
+  }
+}
+
+// The license field is an SPDX expression, the deprecated
+// licenses field an array of { type } objects
+function getLicenses (packageJson) {
+  const licenses = [packageJson.license ?? packageJson.licenses ?? []].flat()
+  return licenses
+    .map(license => typeof license === 'string' ? license : license?.type)
+    .filter(Boolean)
+}
+
+function addPackage (packages, packageJson, props = {}) {
+  const { name, version } = packageJson
+  if (!name || !version) return
+
+  const key = `${name}@${version}`
+  if (!packages.has(key)) {
+    packages.set(key, { name, version, licenses: getLicenses(packageJson), ...props })
+  }
+}
+
+// Walks a node_modules directory with its nested ones, and the .pnpm
+// store where pnpm installs the transitive dependencies. The symlinked
+// packages (pnpm, workspaces) are listed, but not walked.
+async function walkNodeModules (dir, packages) {
+  for (const entry of await readEntries(dir)) {
+    const path = join(dir, entry.name)
+
+    if (entry.name === '.pnpm') {
+      for (const storeEntry of await readEntries(path)) {
+        if (storeEntry.isDirectory()) {
+          await walkNodeModules(join(path, storeEntry.name, 'node_modules'), packages)
+        }
+      }
+    } else if (entry.name.startsWith('.')) {
+      continue
+    } else if (entry.name.startsWith('@')) {
+      for (const scopedEntry of await readEntries(path)) {
+        await walkPackage(join(path, scopedEntry.name), scopedEntry, packages)
+      }
+    } else {
+      await walkPackage(path, entry, packages)
+    }
+  }
+}
+
+async function walkPackage (path, entry, packages) {
+  if (!entry.isDirectory() && !entry.isSymbolicLink()) return
+
+  const packageJson = await readJson(join(path, 'package.json'))
+  if (packageJson === null) return
+
+  addPackage(packages, packageJson)
+  if (entry.isDirectory()) {
+    await walkNodeModules(join(path, 'node_modules'), packages)
+  }
+}
+
+// Reads the packages of a package-lock.json (lockfileVersion 2 and 3),
+// used when the dependencies are not installed
+function readPackageLock (packageLock, packages) {
+  for (const [path, entry] of Object.entries(packageLock.packages ?? {})) {
+    if (path === '' || entry.link) continue
+
+    const name = entry.name ?? path.slice(path.lastIndexOf('node_modules/') + 'node_modules/'.length)
+    addPackage(packages, { ...entry, name }, entry.dev ? { dev: true } : {})
+  }
+}
+
+// Returns the installed packages of a project, transitive and dev ones
+// included, sorted by name and version: [{ name, version, licenses, dev? }].
+// They are read from the package-lock.json when node_modules is empty.
+// The pnpm-lock.yaml and yarn.lock lockfiles are not supported.
+async function listInstalledPackages (projectDir) {
+  const packages = new Map()
+  const nodeModules = join(projectDir, 'node_modules')
+  if ((await readEntries(nodeModules)).length > 0) {
+    await walkNodeModules(nodeModules, packages)
+  } else {
+    const packageLock = await readJson(join(projectDir, 'package-lock.json'))
+    if (packageLock !== null) readPackageLock(packageLock, packages)
+  }
+
+  return [...packages.values()]
+    .sort((a, b) => a.name.localeCompare(b.name) || a.version.localeCompare(b.version))
+}
+
+export { listInstalledPackages }
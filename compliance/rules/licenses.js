@@ -0,0 +1,207 @@
+import { listInstalledPackages } from './installed-packages.js'
+
+const licenseIds = [
+  '0BSD', 'AGPL-1.0-only', 'AGPL-1.0-or-later', 'AGPL-3.0-only', 'AGPL-3.0-or-later',
+  'Apache-1.1', 'Apache-2.0', 'Artistic-2.0', 'BlueOak-1.0.0', 'BSD-2-Clause',
+  'BSD-3-Clause', 'BSL-1.0', 'CC-BY-3.0', 'CC-BY-4.0', 'CC0-1.0', 'CDDL-1.0',
+  'EPL-1.0', 'EPL-2.0', 'EUPL-1.2', 'GPL-2.0-only', 'GPL-2.0-or-later',
+  'GPL-3.0-only', 'GPL-3.0-or-later', 'ISC', 'LGPL-2.0-only', 'LGPL-2.0-or-later',
+  'LGPL-2.1-only', 'LGPL-2.1-or-later', 'LGPL-3.0-only', 'LGPL-3.0-or-later',
+  'MIT', 'MIT-0', 'MPL-2.0', 'Python-2.0', 'SSPL-1.0', 'Unlicense', 'WTFPL', 'Zlib'
+]
+
+// The common spellings that are not SPDX ids, and the deprecated
+// ids of the GNU licenses
+const licenseAliases = {
+  'apache 2': 'Apache-2.0',
+  'apache 2.0': 'Apache-2.0',
+  'apache-2': 'Apache-2.0',
+  apache2: 'Apache-2.0',
+  'apache license 2.0': 'Apache-2.0',
+  'apache license, version 2.0': 'Apache-2.0',
+  'bsd-2': 'BSD-2-Clause',
+  'bsd-3': 'BSD-3-Clause',
+  'mit license': 'MIT',
+  'mpl 2.0': 'MPL-2.0',
+  'public domain': 'Unlicense',
+  agplv3: 'AGPL-3.0-only',
+  gplv2: 'GPL-2.0-only',
+  gplv3: 'GPL-3.0-only',
+  lgplv3: 'LGPL-3.0-only'
+}
+
+const canonicalIds = new Map(licenseIds.map(id => [id.toLowerCase(), id]))
+const operators = new Set(['AND', 'OR', 'WITH'])
+
+function normalizeId (id) {
+  const lower = id.toLowerCase()
+  if (licenseAliases[lower]) return licenseAliases[lower]
+  if (canonicalIds.has(lower)) return canonicalIds.get(lower)
+
+  // GPL-2.0 and GPL-2.0+ are the deprecated GPL-2.0-only and GPL-2.0-or-later
+  const gnu = lower.match(/^((?:a|l)?gpl-\d\.\d)(\+)?$/)
+  if (gnu) {
+    return canonicalIds.get(`${gnu[1]}-${gnu[2] ? 'or-later' : 'only'}`) ?? id
+  }
+  return id
+}
+
+// Returns the license of a package as a normalized SPDX expression, or null.
+// The deprecated licenses field ([{ type }]) is an alternative of licenses.
+function normalizeLicense (packageJson) {
+  let license = packageJson.license ?? packageJson.licenses
+  if (Array.isArray(license)) {
+    license = license.map(item => item?.type ?? item).filter(Boolean).join(' OR ')
+  } else if (typeof license === 'object' && license !== null) {
+    license = license.type
+  }
+
+  if (typeof license !== 'string' || license.trim().length === 0) return null
+  license = license.trim()
+
+  if (/^SEE LICEN[CS]E IN /i.test(license) || license === 'UNLICENSED') return license
+
+  const alias = licenseAliases[license.toLowerCase()]
+  if (alias) return alias
+
+  return license
+    .replace(/[()]/g, ' $& ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => {
+      if (token === '(' || token === ')') return token
+      if (operators.has(token.toUpperCase())) return token.toUpperCase()
+      return normalizeId(token)
+    })
+    .join(' ')
+    .replace(/\( /g, '(')
+    .replace(/ \)/g, ')')
+}
+
+// Parses a normalized SPDX expression in a tree of { id } and
+// { op, left, right } nodes, where AND binds tighter than OR. A license
+// that is not a valid expression (e.g. SEE LICENSE IN) is a single id.
+function parseExpression (expression) {
+  const tokens = expression.replace(/[()]/g, ' $& ').split(/\s+/).filter(Boolean)
+  let position = 0
+
+  function parsePrimary () {
+    const token = tokens[position++]
+    if (token === '(') {
+      const node = parseOr()
+      if (tokens[position++] !== ')') throw new Error('Unbalanced parentheses')
+      return node
+    }
+    if (token === undefined || token === ')' || operators.has(token)) {
+      throw new Error('Missing license id')
+    }
+
+    // The exception of a WITH doesn't change the license
+    if (tokens[position] === 'WITH') position += 2
+    return { id: token }
+  }
+
+  function parseBinary (op, parseOperand) {
+    let node = parseOperand()
+    while (tokens[position] === op) {
+      position++
+      node = { op, left: node, right: parseOperand() }
+    }
+    return node
+  }
+
+  function parseAnd () {
+    return parseBinary('AND', parsePrimary)
+  }
+
+  function parseOr () {
+    return parseBinary('OR', parseAnd)
+  }
+
+  try {
+    const node = parseOr()
+    if (position === tokens.length) return node
+  } catch {}
+  return { id: expression }
+}
+
+// The patterns are license ids, case insensitive, with an optional
+// trailing * to match a prefix (e.g. GPL-*)
+function matchesAny (id, patterns) {
+  const lower = id.toLowerCase()
+  return patterns.some(pattern => {
+    const value = pattern.toLowerCase()
+    return value.endsWith('*') ? lower.startsWith(value.slice(0, -1)) : lower === value
+  })
+}
+
+function isAccepted (node, allow, deny) {
+  if (node.op === 'OR') return isAccepted(node.left, allow, deny) || isAccepted(node.right, allow, deny)
+  if (node.op === 'AND') return isAccepted(node.left, allow, deny) && isAccepted(node.right, allow, deny)
+
+  if (matchesAny(node.id, deny)) return false
+  return allow.length === 0 || matchesAny(node.id, allow)
+}
+
+// Returns if a normalized license is accepted. With OR one of the licenses
+// must be accepted, with AND all of them. Without a license, a package is
+// accepted only if there is no allow list.
+function isLicenseAccepted (license, { allow = [], deny = [] }) {
+  if (license === null) return allow.length === 0
+  return isAccepted(parseExpression(license), allow, deny)
+}
+
+// The licenses of the installed packages, found like for the SBOM
+async function getServiceLicenses (projectDir) {
+  const packages = await listInstalledPackages(projectDir)
+  return packages.map(({ name, version, licenses }) => ({
+    name,
+    version,
+    license: normalizeLicense({ licenses })
+  }))
+}
+
+// Resolves the licenses of all the installed packages, transitive ones
+// included, of the runtime and of each application. The allow and deny
+// lists of the options of the rule take precedence over the ones passed here.
+function createLicensesRule ({ allow = [], deny = [] } = {}) {
+  return {
+    name: 'licenses',
+    label: 'Licenses',
+    description: 'Licenses of the installed dependencies of the runtime and of its applications',
+
+    async collect ({ projectDir, runtime }) {
+      const { applications = [] } = runtime.getRuntimeConfig()
+
+      const services = {}
+      await Promise.all(applications.map(async (application) => {
+        services[application.id] = await getServiceLicenses(application.path)
+      }))
+
+      return { runtime: await getServiceLicenses(projectDir), services }
+    },
+
+    evaluate (metadata, options) {
+      const lists = { allow: options.allow ?? allow, deny: options.deny ?? deny }
+
+      const violations = []
+      const sources = [[null, metadata.runtime], ...Object.entries(metadata.services)]
+      for (const [application, packages] of sources) {
+        for (const { name, version, license } of packages) {
+          if (isLicenseAccepted(license, lists)) continue
+
+          violations.push({
+            ...(application ? { application } : {}),
+            message: `${name}@${version} has ${license === null ? 'no license' : `a not allowed license: ${license}`}`,
+            package: name,
+            version,
+            license
+          })
+        }
+      }
+      return violations
+    }
+  }
+}
+
+export { createLicensesRule, isLicenseAccepted, normalizeLicense }
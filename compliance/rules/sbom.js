@@ -0,0 +1,107 @@
+import { randomUUID } from 'node:crypto'
+import { createRequire } from 'node:module'
+import { mkdir, writeFile } from 'node:fs/promises'
+import { isAbsolute, join } from 'node:path'
+import { listInstalledPackages } from './installed-packages.js'
+import { readJson } from './utils.js'
+
+const { name: toolName, version: toolVersion } = createRequire(import.meta.url)('../../package.json')
+
+function getPurl (name, version) {
+  return `pkg:npm/${name.replace('@', '%40')}@${version}`
+}
+
+function createComponent ({ name, version, licenses, dev }) {
+  const purl = getPurl(name, version)
+  const scoped = name.startsWith('@')
+
+  return {
+    type: 'library',
+    'bom-ref': purl,
+    ...(scoped ? { group: name.slice(0, name.indexOf('/')) } : {}),
+    name: scoped ? name.slice(name.indexOf('/') + 1) : name,
+    version,
+    purl,
+    ...(dev ? { scope: 'optional' } : {}),
+    ...(licenses.length > 0 ? { licenses: licenses.map(license => ({ license: { name: license } })) } : {})
+  }
+}
+
+// Returns the CycloneDX SBOM of the installed packages of a project, with
+// the direct dependencies and devDependencies as dependencies of the project
+async function createSbom (projectDir) {
+  const packageJson = await readJson(join(projectDir, 'package.json')) ?? {}
+  const name = packageJson.name ?? 'unknown'
+  const version = packageJson.version ?? '0.0.0'
+
+  const installed = await listInstalledPackages(projectDir)
+  const directDependencies = new Set(Object.keys({ ...packageJson.dependencies, ...packageJson.devDependencies }))
+  const rootRef = getPurl(name, version)
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      tools: { components: [{ type: 'application', name: toolName, version: toolVersion }] },
+      component: { type: 'application', 'bom-ref': rootRef, name, version, purl: rootRef }
+    },
+    components: installed.map(createComponent),
+    dependencies: [{
+      ref: rootRef,
+      dependsOn: installed
+        .filter(pkg => directDependencies.has(pkg.name))
+        .map(pkg => getPurl(pkg.name, pkg.version))
+    }]
+  }
+}
+
+// The SBOMs are written as <outputDir>/runtime.cdx.json and
+// <outputDir>/applications/<application id>.cdx.json, so that an application
+// cannot overwrite the runtime one. A failure to write them doesn't prevent
+// sending the metadata.
+async function writeSboms (outputDir, { runtime, services }, logger) {
+  try {
+    const applicationsDir = join(outputDir, 'applications')
+    await mkdir(applicationsDir, { recursive: true })
+    await Promise.all([
+      writeFile(join(outputDir, 'runtime.cdx.json'), JSON.stringify(runtime, null, 2)),
+      ...Object.entries(services).map(([id, sbom]) => {
+        return writeFile(join(applicationsDir, `${id}.cdx.json`), JSON.stringify(sbom, null, 2))
+      })
+    ])
+  } catch (err) {
+    logger?.error({ err, outputDir }, 'Failed to write the SBOMs')
+  }
+}
+
+// Inventories all the installed packages, transitive and dev ones
+// included, of the runtime and of each application as CycloneDX SBOMs
+function createSbomRule ({ outputDir } = {}) {
+  return {
+    name: 'sbom',
+    label: 'SBOM',
+    description: 'CycloneDX software bill of materials of the runtime and of its applications',
+
+    async collect ({ projectDir, runtime, logger }) {
+      const { applications = [] } = runtime.getRuntimeConfig()
+
+      const services = {}
+      await Promise.all(applications.map(async (application) => {
+        services[application.id] = await createSbom(application.path)
+      }))
+      const metadata = { format: 'CycloneDX', runtime: await createSbom(projectDir), services }
+
+      if (outputDir) {
+        const dir = isAbsolute(outputDir) ? outputDir : join(projectDir, outputDir)
+        await writeSboms(dir, metadata, logger)
+      }
+
+      return metadata
+    }
+  }
+}
+
+export { createSbom, createSbomRule }
@@ -1,4 +1,4 @@
-import { access } from 'node:fs/promises'
+import { access, readFile } from 'node:fs/promises'
 
 async function fileExists (path) {
   try {
@@ -9,4 +9,13 @@ async function fileExists (path) {
   }
 }
 
-export { fileExists }
+// Returns null when the file is missing or is not valid JSON
+async function readJson (path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+export { fileExists, readJson }
@@ -0,0 +1,205 @@
+import { readdir, readFile, stat } from 'node:fs/promises'
+import { extname, join } from 'node:path'
+import semver from 'semver'
+import { listInstalledPackages } from './installed-packages.js'
+
+const severityLevels = ['low', 'moderate', 'high', 'critical']
+
+function normalizeSeverity (severity) {
+  const value = severity?.toLowerCase()
+  if (value === 'medium') return 'moderate'
+  return severityLevels.includes(value) ? value : null
+}
+
+// Indexes the npm advisories by package name, the other ecosystems are dropped
+function indexAdvisories (advisories, index = new Map()) {
+  for (const advisory of advisories) {
+    for (const affected of advisory.affected ?? []) {
+      const { ecosystem, name } = affected.package ?? {}
+      if (ecosystem !== 'npm' || !name) continue
+
+      if (!index.has(name)) index.set(name, [])
+      index.get(name).push({ advisory, affected })
+    }
+  }
+  return index
+}
+
+// The JSON files of the database with their modification time
+async function listAdvisoryFiles (path, files = []) {
+  const stats = await stat(path)
+  if (!stats.isDirectory()) {
+    files.push({ path, mtime: stats.mtimeMs })
+    return files
+  }
+
+  const entries = await readdir(path, { withFileTypes: true })
+  entries.sort((a, b) => a.name.localeCompare(b.name))
+  for (const entry of entries) {
+    if (entry.isDirectory() || extname(entry.name) === '.json') {
+      await listAdvisoryFiles(join(path, entry.name), files)
+    }
+  }
+  return files
+}
+
+// The databases are large: each one is indexed once, and again only
+// when one of its files is added, removed or modified
+const databases = new Map()
+
+// The advisories are in the OSV format, also used by the GitHub advisory
+// database. The path is a JSON file with an advisory or an array of them,
+// or a directory of such files (e.g. a checkout of the GitHub database).
+// Returns the index of the npm advisories and their count.
+async function loadAdvisories (path) {
+  const files = await listAdvisoryFiles(path)
+  const version = files.map(file => `${file.path}:${file.mtime}`).join('\n')
+
+  const cached = databases.get(path)
+  if (cached?.version === version) return cached.database
+
+  const index = new Map()
+  for (const file of files) {
+    const content = JSON.parse(await readFile(file.path, 'utf8'))
+    indexAdvisories(Array.isArray(content) ? content : [content], index)
+  }
+
+  const advisories = new Set()
+  for (const entries of index.values()) {
+    for (const { advisory } of entries) advisories.add(advisory)
+  }
+
+  const database = { index, advisories: advisories.size }
+  databases.set(path, { version, database })
+  return database
+}
+
+// Follows the OSV semantics: the events of a range are sorted, each
+// "introduced" opens an affected interval, closed by "fixed" (excluded)
+// or by "last_affected" (included)
+function isInRange (version, range) {
+  let affected = false
+  for (const event of range.events ?? []) {
+    if (event.introduced !== undefined) {
+      if (event.introduced === '0' || semver.gte(version, event.introduced)) affected = true
+    } else if (event.fixed !== undefined) {
+      if (semver.gte(version, event.fixed)) affected = false
+    } else if (event.last_affected !== undefined) {
+      if (semver.gt(version, event.last_affected)) affected = false
+    }
+  }
+  return affected
+}
+
+function isAffected (version, affected) {
+  if (affected.versions?.includes(version)) return true
+
+  return (affected.ranges ?? [])
+    .filter(range => range.type === 'SEMVER' || range.type === 'ECOSYSTEM')
+    .some(range => isInRange(version, range))
+}
+
+function getFixedVersions (affected) {
+  const fixed = []
+  for (const range of affected.ranges ?? []) {
+    for (const event of range.events ?? []) {
+      if (event.fixed !== undefined) fixed.push(event.fixed)
+    }
+  }
+  return fixed
+}
+
+function getSeverity (advisory, affected) {
+  return normalizeSeverity(
+    advisory.database_specific?.severity ??
+    affected.database_specific?.severity ??
+    affected.ecosystem_specific?.severity
+  )
+}
+
+// Returns the vulnerabilities of the installed packages: [{ name, version }]
+function findVulnerabilities (installed, index) {
+  const vulnerabilities = []
+
+  const packages = [...installed]
+    .sort((a, b) => a.name.localeCompare(b.name) || String(a.version).localeCompare(String(b.version)))
+  for (const { name, version } of packages) {
+    if (!version || !semver.valid(version)) continue
+
+    for (const { advisory, affected } of index.get(name) ?? []) {
+      if (!isAffected(version, affected)) continue
+
+      vulnerabilities.push({
+        package: name,
+        version,
+        id: advisory.id,
+        cves: [advisory.id, ...advisory.aliases ?? []].filter(id => id?.startsWith('CVE-')),
+        severity: getSeverity(advisory, affected),
+        summary: advisory.summary ?? null,
+        fixedVersions: getFixedVersions(affected)
+      })
+    }
+  }
+
+  return vulnerabilities
+}
+
+function isIgnored (vulnerability, ignore) {
+  return ignore.includes(vulnerability.id) || vulnerability.cves.some(cve => ignore.includes(cve))
+}
+
+// Matches the installed packages of the runtime and of each application,
+// transitive ones included, against the advisories in advisoriesPath
+function createVulnerabilitiesRule ({ advisoriesPath }) {
+  return {
+    name: 'vulnerabilities',
+    label: 'Known vulnerabilities',
+    description: 'Installed packages affected by the advisories of the local advisory database',
+
+    async collect ({ projectDir, runtime }) {
+      const { index, advisories } = await loadAdvisories(advisoriesPath)
+      const { applications = [] } = runtime.getRuntimeConfig()
+
+      const services = {}
+      await Promise.all(applications.map(async (application) => {
+        services[application.id] = findVulnerabilities(await listInstalledPackages(application.path), index)
+      }))
+
+      return {
+        database: { path: advisoriesPath, advisories },
+        runtime: findVulnerabilities(await listInstalledPackages(projectDir), index),
+        services
+      }
+    },
+
+    // options.minSeverity (default: low) is the lowest reported severity,
+    // the advisories without a severity are always reported.
+    // options.ignore lists the advisory or CVE ids of the accepted risks.
+    evaluate (metadata, options) {
+      const minLevel = severityLevels.indexOf(normalizeSeverity(options.minSeverity) ?? 'low')
+      const ignore = options.ignore ?? []
+
+      const violations = []
+      const sources = [[null, metadata.runtime], ...Object.entries(metadata.services)]
+      for (const [application, vulnerabilities] of sources) {
+        for (const vulnerability of vulnerabilities) {
+          const { severity } = vulnerability
+          if (severity !== null && severityLevels.indexOf(severity) < minLevel) continue
+          if (isIgnored(vulnerability, ignore)) continue
+
+          const fixed = vulnerability.fixedVersions.length > 0
+            ? `fixed in ${vulnerability.fixedVersions.join(', ')}`
+            : 'no fix available'
+          violations.push({
+            ...(application ? { application } : {}),
+            message: `${vulnerability.package}@${vulnerability.version} is affected by ${vulnerability.id} (${severity ?? 'unknown severity'}), ${fixed}`,
+            ...vulnerability
+          })
+        }
+      }
+      return violations
+    }
+  }
+}
+
+export { createVulnerabilitiesRule, findVulnerabilities, indexAdvisories, loadAdvisories }
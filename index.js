@@ -18,6 +18,10 @@ const logger = pino({
 // This starts the app and sends the info to ICC, so it's the main entry point
 async function start () {
   const app = await buildApp(logger)
+  app.setupShutdown()
+  await app.setupAdmin()
+  await app.setupProbes()
+  await app.setupOutbox()
 
   app.log.info('Starting Runtime')
   await app.startRuntime()
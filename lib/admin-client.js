@@ -0,0 +1,19 @@
+// Admin API coordinates of a running watt-extra instance, used by the CLI
+// commands. They default to the same env variables used by the instance.
+export function resolveAdminOptions (args, env = process.env) {
+  const port = args.port || env.PLT_ADMIN_PORT
+  if (!port) {
+    throw new Error('Missing admin API port, use --port or set PLT_ADMIN_PORT')
+  }
+
+  const hostname = args.hostname || env.PLT_ADMIN_HOSTNAME || '127.0.0.1'
+
+  return {
+    url: `http://${hostname}:${port}`,
+    token: args.token || env.PLT_ADMIN_TOKEN
+  }
+}
+
+export function adminHeaders (token) {
+  return token ? { authorization: `Bearer ${token}` } : {}
+}
@@ -0,0 +1,178 @@
+import { createServer } from 'node:http'
+import { once } from 'node:events'
+import { timingSafeEqual } from 'node:crypto'
+
+const MAX_BODY_SIZE = 1024 * 1024 // 1MB
+
+function createHttpError (statusCode, message) {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+function decodePathPart (part) {
+  try {
+    return decodeURIComponent(part)
+  } catch {
+    throw createHttpError(400, `Malformed URL path segment "${part}"`)
+  }
+}
+
+function matchPath (routePath, pathname) {
+  const routeParts = routePath.split('/')
+  const pathParts = pathname.split('/')
+  if (routeParts.length !== pathParts.length) return null
+
+  const params = {}
+  for (let i = 0; i < routeParts.length; i++) {
+    if (routeParts[i].startsWith(':')) {
+      params[routeParts[i].slice(1)] = decodePathPart(pathParts[i])
+    } else if (routeParts[i] !== pathParts[i]) {
+      return null
+    }
+  }
+  return params
+}
+
+async function readBody (req) {
+  const chunks = []
+  let size = 0
+  for await (const chunk of req) {
+    size += chunk.length
+    if (size > MAX_BODY_SIZE) {
+      throw createHttpError(413, 'Request body is too large')
+    }
+    chunks.push(chunk)
+  }
+  if (size === 0) return {}
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'))
+  } catch {
+    throw createHttpError(400, 'Request body is not valid JSON')
+  }
+}
+
+// Minimal HTTP server used to expose watt-extra internals to operators.
+// Routes require a bearer token unless registered with `auth: false`.
+class AdminServer {
+  #routes = []
+  #server = null
+  #token
+  #logger
+
+  constructor ({ token, logger }) {
+    this.#token = token ? Buffer.from(token) : null
+    this.#logger = logger
+  }
+
+  addRoute ({ method, path, handler, auth = true }) {
+    this.#routes.push({ method: method.toUpperCase(), path, handler, auth })
+  }
+
+  async listen ({ port, hostname }) {
+    this.#server = createServer((req, res) => {
+      this.#handleRequest(req, res).catch((err) => {
+        this.#logger.error({ err }, 'Failed to handle admin request')
+        if (!res.headersSent) {
+          res.writeHead(500)
+        }
+        res.end()
+      })
+    })
+    this.#server.listen(port, hostname)
+    await once(this.#server, 'listening')
+
+    const address = this.#server.address()
+    return `http://${address.address}:${address.port}`
+  }
+
+  async close () {
+    if (!this.#server) return
+
+    const server = this.#server
+    this.#server = null
+    server.closeAllConnections()
+    server.close()
+    await once(server, 'close')
+  }
+
+  #isAuthorized (req) {
+    if (!this.#token) return false
+
+    const [scheme, token] = (req.headers.authorization ?? '').split(' ')
+    if (scheme?.toLowerCase() !== 'bearer' || !token) return false
+
+    const received = Buffer.from(token)
+    return received.length === this.#token.length && timingSafeEqual(received, this.#token)
+  }
+
+  async #handleRequest (req, res) {
+    const url = new URL(req.url, 'http://localhost')
+
+    const reply = {
+      statusCode: 200,
+      headers: {},
+      code (statusCode) {
+        this.statusCode = statusCode
+        return this
+      },
+      header (name, value) {
+        this.headers[name.toLowerCase()] = value
+        return this
+      }
+    }
+
+    let payload
+    try {
+      let params = null
+      let route = null
+      let pathMatched = false
+      for (const candidate of this.#routes) {
+        const match = matchPath(candidate.path, url.pathname)
+        if (match === null) continue
+        pathMatched = true
+        if (candidate.method === req.method) {
+          route = candidate
+          params = match
+          break
+        }
+      }
+
+      if (!route) {
+        throw pathMatched
+          ? createHttpError(405, `Method ${req.method} not allowed`)
+          : createHttpError(404, `Route ${req.method} ${url.pathname} not found`)
+      }
+
+      if (route.auth && !this.#isAuthorized(req)) {
+        throw createHttpError(401, 'Unauthorized')
+      }
+
+      const body = req.method === 'GET' || req.method === 'HEAD' ? {} : await readBody(req)
+      const query = Object.fromEntries(url.searchParams)
+
+      payload = await route.handler({ params, query, body, headers: req.headers }, reply)
+    } catch (err) {
+      const statusCode = err.statusCode ?? 500
+      if (statusCode >= 500) {
+        this.#logger.error({ err, method: req.method, url: req.url }, 'Admin request failed')
+      }
+      reply.code(statusCode)
+      payload = { error: err.code ?? 'Error', message: err.message }
+    }
+
+    if (payload instanceof Uint8Array) {
+      reply.headers['content-type'] ??= 'application/octet-stream'
+      res.writeHead(reply.statusCode, reply.headers)
+      res.end(payload)
+      return
+    }
+
+    reply.headers['content-type'] ??= 'application/json; charset=utf-8'
+    res.writeHead(reply.statusCode, reply.headers)
+    res.end(JSON.stringify(payload ?? {}))
+  }
+}
+
+export { AdminServer, createHttpError }
@@ -0,0 +1,61 @@
+import { UnsupportedCommandError } from './errors.js'
+
+// Registry of the commands ICC can send over the updates websocket.
+// Plugins register a handler per command; the handler receives the
+// command params and its return value is sent back as the result.
+class CommandRegistry {
+  #handlers = new Map()
+  #logger
+
+  constructor ({ logger }) {
+    this.#logger = logger
+
+    this.register('list-commands', async () => ({ commands: this.list() }))
+  }
+
+  register (name, handler) {
+    if (this.#handlers.has(name)) {
+      throw new Error(`Command "${name}" is already registered`)
+    }
+    this.#handlers.set(name, handler)
+  }
+
+  list () {
+    return [...this.#handlers.keys()]
+  }
+
+  // Runs the command and returns the reply for ICC. Never throws:
+  // failures and unknown commands are reported in the reply. A supported
+  // command is acknowledged with onAck before it runs, so that ICC knows
+  // it was received while a long command (e.g. a profile) is running.
+  async dispatch (message, { onAck } = {}) {
+    const { command, requestId, params = {} } = message
+
+    const handler = this.#handlers.get(command)
+    if (!handler) {
+      this.#logger.warn({ command, requestId }, 'Received unsupported command from ICC')
+      return this.#errorReply(requestId, new UnsupportedCommandError(command))
+    }
+
+    this.#logger.info({ command, requestId }, 'Received command from ICC')
+    onAck?.({ command: 'ack', requestId })
+
+    try {
+      const result = await handler(params, message)
+      return { requestId, success: result?.success !== false, result }
+    } catch (err) {
+      this.#logger.error({ err, command, requestId }, 'Failed to run command from ICC')
+      return this.#errorReply(requestId, err)
+    }
+  }
+
+  #errorReply (requestId, err) {
+    return {
+      requestId,
+      success: false,
+      error: { message: err.message, name: err.name, code: err.code }
+    }
+  }
+}
+
+export { CommandRegistry }
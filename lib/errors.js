@@ -3,6 +3,9 @@ import createError from '@fastify/error'
 // Compliancy errors
 const CompliancyMetadataError = createError('PLT_COMPLIANCE_METADATA_ERROR', 'Failed to send compliancy metadata')
 const CompliancyStatusError = createError('PLT_COMPLIANCE_STATUS_ERROR', 'Failed to get compliance status')
+const InvalidComplianceRuleError = createError('PLT_INVALID_COMPLIANCE_RULE_ERROR', 'Invalid compliance rule %s: %s')
+const ComplianceRulesError = createError('PLT_COMPLIANCE_RULES_ERROR', 'Failed to get the compliance rules')
+const ComplianceEnforcementError = createError('PLT_COMPLIANCE_ENFORCEMENT_ERROR', 'The application is not compliant\n%s')
 
 // Application errors
 const ApplicationNotFoundError = createError('PLT_APPLICATION_NOT_FOUND_ERROR', 'Application not found')
@@ -19,9 +22,40 @@ const MetadataRuntimeNotStartedError = createError('PLT_METADATA_RUNTIME_NOT_STA
 const StatusSendError = createError('PLT_STATUS_SEND_ERROR', 'Failed to send application status')
 const StatusAppIdError = createError('PLT_STATUS_APPID_ERROR', 'Cannot send application status: no applicationId available')
 
+// Probes errors
+const ReadinessCheckError = createError('PLT_READINESS_CHECK_ERROR', 'Unknown readiness check "%s", supported checks are: %s')
+const ReadinessProbeMissingError = createError('PLT_READINESS_PROBE_MISSING_ERROR', 'The readiness probe is not served, required by %s: set PLT_PROBES_PORT or PLT_ADMIN_PORT')
+
+// Scaler errors
+const ScalerUrlMissingError = createError('PLT_SCALER_URL_MISSING_ERROR', 'No scaler URL found in ICC services')
+const ScalerRequestError = createError('PLT_SCALER_REQUEST_ERROR', 'Failed to send %s to scaler: %s')
+
+// Circuit breaker errors
+const CircuitOpenError = createError('PLT_CIRCUIT_OPEN_ERROR', 'ICC service "%s" is unavailable, circuit is open', 503)
+
+// Commands errors
+const UnsupportedCommandError = createError('PLT_UNSUPPORTED_COMMAND_ERROR', 'Unsupported command "%s"', 400)
+const InvalidCommandParamsError = createError('PLT_INVALID_COMMAND_PARAMS_ERROR', 'Invalid params for command "%s": %s', 400)
+const CommandRuntimeNotStartedError = createError('PLT_COMMAND_RUNTIME_NOT_STARTED_ERROR', 'Runtime not started, cannot run command "%s"', 503)
+
+// ICC config errors
+const InvalidIccConfigError = createError('PLT_INVALID_ICC_CONFIG_ERROR', 'Invalid ICC config: %s', 400)
+const IccConfigUpdateError = createError('PLT_ICC_CONFIG_UPDATE_ERROR', 'Failed to apply the ICC config update: %s', 500)
+
+// Log level errors
+const InvalidLogLevelError = createError('PLT_INVALID_LOG_LEVEL_ERROR', 'Invalid log level "%s", supported levels are: %s', 400)
+const LogLevelApplicationNotFoundError = createError('PLT_LOG_LEVEL_APPLICATION_NOT_FOUND_ERROR', 'Application "%s" not found', 404)
+const LogLevelNotSupportedError = createError('PLT_LOG_LEVEL_NOT_SUPPORTED_ERROR', 'The workers of application "%s" do not support changing the log level', 501)
+
+// Scheduler errors
+const ScheduledJobNotFoundError = createError('PLT_SCHEDULED_JOB_NOT_FOUND_ERROR', 'Scheduled job "%s" not found', 404)
+
 export {
   CompliancyMetadataError,
   CompliancyStatusError,
+  InvalidComplianceRuleError,
+  ComplianceRulesError,
+  ComplianceEnforcementError,
   ApplicationNotFoundError,
   ApplicationInfoError,
   MetadataRuntimeError,
@@ -30,5 +64,19 @@ export {
   MetadataAppIdError,
   MetadataRuntimeNotStartedError,
   StatusSendError,
-  StatusAppIdError
+  StatusAppIdError,
+  ReadinessCheckError,
+  ReadinessProbeMissingError,
+  ScalerUrlMissingError,
+  ScalerRequestError,
+  CircuitOpenError,
+  UnsupportedCommandError,
+  InvalidCommandParamsError,
+  CommandRuntimeNotStartedError,
+  InvalidIccConfigError,
+  IccConfigUpdateError,
+  InvalidLogLevelError,
+  LogLevelApplicationNotFoundError,
+  LogLevelNotSupportedError,
+  ScheduledJobNotFoundError
 }
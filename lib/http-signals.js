@@ -0,0 +1,92 @@
+// Derives the request latency and throughput of each worker from the HTTP
+// metrics of the runtime. The histogram is reset every time the metrics are
+// collected, so the values cover the requests since the previous collection.
+const histogramName = 'http_request_all_duration_seconds'
+
+// Any per-thread metric tells which workers are running, also the idle ones
+const workersMetricName = 'nodejs_eventloop_utilization'
+
+const latencyQuantiles = { latencyP50: 0.5, latencyP95: 0.95, latencyP99: 0.99 }
+
+export const httpSignalTypes = [...Object.keys(latencyQuantiles), 'rps']
+
+// Same estimation as the Prometheus histogram_quantile: linear
+// interpolation inside the bucket that contains the quantile.
+// Buckets are [le, cumulative count] pairs sorted by le.
+export function histogramQuantile (quantile, buckets) {
+  const total = buckets.at(-1)?.[1] ?? 0
+  if (total === 0) return null
+
+  const rank = quantile * total
+  let previousLe = 0
+  let previousCount = 0
+
+  for (const [le, count] of buckets) {
+    if (count >= rank) {
+      // The quantile is above the highest finite bucket
+      if (le === Infinity) return previousLe
+      if (count === previousCount) return le
+      return previousLe + (le - previousLe) * (rank - previousCount) / (count - previousCount)
+    }
+    previousLe = le
+    previousCount = count
+  }
+  return previousLe
+}
+
+function getWorkerKey (labels, labelName) {
+  const serviceId = labels[labelName]
+  if (serviceId === undefined || labels.workerId === undefined) return null
+  return `${serviceId}:${labels.workerId}`
+}
+
+// Returns { serviceId: { workerId: { latencyP50, latencyP95, latencyP99, rps } } },
+// with the latencies in milliseconds. Idle workers only have the rps.
+export function computeHttpSignals (metrics, { labelName, elapsed }) {
+  const workers = new Map()
+
+  for (const metric of metrics) {
+    if (metric.name !== workersMetricName) continue
+    for (const { labels } of metric.values) {
+      const workerId = getWorkerKey(labels, labelName)
+      if (workerId) {
+        workers.set(workerId, { serviceId: labels[labelName], buckets: new Map(), count: 0 })
+      }
+    }
+  }
+
+  // The histogram has a series for each method, status code and caller:
+  // the buckets of all of them are summed up
+  const histogram = metrics.find(metric => metric.name === histogramName)
+  for (const { metricName, labels, value } of histogram?.values ?? []) {
+    const workerId = getWorkerKey(labels, labelName)
+    const worker = workers.get(workerId)
+    if (!worker) continue
+
+    if (metricName === `${histogramName}_bucket`) {
+      const le = labels.le === '+Inf' ? Infinity : Number(labels.le)
+      worker.buckets.set(le, (worker.buckets.get(le) ?? 0) + value)
+    } else if (metricName === `${histogramName}_count`) {
+      worker.count += value
+    }
+  }
+
+  const signals = {}
+  for (const [workerId, { serviceId, buckets, count }] of workers) {
+    const workerSignals = {
+      rps: Math.round(count / (elapsed / 1000) * 100) / 100
+    }
+
+    const sortedBuckets = [...buckets].sort(([a], [b]) => a - b)
+    for (const [type, quantile] of Object.entries(latencyQuantiles)) {
+      const latency = histogramQuantile(quantile, sortedBuckets)
+      if (latency !== null) {
+        workerSignals[type] = Math.round(latency * 1000 * 100) / 100
+      }
+    }
+
+    signals[serviceId] ??= {}
+    signals[serviceId][workerId] = workerSignals
+  }
+  return signals
+}
@@ -0,0 +1,148 @@
+import { isDeepStrictEqual } from 'node:util'
+import { parseMemorySize } from '@platformatic/foundation'
+import Ajv from 'ajv'
+
+// Bytes, or a size like "400MB"
+const memorySize = { type: ['number', 'string'], minimum: 0, format: 'memorySize' }
+
+// Thresholds above which a worker sample is unhealthy, and the number of
+// unhealthy samples (out of the last `window` ones) that raise an alert.
+// The criteria of the `applications` keys override the ones for all.
+const criteriaProperties = {
+  elu: { type: 'number', minimum: 0, maximum: 1 },
+  heapUsed: { type: 'number', minimum: 0, maximum: 1 },
+  heapTotal: memorySize,
+  rss: memorySize,
+  eventLoopDelay: { type: 'number', minimum: 0 },
+  activeHandles: { type: 'number', minimum: 0 },
+  samples: { type: 'number', minimum: 1 },
+  window: { type: 'number', minimum: 1 }
+}
+
+const unhealthyCriteriaSchema = {
+  type: 'object',
+  properties: {
+    ...criteriaProperties,
+    applications: {
+      type: 'object',
+      additionalProperties: { type: 'object', properties: criteriaProperties }
+    }
+  }
+}
+
+// Options of the custom health signals, by signal type. `field` is the
+// property of the signal that holds the value, the others are sent to the scaler.
+const signalOptionsSchema = {
+  type: 'object',
+  additionalProperties: {
+    type: 'object',
+    properties: {
+      threshold: { type: 'number' },
+      unit: { type: 'string' },
+      aggregation: { type: 'string' },
+      field: { type: 'string' }
+    }
+  }
+}
+
+// Fields of the config pushed by ICC with config-updated messages.
+// Unknown fields are accepted and stored, but not applied.
+const iccConfigSchema = {
+  type: 'object',
+  properties: {
+    httpCacheConfig: { type: ['object', 'null'] },
+    enableOpenTelemetry: { type: 'boolean' },
+    enableSlicerInterceptor: { type: 'boolean' },
+    enableTrafficInterceptor: { type: 'boolean' },
+    healthSignals: {
+      type: 'object',
+      properties: {
+        eluThreshold: { type: 'number', minimum: 0, maximum: 1 },
+        heapThreshold: memorySize,
+        signals: signalOptionsSchema
+      }
+    },
+    flamegraphs: {
+      type: 'object',
+      properties: {
+        intervalSec: { type: 'number', minimum: 1 },
+        eluThreshold: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    alerts: {
+      type: 'object',
+      properties: {
+        // Milliseconds, like the scaler config
+        podHealthWindow: { type: 'number', minimum: 1 },
+        alertRetentionWindow: { type: 'number', minimum: 0 },
+        unhealthyCriteria: unhealthyCriteriaSchema
+      }
+    }
+  }
+}
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true })
+
+// The only check JSON Schema can't express: the sizes parsed by the runtime
+ajv.addFormat('memorySize', {
+  type: 'string',
+  validate: (value) => {
+    try {
+      parseMemorySize(value)
+      return true
+    } catch {
+      return false
+    }
+  }
+})
+
+const iccConfigValidator = ajv.compile(iccConfigSchema)
+const unhealthyCriteriaValidator = ajv.compile(unhealthyCriteriaSchema)
+const signalOptionsValidator = ajv.compile(signalOptionsSchema)
+
+// Errors like "config.healthSignals.eluThreshold must be <= 1"
+function formatError ({ instancePath, keyword, params, message }, path) {
+  const properties = instancePath.split('/').slice(1)
+    .map(property => property.replaceAll('~1', '/').replaceAll('~0', '~'))
+  const property = [path, ...properties].join('.')
+
+  if (keyword === 'type') {
+    return `${property} must be ${[].concat(params.type).join(' or ')}`
+  }
+  if (keyword === 'format' && params.format === 'memorySize') {
+    return `${property} must be a memory size`
+  }
+  return `${property} ${message}`
+}
+
+function validate (validator, value, path) {
+  if (validator(value)) return []
+  return validator.errors.map(error => formatError(error, path))
+}
+
+// Returns the list of the validation errors, empty if the config is valid
+export function validateIccConfig (config) {
+  return validate(iccConfigValidator, config, 'config')
+}
+
+export function validateUnhealthyCriteria (criteria, path = 'unhealthyCriteria') {
+  return validate(unhealthyCriteriaValidator, criteria, path)
+}
+
+export function validateSignalOptions (options, path = 'signals') {
+  return validate(signalOptionsValidator, options, path)
+}
+
+// Returns the top-level fields that changed, with their old and new values
+export function diffIccConfig (previous = {}, config = {}) {
+  const changes = []
+  const keys = new Set([...Object.keys(previous ?? {}), ...Object.keys(config ?? {})])
+  for (const key of keys) {
+    const from = previous?.[key]
+    const to = config?.[key]
+    if (!isDeepStrictEqual(from, to)) {
+      changes.push({ field: key, from, to })
+    }
+  }
+  return changes
+}
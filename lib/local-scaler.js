@@ -0,0 +1,54 @@
+// Mean of the ELU values of all the workers of a service in a batch
+// of health signals: { workerId: [[timestamp, value], ...] }
+export function getMeanElu (eluSignals) {
+  let sum = 0
+  let count = 0
+  for (const values of Object.values(eluSignals ?? {})) {
+    for (const [, value] of values) {
+      sum += value
+      count++
+    }
+  }
+  return count > 0 ? sum / count : null
+}
+
+// Decides the number of workers of each service from its ELU. One worker is
+// added or removed at a time, within the min/max of the service, and a
+// service is not scaled again until the cooldown has passed.
+export class LocalScaler {
+  #scaleUpElu
+  #scaleDownElu
+  #cooldown
+  #lastScaledAt = new Map()
+
+  constructor ({ scaleUpElu, scaleDownElu, cooldown }) {
+    this.#scaleUpElu = scaleUpElu
+    this.#scaleDownElu = scaleDownElu
+    this.#cooldown = cooldown
+  }
+
+  // Returns the new number of workers, or null if it must not change
+  getTargetWorkers (serviceId, { elu, workers, minWorkers, maxWorkers }, now = Date.now()) {
+    if (elu === null || minWorkers === undefined || maxWorkers === undefined) return null
+
+    const lastScaledAt = this.#lastScaledAt.get(serviceId)
+    if (lastScaledAt !== undefined && now - lastScaledAt < this.#cooldown) return null
+
+    let target = workers
+    if (elu > this.#scaleUpElu) {
+      target = Math.min(workers + 1, maxWorkers)
+    } else if (elu < this.#scaleDownElu) {
+      target = Math.max(workers - 1, minWorkers)
+    }
+    return target === workers ? null : target
+  }
+
+  markScaled (serviceId, now = Date.now()) {
+    this.#lastScaledAt.set(serviceId, now)
+  }
+
+  // The cooldowns don't apply once ICC has been in control
+  reset () {
+    this.#lastScaledAt.clear()
+  }
+}
@@ -0,0 +1,59 @@
+import minimist from 'minimist'
+import { request } from 'undici'
+import { adminHeaders, resolveAdminOptions } from './admin-client.js'
+
+// Parse log-level command argv
+export function parseLogLevelArgs (argv, env = process.env) {
+  const args = minimist(argv, {
+    alias: {
+      h: 'help',
+      l: 'level',
+      s: 'service',
+      d: 'duration',
+      p: 'port',
+      H: 'hostname'
+    },
+    boolean: ['help'],
+    string: ['level', 'service', 'duration', 'port', 'hostname', 'token']
+  })
+
+  if (args.help) {
+    return { help: true }
+  }
+
+  if (!args.level) {
+    throw new Error('Missing required option --level')
+  }
+
+  let durationSec
+  if (args.duration !== undefined) {
+    durationSec = Number(args.duration)
+    if (!Number.isFinite(durationSec) || durationSec <= 0) {
+      throw new Error(`Invalid duration "${args.duration}", use a number of seconds`)
+    }
+  }
+
+  return {
+    help: false,
+    level: args.level,
+    service: args.service,
+    durationSec,
+    ...resolveAdminOptions(args, env)
+  }
+}
+
+// Changes the log level of a running watt-extra instance, or of one of its
+// services, through the admin API
+export async function setLogLevel ({ url, token, level, service, durationSec }) {
+  const { statusCode, body } = await request(`${url}/log-level`, {
+    method: 'POST',
+    headers: { ...adminHeaders(token), 'content-type': 'application/json' },
+    body: JSON.stringify({ level, application: service, durationSec })
+  })
+
+  const response = await body.json().catch(() => ({}))
+  if (statusCode !== 200) {
+    throw new Error(`Failed to change the log level (${statusCode}): ${response.message ?? 'unknown error'}`)
+  }
+  return response
+}
@@ -0,0 +1,255 @@
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+// Status codes that will never succeed on retry
+function isPermanentFailure (err) {
+  const statusCode = err.statusCode
+  return statusCode >= 400 && statusCode < 500 && statusCode !== 408 && statusCode !== 429
+}
+
+// Bounded queue of the data sent to ICC. Items that cannot be delivered are
+// kept (optionally on disk) and replayed in order once ICC is reachable again.
+// Each category has its own sender and retention (maxItems, maxAge).
+// On disk each item is a file of the directory, so that queuing an item
+// doesn't rewrite the others (e.g. the flamegraphs).
+class Outbox {
+  #items = []
+  #senders = {}
+  #categories
+  #stats = {}
+  #dir
+  #logger
+  #seq = 0
+  #replaying = null
+  #persisting = Promise.resolve()
+
+  constructor ({ categories, dir, logger }) {
+    this.#categories = categories
+    this.#dir = dir ?? null
+    this.#logger = logger
+
+    for (const category of Object.keys(categories)) {
+      this.#stats[category] = { sent: 0, queued: 0, replayed: 0, dropped: 0 }
+    }
+  }
+
+  register (category, sender) {
+    if (!this.#categories[category]) {
+      throw new Error(`Unknown outbox category "${category}"`)
+    }
+    this.#senders[category] = sender
+  }
+
+  // Sends the payload right away unless older items of the same category
+  // are waiting, so that ICC receives them in order. Never throws: failed
+  // payloads are queued. Returns the sender result, or null if not sent.
+  async send (category, payload) {
+    if (this.#items.some(item => item.category === category)) {
+      this.enqueue(category, payload)
+      return null
+    }
+
+    try {
+      const result = await this.#senders[category](payload)
+      this.#stats[category].sent++
+      return result
+    } catch (err) {
+      this.#handleFailure(category, payload, err)
+      return null
+    }
+  }
+
+  enqueue (category, payload) {
+    const item = {
+      seq: ++this.#seq,
+      category,
+      payload,
+      enqueuedAt: Date.now()
+    }
+    item.file = `${item.enqueuedAt}-${item.seq}.json`
+    this.#items.push(item)
+    this.#stats[category].queued++
+
+    this.#save(item)
+    this.#dropOverflow(category)
+  }
+
+  // Sends the queued items in order, stopping at the first failure:
+  // ICC is likely still unreachable
+  replay () {
+    this.#replaying ??= this.#replay().finally(() => {
+      this.#replaying = null
+    })
+    return this.#replaying
+  }
+
+  async #replay () {
+    this.#dropExpired()
+    if (this.#items.length === 0) return
+
+    this.#logger.info({ count: this.#items.length }, 'Replaying outbox items')
+
+    while (this.#items.length > 0) {
+      const item = this.#items[0]
+      try {
+        await this.#senders[item.category](item.payload)
+      } catch (err) {
+        if (isPermanentFailure(err)) {
+          this.#items.shift()
+          this.#stats[item.category].dropped++
+          this.#logger.error({ err, category: item.category }, 'Outbox item rejected by ICC, dropping it')
+          this.#remove([item])
+          continue
+        }
+        this.#logger.warn({ err, category: item.category, count: this.#items.length }, 'Failed to replay outbox items')
+        return
+      }
+
+      this.#items.shift()
+      this.#stats[item.category].replayed++
+      this.#remove([item])
+    }
+
+    this.#logger.info('Outbox replayed')
+  }
+
+  getStats () {
+    const stats = {}
+    for (const [category, categoryStats] of Object.entries(this.#stats)) {
+      stats[category] = {
+        ...categoryStats,
+        pending: this.#items.filter(item => item.category === category).length
+      }
+    }
+    return stats
+  }
+
+  // Loads the items saved by a previous instance
+  async load () {
+    if (!this.#dir) return
+
+    let files
+    try {
+      files = (await readdir(this.#dir)).filter(file => file.endsWith('.json'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.#logger.warn({ err, dir: this.#dir }, 'Failed to load the outbox, starting empty')
+      }
+      return
+    }
+
+    // The files may have been written by another version, or truncated
+    const items = []
+    const invalid = []
+    for (const file of files) {
+      let item = null
+      try {
+        item = JSON.parse(await readFile(join(this.#dir, file), 'utf8'))
+      } catch {}
+
+      if (this.#isValidItem(item)) {
+        items.push({ ...item, file })
+      } else {
+        invalid.push({ file })
+      }
+    }
+    if (invalid.length > 0) {
+      this.#logger.warn({ count: invalid.length, dir: this.#dir }, 'Skipping invalid outbox items')
+      this.#remove(invalid)
+    }
+
+    items.sort((a, b) => a.enqueuedAt - b.enqueuedAt || a.seq - b.seq)
+    this.#items = [...items, ...this.#items]
+    this.#seq = this.#items.reduce((seq, item) => Math.max(seq, item.seq), this.#seq)
+    for (const category of Object.keys(this.#categories)) {
+      this.#dropOverflow(category)
+    }
+    this.#dropExpired()
+
+    this.#logger.info({ count: this.#items.length }, 'Outbox loaded')
+  }
+
+  // Waits for the pending writes to the disk
+  async flush () {
+    await this.#persisting
+  }
+
+  #handleFailure (category, payload, err) {
+    if (isPermanentFailure(err)) {
+      this.#stats[category].dropped++
+      this.#logger.error({ err, category }, 'Payload rejected by ICC, dropping it')
+      return
+    }
+
+    this.#logger.warn({ err, category }, 'Failed to send to ICC, queuing it for replay')
+    this.enqueue(category, payload)
+  }
+
+  #isValidItem (item) {
+    return typeof item === 'object' && item !== null &&
+      Object.hasOwn(this.#categories, item.category) &&
+      Number.isInteger(item.seq) &&
+      Number.isFinite(item.enqueuedAt) &&
+      Object.hasOwn(item, 'payload')
+  }
+
+  // Keeps the newest maxItems items of the category
+  #dropOverflow (category) {
+    const { maxItems } = this.#categories[category]
+
+    const categoryItems = this.#items.filter(item => item.category === category)
+    if (categoryItems.length > maxItems) {
+      const overflow = new Set(categoryItems.slice(0, categoryItems.length - maxItems))
+      this.#items = this.#items.filter(item => !overflow.has(item))
+      this.#stats[category].dropped += overflow.size
+      this.#logger.warn({ category, count: overflow.size }, 'Outbox is full, dropping the oldest items')
+      this.#remove([...overflow])
+    }
+  }
+
+  #dropExpired () {
+    const now = Date.now()
+    const kept = []
+    const expired = []
+    for (const item of this.#items) {
+      if (now - item.enqueuedAt > this.#categories[item.category].maxAge) {
+        this.#stats[item.category].dropped++
+        expired.push(item)
+      } else {
+        kept.push(item)
+      }
+    }
+
+    if (expired.length > 0) {
+      this.#logger.warn({ count: expired.length }, 'Dropping expired outbox items')
+      this.#items = kept
+      this.#remove(expired)
+    }
+  }
+
+  #save ({ file, ...item }) {
+    this.#write(async () => {
+      const path = join(this.#dir, file)
+      await mkdir(this.#dir, { recursive: true })
+      await writeFile(`${path}.tmp`, JSON.stringify(item))
+      await rename(`${path}.tmp`, path)
+    })
+  }
+
+  #remove (items) {
+    this.#write(() => Promise.all(items.map(({ file }) => rm(join(this.#dir, file), { force: true }))))
+  }
+
+  // Writes are serialized, so that an item is never removed before being saved
+  #write (operation) {
+    if (!this.#dir) return
+
+    this.#persisting = this.#persisting
+      .then(operation)
+      .catch((err) => {
+        this.#logger.error({ err, dir: this.#dir }, 'Failed to save the outbox')
+      })
+  }
+}
+
+export { Outbox }
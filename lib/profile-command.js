@@ -0,0 +1,76 @@
+import minimist from 'minimist'
+import { writeFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
+import { request } from 'undici'
+import { adminHeaders, resolveAdminOptions } from './admin-client.js'
+
+// Parse profile command argv
+export function parseProfileArgs (argv, env = process.env) {
+  const args = minimist(argv, {
+    alias: {
+      h: 'help',
+      t: 'type',
+      s: 'service',
+      o: 'out',
+      p: 'port',
+      H: 'hostname'
+    },
+    boolean: ['help'],
+    string: ['type', 'service', 'out', 'port', 'hostname', 'token'],
+    default: {
+      type: 'cpu'
+    }
+  })
+
+  if (args.help) {
+    return { help: true }
+  }
+
+  if (!args.service) {
+    throw new Error('Missing required option --service')
+  }
+
+  if (args.type !== 'cpu' && args.type !== 'heap') {
+    throw new Error(`Unsupported profile type "${args.type}", use "cpu" or "heap"`)
+  }
+
+  const { url, token } = resolveAdminOptions(args, env)
+  const out = args.out || `${args.service.replaceAll(':', '-')}-${args.type}.pb`
+
+  return {
+    help: false,
+    type: args.type,
+    service: args.service,
+    out: resolve(out),
+    url,
+    token
+  }
+}
+
+// Downloads the last profile of a worker from the admin API of a running
+// watt-extra instance and writes it to the `out` file
+export async function downloadProfile ({ url, token, service, type, out }) {
+  const { statusCode, headers, body } = await request(
+    `${url}/profiles/${encodeURIComponent(service)}`,
+    {
+      query: { type },
+      headers: adminHeaders(token)
+    }
+  )
+
+  if (statusCode !== 200) {
+    const error = await body.json().catch(() => ({}))
+    throw new Error(`Failed to download the profile (${statusCode}): ${error.message ?? 'unknown error'}`)
+  }
+
+  const profile = Buffer.from(await body.arrayBuffer())
+  await writeFile(out, profile)
+
+  const timestamp = headers['x-profile-timestamp']
+  return {
+    out,
+    size: profile.length,
+    timestamp: timestamp ? Number(timestamp) : null,
+    preserved: headers['x-profile-preserved'] === 'true'
+  }
+}
@@ -0,0 +1,158 @@
+import { mkdir, readdir, readFile, rm, writeFile, rename } from 'node:fs/promises'
+import { join } from 'node:path'
+import { randomUUID } from 'node:crypto'
+
+// Stores captured profiles on the local disk, so they survive a failed
+// upload (or a missing scaler) and can be uploaded later.
+// Each profile is saved as `<id>.pprof` with a `<id>.json` metadata file.
+class ProfileStore {
+  #dir
+  #maxCount
+  #maxSize
+  #maxAge
+  #logger
+
+  constructor ({ dir, maxCount, maxSize, maxAge, logger }) {
+    this.#dir = dir
+    this.#maxCount = maxCount
+    this.#maxSize = maxSize
+    this.#maxAge = maxAge
+    this.#logger = logger
+  }
+
+  get dir () {
+    return this.#dir
+  }
+
+  async save (data, { serviceId, workerId, type, alertId, timestamp }) {
+    await mkdir(this.#dir, { recursive: true })
+
+    // The same profile can be captured again after a failed upload
+    const entries = await this.list()
+    const existing = entries.find(entry =>
+      entry.workerId === workerId &&
+      entry.type === type &&
+      entry.timestamp === timestamp
+    )
+    if (existing) return existing
+
+    const entry = {
+      id: `${Date.now()}-${randomUUID()}`,
+      serviceId,
+      workerId,
+      type,
+      alertId: alertId ?? null,
+      timestamp: timestamp ?? Date.now(),
+      size: data.length,
+      uploaded: false,
+      flamegraphId: null
+    }
+
+    await writeFile(this.#profilePath(entry.id), data)
+    await this.#writeMetadata(entry)
+    await this.enforceRetention()
+
+    return entry
+  }
+
+  async markUploaded (id, flamegraphId) {
+    const entry = await this.#readMetadata(id)
+    if (!entry) return
+
+    entry.uploaded = true
+    entry.flamegraphId = flamegraphId ?? null
+    await this.#writeMetadata(entry)
+  }
+
+  // Returns the metadata of all the stored profiles, oldest first
+  async list () {
+    let files
+    try {
+      files = await readdir(this.#dir)
+    } catch (err) {
+      if (err.code === 'ENOENT') return []
+      throw err
+    }
+
+    const entries = []
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue
+
+      const entry = await this.#readMetadata(file.slice(0, -'.json'.length))
+      if (entry) entries.push(entry)
+    }
+    return entries.sort((a, b) => a.timestamp - b.timestamp)
+  }
+
+  async listPending () {
+    const entries = await this.list()
+    return entries.filter(entry => !entry.uploaded)
+  }
+
+  async read (id) {
+    try {
+      return new Uint8Array(await readFile(this.#profilePath(id)))
+    } catch (err) {
+      if (err.code === 'ENOENT') return null
+      throw err
+    }
+  }
+
+  async remove (id) {
+    await rm(this.#profilePath(id), { force: true })
+    await rm(this.#metadataPath(id), { force: true })
+  }
+
+  // Removes the profiles older than maxAge, then the oldest ones
+  // until both the count and the total size fit the limits
+  async enforceRetention () {
+    const now = Date.now()
+    const entries = await this.list()
+
+    const kept = []
+    for (const entry of entries) {
+      if (now - entry.timestamp > this.#maxAge) {
+        await this.remove(entry.id)
+      } else {
+        kept.push(entry)
+      }
+    }
+
+    let totalSize = kept.reduce((size, entry) => size + entry.size, 0)
+    while (kept.length > 0 && (kept.length > this.#maxCount || totalSize > this.#maxSize)) {
+      const entry = kept.shift()
+      totalSize -= entry.size
+      this.#logger.debug({ id: entry.id, uploaded: entry.uploaded }, 'Removing stored profile to enforce retention')
+      await this.remove(entry.id)
+    }
+  }
+
+  #profilePath (id) {
+    return join(this.#dir, `${id}.pprof`)
+  }
+
+  #metadataPath (id) {
+    return join(this.#dir, `${id}.json`)
+  }
+
+  async #readMetadata (id) {
+    try {
+      return JSON.parse(await readFile(this.#metadataPath(id), 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.#logger.warn({ err, id }, 'Failed to read stored profile metadata')
+      }
+      return null
+    }
+  }
+
+  // Write and rename, so a crash never leaves a truncated metadata file
+  async #writeMetadata (entry) {
+    const path = this.#metadataPath(entry.id)
+    const tmpPath = `${path}.tmp`
+    await writeFile(tmpPath, JSON.stringify(entry))
+    await rename(tmpPath, path)
+  }
+}
+
+export { ProfileStore }
@@ -0,0 +1,119 @@
+import { CircuitOpenError } from './errors.js'
+
+// Exponential backoff with full jitter: a random delay between 0 and
+// baseDelay * 2^attempt, capped at maxDelay. The randomness spreads the
+// retries of all the instances when ICC comes back after an outage.
+function computeBackoff (attempt, { baseDelay, maxDelay, random = Math.random }) {
+  const cap = Math.min(maxDelay, baseDelay * Math.pow(2, attempt))
+  return Math.round(random() * cap)
+}
+
+// Client errors are not a sign that the service is down
+function isServiceFailure (err) {
+  const statusCode = err?.statusCode
+  return !(statusCode >= 400 && statusCode < 500)
+}
+
+// For clients that return the response instead of throwing
+function isServerErrorResponse (res) {
+  return res?.statusCode >= 500
+}
+
+// Stops calling a service after `failureThreshold` consecutive failures.
+// After `resetTimeout` a single trial call is let through (half-open):
+// if it succeeds the circuit closes, otherwise it opens again.
+class CircuitBreaker {
+  #name
+  #failureThreshold
+  #resetTimeout
+  #logger
+  #state = 'closed'
+  #failures = 0
+  #openedAt = null
+  #trialInFlight = false
+
+  constructor ({ name, failureThreshold, resetTimeout, logger }) {
+    this.#name = name
+    this.#failureThreshold = failureThreshold
+    this.#resetTimeout = resetTimeout
+    this.#logger = logger
+  }
+
+  get state () {
+    if (this.#state === 'open' && Date.now() - this.#openedAt >= this.#resetTimeout) {
+      return 'half-open'
+    }
+    return this.#state
+  }
+
+  // Runs fn through the breaker. Thrown errors count as failures, unless they
+  // are client errors. Use isFailedResult for clients that return the status.
+  async execute (fn, { isFailedResult } = {}) {
+    const state = this.state
+    if (state === 'open' || (state === 'half-open' && this.#trialInFlight)) {
+      throw new CircuitOpenError(this.#name)
+    }
+
+    const isTrial = state === 'half-open'
+    if (isTrial) {
+      this.#trialInFlight = true
+    }
+
+    try {
+      let result
+      try {
+        result = await fn()
+      } catch (err) {
+        if (isServiceFailure(err)) {
+          this.#onFailure()
+        } else {
+          this.#onSuccess()
+        }
+        throw err
+      }
+
+      if (isFailedResult?.(result)) {
+        this.#onFailure()
+      } else {
+        this.#onSuccess()
+      }
+      return result
+    } finally {
+      if (isTrial) {
+        this.#trialInFlight = false
+      }
+    }
+  }
+
+  getInfo () {
+    return {
+      state: this.state,
+      failures: this.#failures,
+      openedAt: this.#openedAt
+    }
+  }
+
+  #onSuccess () {
+    if (this.#state !== 'closed') {
+      this.#logger.info({ service: this.#name }, 'ICC service is reachable again, closing circuit')
+    }
+    this.#state = 'closed'
+    this.#failures = 0
+    this.#openedAt = null
+  }
+
+  #onFailure () {
+    this.#failures++
+
+    const wasTrial = this.#state === 'open'
+    if (wasTrial || this.#failures >= this.#failureThreshold) {
+      if (!wasTrial) {
+        this.#logger.warn({ service: this.#name, failures: this.#failures }, 'ICC service is failing, opening circuit')
+      }
+      this.#state = 'open'
+      this.#openedAt = Date.now()
+    }
+  }
+}
+
+export { computeBackoff, isServerErrorResponse, CircuitBreaker }
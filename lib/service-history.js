@@ -0,0 +1,81 @@
+// Fixed size buffer that overwrites the oldest items when full
+class RingBuffer {
+  #items
+  #start = 0
+  #size = 0
+
+  constructor (capacity) {
+    this.#items = new Array(capacity)
+  }
+
+  push (item) {
+    const capacity = this.#items.length
+    if (capacity === 0) return
+
+    this.#items[(this.#start + this.#size) % capacity] = item
+    if (this.#size < capacity) {
+      this.#size++
+    } else {
+      this.#start = (this.#start + 1) % capacity
+    }
+  }
+
+  // The last `count` items, oldest first
+  last (count = this.#size) {
+    const n = Math.min(count, this.#size)
+    const items = []
+    for (let i = this.#size - n; i < this.#size; i++) {
+      items.push(this.#items[(this.#start + i) % this.#items.length])
+    }
+    return items
+  }
+
+  get size () {
+    return this.#size
+  }
+}
+
+// Recent log lines and worker lifecycle events of each service,
+// attached to the alerts to explain what happened before them
+class ServiceHistory {
+  #logs = new Map()
+  #events = new Map()
+  #maxLogs
+  #maxEvents
+  #maxLineLength
+
+  constructor ({ maxLogs, maxEvents, maxLineLength = 2048 }) {
+    this.#maxLogs = maxLogs
+    this.#maxEvents = maxEvents
+    this.#maxLineLength = maxLineLength
+  }
+
+  addLog (serviceId, line) {
+    if (line.length > this.#maxLineLength) {
+      line = line.slice(0, this.#maxLineLength) + '...'
+    }
+    this.#getBuffer(this.#logs, serviceId, this.#maxLogs).push(line)
+  }
+
+  addEvent (serviceId, event) {
+    this.#getBuffer(this.#events, serviceId, this.#maxEvents).push(event)
+  }
+
+  getExcerpt (serviceId) {
+    return {
+      logs: this.#logs.get(serviceId)?.last() ?? [],
+      events: this.#events.get(serviceId)?.last() ?? []
+    }
+  }
+
+  #getBuffer (buffers, serviceId, capacity) {
+    let buffer = buffers.get(serviceId)
+    if (!buffer) {
+      buffer = new RingBuffer(capacity)
+      buffers.set(serviceId, buffer)
+    }
+    return buffer
+  }
+}
+
+export { RingBuffer, ServiceHistory }
@@ -0,0 +1,98 @@
+import { parseMemorySize } from '@platformatic/foundation'
+
+const defaultCriteria = { elu: 0.85, samples: 1, window: 1 }
+
+// These are not part of the runtime health metrics, they are
+// requested to the workers only when a threshold is set
+const detailsCriteria = ['rss', 'eventLoopDelay', 'activeHandles']
+
+function toBytes (size) {
+  return typeof size === 'string' ? parseMemorySize(size) : size
+}
+
+function parseSizes ({ heapTotal, rss, ...criteria }) {
+  if (heapTotal !== undefined) criteria.heapTotal = toBytes(heapTotal)
+  if (rss !== undefined) criteria.rss = toBytes(rss)
+  return criteria
+}
+
+// Returns the criteria with the memory sizes in bytes. The criteria must
+// have been validated with validateUnhealthyCriteria.
+export function parseCriteriaSizes ({ applications, ...criteria }) {
+  const parsed = parseSizes(criteria)
+  if (applications) {
+    parsed.applications = Object.fromEntries(
+      Object.entries(applications).map(([id, applicationCriteria]) => [id, parseSizes(applicationCriteria)])
+    )
+  }
+  return parsed
+}
+
+// Merges the criteria sources, the last ones take precedence. In each source
+// the criteria of the application override the ones for all applications.
+// The memory sizes of the sources are in bytes, see parseCriteriaSizes.
+export function resolveUnhealthyCriteria (sources, applicationId, healthConfig) {
+  const criteria = {
+    ...defaultCriteria,
+    heapUsed: healthConfig?.maxHeapUsed ?? 0.99
+  }
+
+  for (const source of sources) {
+    if (!source) continue
+    const { applications, ...common } = source
+    Object.assign(criteria, common, applications?.[applicationId])
+  }
+
+  criteria.window = Math.max(criteria.window, criteria.samples)
+  return criteria
+}
+
+export function needsHealthDetails (criteria) {
+  return detailsCriteria.some(name => criteria[name] !== undefined)
+}
+
+// Returns the criteria the sample exceeds, with the value and the threshold
+export function getBreaches (sample, criteria) {
+  const values = {
+    elu: sample.elu,
+    heapUsed: sample.heapTotal ? sample.heapUsed / sample.heapTotal : undefined,
+    heapTotal: sample.heapTotal,
+    rss: sample.rss,
+    eventLoopDelay: sample.eventLoopDelay,
+    activeHandles: sample.activeHandles
+  }
+
+  const breaches = []
+  for (const [criterion, value] of Object.entries(values)) {
+    const threshold = criteria[criterion]
+    if (threshold !== undefined && value !== undefined && value > threshold) {
+      breaches.push({ criterion, value, threshold })
+    }
+  }
+  return breaches
+}
+
+// Tracks the last samples of each worker to apply the "N of M" semantics:
+// a worker is unhealthy when `samples` of its last `window` samples are
+export class SampleWindows {
+  #windows = new Map()
+
+  add (workerId, unhealthy, { samples, window }) {
+    let results = this.#windows.get(workerId)
+    if (!results) {
+      results = []
+      this.#windows.set(workerId, results)
+    }
+
+    results.push(unhealthy)
+    if (results.length > window) {
+      results.splice(0, results.length - window)
+    }
+
+    return results.filter(Boolean).length >= samples
+  }
+
+  clear () {
+    this.#windows.clear()
+  }
+}
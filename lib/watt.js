@@ -3,7 +3,9 @@ import dns from 'node:dns/promises'
 import { readFile } from 'node:fs/promises'
 import { join, resolve } from 'node:path'
 import { createRequire } from 'node:module'
+import { fileURLToPath } from 'node:url'
 import semver from 'semver'
+import { IccConfigUpdateError } from './errors.js'
 
 const require = createRequire(import.meta.url)
 
@@ -52,9 +54,22 @@ class Watt {
     this.#instanceConfig = app.instanceConfig
   }
 
-  async spawn () {
+  // beforeStart(runtime) is called once the runtime is initialized, the
+  // runtime is closed without starting it if it throws
+  async spawn ({ beforeStart } = {}) {
     try {
       this.runtime = await this.#createRuntime()
+
+      if (beforeStart) {
+        try {
+          await beforeStart(this.runtime)
+        } catch (err) {
+          await this.runtime.close()
+          this.runtime = null
+          throw err
+        }
+      }
+
       this.#logger.info('Starting runtime -WATT')
       await this.runtime.start()
       await this.#applySchedulerMode(this.runtime)
@@ -80,23 +95,60 @@ class Watt {
     }
   }
 
-  async applyIccConfigUpdates (config) {
+  // The update is transactional: if the interceptors cannot be updated,
+  // the previous config is restored, both here and in the runtime
+  async applyIccConfigUpdates (config, previous = {}) {
     this.#logger.info({ config }, 'Applying ICC config updates')
 
+    const previousConfig = this.#instanceConfig?.config
     if (this.#instanceConfig) {
       this.#instanceConfig.config = config
     }
 
-    if (config.httpCacheConfig) {
+    // The runtime telemetry cannot be reconfigured once started
+    if (config.enableOpenTelemetry !== previous.enableOpenTelemetry) {
+      this.#logger.warn(
+        { enableOpenTelemetry: config.enableOpenTelemetry },
+        'OpenTelemetry enablement changed, it will be applied when the instance restarts'
+      )
+    }
+
+    const interceptorsChanged =
+      config.enableSlicerInterceptor !== previous.enableSlicerInterceptor ||
+      config.enableTrafficInterceptor !== previous.enableTrafficInterceptor
+
+    if (config.httpCacheConfig || interceptorsChanged) {
       try {
-        const undiciConfig = await this.#getUndiciConfig()
-        await this.runtime.updateUndiciInterceptors?.(undiciConfig)
+        await this.#updateUndiciInterceptors()
       } catch (err) {
-        this.#logger.error({ err }, 'Failed to update undici interceptors')
+        this.#logger.error({ err }, 'Failed to update undici interceptors, rolling back the config')
+        await this.#rollbackIccConfig(previousConfig)
+        throw new IccConfigUpdateError(err.message, { cause: err })
       }
     }
   }
 
+  async #updateUndiciInterceptors () {
+    const undiciConfig = this.#getUndiciConfig()
+    if (!this.runtime?.updateUndiciInterceptors) return
+
+    // Rejects when any of the workers fails to update its interceptors
+    await this.runtime.updateUndiciInterceptors(undiciConfig)
+  }
+
+  async #rollbackIccConfig (previousConfig) {
+    if (this.#instanceConfig) {
+      this.#instanceConfig.config = previousConfig
+    }
+
+    try {
+      await this.#updateUndiciInterceptors()
+      this.#logger.info('Restored the previous undici interceptors')
+    } catch (err) {
+      this.#logger.error({ err }, 'Failed to restore the previous undici interceptors')
+    }
+  }
+
   async updateInstanceConfig (instanceConfig) {
     this.#logger.info({ applicationId: instanceConfig?.applicationId }, 'Updating instance config after ICC recovery')
 
@@ -164,6 +216,9 @@ class Watt {
 
     const runtime = await create(this.#appDir, null, {
       isProduction: true,
+      // Shutdown signals and uncaught errors are handled by watt-extra, which
+      // drains the instance first (see plugins/shutdown.js)
+      setupSignals: false,
       transform: async (config, schema, options) => {
         // Forward schema and options: the runtime's transform reads isProduction
         // from options, and defaults watch to !isProduction when it is missing.
@@ -245,10 +300,16 @@ class Watt {
       ]
     }
 
+    if (config.preload === undefined) {
+      config.preload = []
+    }
+
+    // Lets watt-extra change the log level of the workers at runtime
+    config.preload.push(fileURLToPath(new URL('./worker-log-level.js', import.meta.url)))
+    // Reports the health details used by the unhealthy criteria of the alerts
+    config.preload.push(fileURLToPath(new URL('./worker-health.js', import.meta.url)))
+
     if (this.#env.PLT_DISABLE_FLAMEGRAPHS !== true) {
-      if (config.preload === undefined) {
-        config.preload = []
-      }
       const pprofPath = require.resolve('@platformatic/wattpm-pprof-capture')
       config.preload.push(pprofPath)
     }
@@ -266,8 +327,7 @@ class Watt {
       undiciConfig.interceptors = []
     }
 
-    const enableSlicerInterceptor =
-      this.#instanceConfig?.enableSlicerInterceptor ?? false
+    const enableSlicerInterceptor = this.#getIccFlag('enableSlicerInterceptor')
     if (enableSlicerInterceptor) {
       const slicerInterceptorConfig = this.#getSlicerInterceptorConfig(config)
       if (slicerInterceptorConfig) {
@@ -275,8 +335,7 @@ class Watt {
       }
     }
 
-    const enableTrafficInterceptor =
-      this.#instanceConfig?.enableTrafficInterceptor ?? false
+    const enableTrafficInterceptor = this.#getIccFlag('enableTrafficInterceptor')
     if (enableTrafficInterceptor) {
       const trafficInterceptorConfig =
         this.#getTrafficInterceptorConfig()
@@ -403,9 +462,15 @@ class Watt {
     return mergedConfig
   }
 
+  // The flags pushed by ICC with a config update take precedence
+  // over the ones received when the instance was initialized
+  #getIccFlag (flag) {
+    return !!(this.#instanceConfig?.config?.[flag] ?? this.#instanceConfig?.[flag])
+  }
+
   #configureTelemetry (config) {
     const enableOpenTelemetry =
-      !!this.#instanceConfig?.enableOpenTelemetry &&
+      this.#getIccFlag('enableOpenTelemetry') &&
       !!this.#instanceConfig?.iccServices?.riskEngine?.url
 
     const iccExporter = {
@@ -0,0 +1,23 @@
+// Preloaded in every runtime worker by watt-extra: reports the health
+// details that the runtime health metrics do not include, used by the
+// unhealthy criteria of the alerts (see plugins/alerts.js).
+import { monitorEventLoopDelay } from 'node:perf_hooks'
+import { onItcReady } from './worker-itc.js'
+
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 })
+eventLoopDelay.enable()
+
+onItcReady((itc) => {
+  // The event loop delay is the p99 since the previous call, in milliseconds.
+  // The RSS is the one of the whole process, shared by all the workers.
+  itc.handle('getHealthDetails', () => {
+    const delay = eventLoopDelay.percentile(99) / 1e6
+    eventLoopDelay.reset()
+
+    return {
+      rss: process.memoryUsage.rss(),
+      eventLoopDelay: Math.round(delay * 100) / 100,
+      activeHandles: process.getActiveResourcesInfo().length
+    }
+  })
+})
@@ -0,0 +1,23 @@
+// Used by the watt-extra preloads. Preloads run before the worker thread
+// initialization completes, so ITC is not available yet: polls until it is.
+// The timer never keeps the worker alive, and polling stops after
+// maxAttempts when the worker is not a Platformatic one.
+export function onItcReady (callback, { interval = 10, maxAttempts = 3000 } = {}) {
+  let attempts = 0
+
+  const timer = setInterval(() => {
+    const itc = globalThis.platformatic?.itc
+    if (itc) {
+      clearInterval(timer)
+      callback(itc)
+      return
+    }
+
+    if (++attempts >= maxAttempts) {
+      clearInterval(timer)
+    }
+  }, interval)
+  timer.unref()
+
+  return timer
+}
@@ -0,0 +1,28 @@
+// Preloaded in every runtime worker by watt-extra: lets the main thread
+// change the level of the worker loggers at runtime (see plugins/log-level.js).
+import { onItcReady } from './worker-itc.js'
+
+// The application does not log with the global logger of the worker: a service
+// logs with its Fastify logger, a child created when the service starts that
+// keeps its own level. Other capabilities log with the capability logger.
+function getApplicationLogger (capability) {
+  return capability?.getApplication?.()?.log ?? capability?.logger
+}
+
+onItcReady((itc) => {
+  // The application logger is restored to its own level
+  itc.handle('setLogLevel', ({ level, capabilityLevel = level }) => {
+    const { logger, capability } = globalThis.platformatic
+    const previous = logger.level
+    logger.level = level
+
+    let capabilityPrevious = previous
+    const applicationLogger = getApplicationLogger(capability)
+    if (applicationLogger && applicationLogger !== logger) {
+      capabilityPrevious = applicationLogger.level
+      applicationLogger.level = capabilityLevel
+    }
+
+    return { level, previous, capabilityPrevious }
+  })
+})
@@ -0,0 +1,279 @@
+import { AdminServer, createHttpError } from '../lib/admin-server.js'
+
+const SECRET_KEY_PATTERN = /token|secret|password/i
+
+// Runtime errors returned when a profile cannot be downloaded
+const PROFILE_ERROR_STATUS_CODES = {
+  PLT_RUNTIME_APPLICATION_NOT_FOUND: 404,
+  PLT_RUNTIME_WORKER_NOT_FOUND: 404,
+  PLT_PPROF_NO_PROFILE_AVAILABLE: 404,
+  PLT_PPROF_NOT_ENOUGH_ELU: 404,
+  PLT_RUNTIME_LAST_PROFILE_TIMEOUT: 503
+}
+
+// Env values can be JSON documents (e.g. PLT_CACHE_CONFIG), their secrets are
+// redacted the same way
+function redactJsonString (value) {
+  if (!/^\s*[[{]/.test(value)) return value
+
+  let parsed
+  try {
+    parsed = JSON.parse(value)
+  } catch {
+    return value
+  }
+  return JSON.stringify(redactSecrets(parsed))
+}
+
+// Instance config and env can carry credentials (e.g. the Redis cache password),
+// never expose them through the admin API
+function redactSecrets (value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets)
+  }
+  if (typeof value === 'string') {
+    return redactJsonString(value)
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+
+  const redacted = {}
+  for (const [key, nested] of Object.entries(value)) {
+    redacted[key] = SECRET_KEY_PATTERN.test(key) && nested != null
+      ? '[REDACTED]'
+      : redactSecrets(nested)
+  }
+  return redacted
+}
+
+async function admin (app, _opts) {
+  const adminServer = new AdminServer({
+    token: app.env.PLT_ADMIN_TOKEN,
+    logger: app.log
+  })
+
+  function requireRuntime () {
+    if (!app.watt?.runtime) {
+      throw createHttpError(503, 'Runtime not started')
+    }
+  }
+
+  // Read endpoints
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/instance',
+    handler: async () => ({
+      applicationName: app.applicationName ?? null,
+      applicationId: app.instanceConfig?.applicationId ?? null,
+      instanceId: app.instanceId ?? null,
+      runtimeId: app.getRuntimeId?.() ?? null,
+      status: app.getStatus?.() ?? null,
+      instanceConfig: redactSecrets(app.instanceConfig ?? null)
+    })
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/env',
+    handler: async () => redactSecrets(app.env)
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/scheduler/jobs',
+    handler: async () => {
+      requireRuntime()
+      return { jobs: await app.collectSchedulerJobs() }
+    }
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/flamegraphs',
+    handler: async () => ({
+      profiles: app.getFlamegraphsCache(),
+      stored: await app.listStoredProfiles?.() ?? []
+    })
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/outbox',
+    handler: async () => app.outbox.getStats()
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/circuit-breakers',
+    handler: async () => app.getCircuitBreakersInfo()
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/compliance/rules',
+    handler: async () => {
+      const rules = await app.getComplianceRules()
+      return { rules: rules.list() }
+    }
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/compliance/report',
+    handler: async () => ({ report: app.getComplianceReport() })
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/local-scaler',
+    handler: async () => app.getLocalScalerInfo()
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/log-level',
+    handler: async () => app.getLogLevels()
+  })
+
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/updates',
+    handler: async () => app.getUpdatesState()
+  })
+
+  // Downloads the last profile captured by a worker (or by any worker of a service)
+  adminServer.addRoute({
+    method: 'GET',
+    path: '/profiles/:workerId',
+    handler: async ({ params, query }, reply) => {
+      requireRuntime()
+
+      const { type = 'cpu' } = query
+      if (type !== 'cpu' && type !== 'heap') {
+        throw createHttpError(400, `Unsupported profile type "${type}"`)
+      }
+
+      let result
+      try {
+        result = await app.watt.runtime.getApplicationLastProfile(params.workerId, { type })
+      } catch (err) {
+        const statusCode = PROFILE_ERROR_STATUS_CODES[err.code]
+        if (statusCode) {
+          err.statusCode = statusCode
+        }
+        throw err
+      }
+
+      if (result.timestamp) {
+        reply.header('x-profile-timestamp', String(result.timestamp))
+      }
+      reply.header('x-profile-preserved', String(result.preserved === true))
+      return result.profile
+    }
+  })
+
+  // Actions
+
+  adminServer.addRoute({
+    method: 'POST',
+    path: '/flamegraphs',
+    handler: async ({ body }) => {
+      requireRuntime()
+
+      const { type: profileType = 'cpu', workerIds } = body
+      if (profileType !== 'cpu' && profileType !== 'heap') {
+        throw createHttpError(400, `Unsupported profile type "${profileType}"`)
+      }
+
+      app.log.info({ profileType, workerIds }, 'Triggering profile from admin API')
+      await app.sendFlamegraphs({ profileType, workerIds })
+      return { success: true }
+    }
+  })
+
+  adminServer.addRoute({
+    method: 'POST',
+    path: '/log-level',
+    handler: async ({ body }) => {
+      const { level, application, durationSec } = body
+      if (durationSec !== undefined && !(Number.isFinite(durationSec) && durationSec > 0)) {
+        throw createHttpError(400, 'durationSec must be a positive number')
+      }
+
+      app.log.info({ level, application, durationSec }, 'Changing log level from admin API')
+      return app.setLogLevel({
+        level,
+        application,
+        duration: durationSec === undefined ? undefined : durationSec * 1000
+      })
+    }
+  })
+
+  adminServer.addRoute({
+    method: 'POST',
+    path: '/metadata',
+    handler: async () => {
+      requireRuntime()
+
+      app.log.info('Resending metadata from admin API')
+      await app.sendMetadata()
+      return { success: true }
+    }
+  })
+
+  adminServer.addRoute({
+    method: 'POST',
+    path: '/updates/reconnect',
+    handler: async () => {
+      app.log.info('Reconnecting updates websocket from admin API')
+      await app.reconnectUpdates()
+      return app.getUpdatesState()
+    }
+  })
+
+  adminServer.addRoute({
+    method: 'POST',
+    path: '/scheduler/jobs/:name/run',
+    handler: async ({ params }) => {
+      requireRuntime()
+
+      const jobs = await app.collectSchedulerJobs()
+      const job = jobs.find(job => job.name === params.name)
+      if (!job) {
+        throw createHttpError(404, `Scheduled job "${params.name}" not found`)
+      }
+
+      // An explicit run from an operator is not blocked by a pause from ICC
+      app.log.info({ name: job.name }, 'Running scheduled job from admin API')
+      const result = await app.runScheduledJob(job)
+      return { success: result?.success !== false, result }
+    }
+  })
+
+  async function setupAdmin () {
+    const port = app.env.PLT_ADMIN_PORT
+    if (port === undefined) {
+      app.log.debug('PLT_ADMIN_PORT not set, skipping admin API setup')
+      return
+    }
+
+    if (!app.env.PLT_ADMIN_TOKEN) {
+      app.log.warn('PLT_ADMIN_TOKEN not set, admin API endpoints requiring authentication are disabled')
+    }
+
+    const url = await adminServer.listen({
+      port,
+      hostname: app.env.PLT_ADMIN_HOSTNAME
+    })
+    app.adminUrl = url
+    app.log.info({ url }, 'Admin API listening')
+  }
+
+  app.setupAdmin = setupAdmin
+  app.closeAdmin = () => adminServer.close()
+  app.addAdminRoute = (route) => adminServer.addRoute(route)
+}
+
+export default admin
@@ -1,14 +1,98 @@
 import { request } from 'undici'
+import { ScalerRequestError, ScalerUrlMissingError } from '../lib/errors.js'
+import { isServerErrorResponse } from '../lib/retry.js'
+import { validateUnhealthyCriteria } from '../lib/icc-config.js'
+import {
+  getBreaches,
+  needsHealthDetails,
+  parseCriteriaSizes,
+  resolveUnhealthyCriteria,
+  SampleWindows
+} from '../lib/unhealthy-criteria.js'
+
+function parseUnhealthyCriteria (app) {
+  const value = app.env.PLT_ALERTS_UNHEALTHY_CRITERIA
+  if (!value) return null
+
+  let criteria
+  try {
+    criteria = JSON.parse(value)
+  } catch (err) {
+    app.log.error({ err }, 'Failed to parse PLT_ALERTS_UNHEALTHY_CRITERIA, using the default criteria')
+    return null
+  }
+
+  const errors = validateUnhealthyCriteria(criteria, 'PLT_ALERTS_UNHEALTHY_CRITERIA')
+  if (errors.length > 0) {
+    app.log.error({ errors }, 'Invalid PLT_ALERTS_UNHEALTHY_CRITERIA, using the default criteria')
+    return null
+  }
+  return parseCriteriaSizes(criteria)
+}
+
+// The criteria of the config updates are validated before being applied,
+// the ones of the instance config fetched at startup are not
+function parseIccUnhealthyCriteria (app, criteria) {
+  if (!criteria) return null
+
+  const errors = validateUnhealthyCriteria(criteria, 'alerts.unhealthyCriteria')
+  if (errors.length > 0) {
+    app.log.error({ errors }, 'Invalid unhealthy criteria in the ICC config, ignoring them')
+    return null
+  }
+  return parseCriteriaSizes(criteria)
+}
 
 async function alerts (app, _opts) {
   const healthCache = [] // It's OK to have this in memory, this is per-pod.
-  const podHealthWindow =
-    app.instanceConfig?.scaler?.podHealthWindow || 60 * 1000
-  const alertRetentionWindow =
-    app.instanceConfig?.scaler?.alertRetentionWindow || 10 * 1000
+  let podHealthWindow = null
+  let alertRetentionWindow = null
+
+  // The unhealthy criteria pushed by ICC take precedence over the env ones
+  const envCriteria = parseUnhealthyCriteria(app)
+  let iccCriteria = null
+  const criteriaByApplication = new Map()
+  const sampleWindows = new SampleWindows()
+
+  // The config pushed by ICC takes precedence over the scaler one
+  function setAlertsConfig (config = {}) {
+    podHealthWindow = config.podHealthWindow ||
+      app.instanceConfig?.scaler?.podHealthWindow || 60 * 1000
+    alertRetentionWindow = config.alertRetentionWindow ??
+      (app.instanceConfig?.scaler?.alertRetentionWindow || 10 * 1000)
+
+    iccCriteria = parseIccUnhealthyCriteria(app, config.unhealthyCriteria)
+    criteriaByApplication.clear()
+    sampleWindows.clear()
+  }
+  setAlertsConfig(app.instanceConfig?.config?.alerts)
+
+  function getUnhealthyCriteria (applicationId) {
+    let criteria = criteriaByApplication.get(applicationId)
+    if (!criteria) {
+      const healthConfig = app.watt.getHealthConfig()
+      criteria = resolveUnhealthyCriteria([envCriteria, iccCriteria], applicationId, healthConfig)
+      criteriaByApplication.set(applicationId, criteria)
+    }
+    return criteria
+  }
+
+  // Returns an empty object for the workers without the watt-extra preload
+  async function getHealthDetails (runtime, workerId) {
+    try {
+      return await runtime.sendCommandToApplication(workerId, 'getHealthDetails') ?? {}
+    } catch (err) {
+      app.log.debug({ err, workerId }, 'Failed to get the worker health details')
+      return {}
+    }
+  }
 
   const lastServicesAlertTime = {}
   const workerStartTimes = new Map() // Track per-worker start times for grace period
+  const pendingAlerts = new Set()
+  // Set when the alerts are set up, it's the default start time for
+  // workers that started before the listener was registered
+  let alertsStartTime = null
 
   // Store listener references for cleanup
   let workerStartedListener = null
@@ -22,9 +106,6 @@ async function alerts (app, _opts) {
     }
     app.log.info('Setting up v1 scaler alerts')
 
-    // Grace period during which alerts are suppressed per-worker.
-    const gracePeriodMs = app.env.PLT_ALERTS_GRACE_PERIOD_SEC * 1000
-
     // Skip alerts setup if ICC is not configured
     if (!app.env.PLT_ICC_URL) {
       app.log.info('PLT_ICC_URL not set, skipping alerts setup')
@@ -41,6 +122,9 @@ async function alerts (app, _opts) {
       return
     }
 
+    // Logs and worker events are only collected when alerts can be sent
+    await app.setupServiceHistory()
+
     const healthEventName = app.watt.runtimeSupportsNewHealthMetrics()
       ? 'application:worker:health:metrics'
       : 'application:worker:health'
@@ -53,8 +137,7 @@ async function alerts (app, _opts) {
       runtime.removeListener(healthEventName, healthListener)
     }
 
-    // Default start time for workers that started before the listener was registered
-    const pluginStartTime = Date.now()
+    alertsStartTime = Date.now()
 
     // Listen for worker start events to track start times
     workerStartedListener = (workerInfo) => {
@@ -89,9 +172,7 @@ async function alerts (app, _opts) {
       }
 
       // Skip sending alerts during worker's grace period.
-      // Use plugin start time as default for workers that started before the listener.
-      const workerStartTime = workerStartTimes.get(workerId) ?? pluginStartTime
-      if (timestamp - workerStartTime < gracePeriodMs) {
+      if (isWorkerInGracePeriod(workerId, timestamp)) {
         app.log.debug({ workerId }, 'Skipping alert during worker grace period')
         return
       }
@@ -130,35 +211,21 @@ async function alerts (app, _opts) {
         lastServicesAlertTime[serviceId] = currentTime
         delete healthInfo.healthConfig
 
-        const authHeaders = await app.getAuthorizationHeaders()
-
-        const { statusCode, body } = await request(`${scalerUrl}/alerts`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            ...authHeaders
-          },
-          body: JSON.stringify({
-            applicationId: app.instanceConfig?.applicationId,
-            alert: healthInfo,
-            healthHistory: healthCache
-          })
+        const { logs, events } = app.serviceHistory.getExcerpt(serviceId)
+        const promise = app.outbox.send('alerts', {
+          applicationId: app.instanceConfig?.applicationId,
+          workerId,
+          alert: healthInfo,
+          healthHistory: [...healthCache],
+          recentLogs: logs,
+          recentEvents: events
         })
-
-        if (statusCode !== 200) {
-          const error = await body.text()
-          app.log.error({ error }, 'Failed to send alert to scaler')
-          return
+        pendingAlerts.add(promise)
+        try {
+          await promise
+        } finally {
+          pendingAlerts.delete(promise)
         }
-
-        const alert = await body.json()
-
-        app.sendFlamegraphs({
-          workerIds: [workerId],
-          alertId: alert.id
-        }).catch(err => {
-          app.log.error({ err }, 'Failed to send a flamegraph')
-        })
       }
     }
 
@@ -176,24 +243,33 @@ async function alerts (app, _opts) {
           currentHealth
         } = health
 
-        const { elu, heapUsed, heapTotal } = currentHealth
-        const healthConfig = app.watt.getHealthConfig()
-
-        const unhealthyELUThreshold = 0.85
-        const maxHeapUsed = healthConfig?.maxHeapUsed ?? 0.99
-
-        const memoryUsage = heapUsed / heapTotal
-        const unhealthy = elu > unhealthyELUThreshold || memoryUsage > maxHeapUsed
-
-        const healthInfo = {
-          id,
-          application: serviceId,
-          currentHealth,
-          unhealthy,
-          healthConfig: healthConfig || {}
+        // The listener is called by an event emitter: nothing would handle the rejections
+        try {
+          const healthConfig = app.watt.getHealthConfig()
+          const criteria = getUnhealthyCriteria(serviceId)
+
+          let sample = currentHealth
+          if (needsHealthDetails(criteria)) {
+            sample = { ...currentHealth, ...await getHealthDetails(runtime, id) }
+          }
+
+          // The worker is unhealthy when enough of its last samples are
+          const breaches = getBreaches(sample, criteria)
+          const unhealthy = sampleWindows.add(id, breaches.length > 0, criteria)
+
+          const healthInfo = {
+            id,
+            application: serviceId,
+            currentHealth: sample,
+            unhealthy,
+            breaches,
+            healthConfig: healthConfig || {}
+          }
+
+          await processHealthInfo(healthInfo)
+        } catch (err) {
+          app.log.error({ err, workerId: id }, 'Failed to process the worker health')
         }
-
-        await processHealthInfo(healthInfo)
       }
     } else {
       // Runtime < 3.18.0:
@@ -202,6 +278,68 @@ async function alerts (app, _opts) {
     runtime.on(healthEventName, healthListener)
   }
   app.setupAlerts = setupAlerts
+  app.outbox.register('alerts', sendAlert)
+
+  // Grace period during which alerts are suppressed per-worker.
+  // Use the alerts start time as default for workers that started before the listener.
+  function isWorkerInGracePeriod (workerId, timestamp = Date.now()) {
+    if (alertsStartTime === null) return false
+
+    const gracePeriodMs = app.env.PLT_ALERTS_GRACE_PERIOD_SEC * 1000
+    const workerStartTime = workerStartTimes.get(workerId) ?? alertsStartTime
+    return timestamp - workerStartTime < gracePeriodMs
+  }
+  app.isWorkerInGracePeriod = isWorkerInGracePeriod
+
+  // Sends an alert, it's called by the outbox that queues the failed ones
+  async function sendAlert ({ applicationId, workerId, alert: healthInfo, healthHistory, recentLogs, recentEvents }) {
+    const scalerUrl = app.instanceConfig?.iccServices?.scaler?.url
+    if (!scalerUrl) {
+      throw new ScalerUrlMissingError()
+    }
+
+    const authHeaders = await app.getAuthorizationHeaders()
+
+    const { statusCode, body } = await app.callICC('scaler', () => request(`${scalerUrl}/alerts`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders
+      },
+      body: JSON.stringify({ applicationId, alert: healthInfo, healthHistory, recentLogs, recentEvents })
+    }), { isFailedResult: isServerErrorResponse })
+
+    if (statusCode !== 200) {
+      const error = await body.text()
+      app.log.error({ error }, 'Failed to send alert to scaler')
+      const err = new ScalerRequestError('alert', error)
+      err.statusCode = statusCode
+      throw err
+    }
+
+    const alert = await body.json()
+
+    app.sendFlamegraphs({
+      workerIds: [workerId],
+      alertId: alert.id
+    }).catch(err => {
+      app.log.error({ err }, 'Failed to send a flamegraph')
+    })
+  }
+
+  // Waits for the alerts that are being sent, e.g. before the instance shuts down
+  async function flushAlerts () {
+    if (pendingAlerts.size === 0) return
+
+    app.log.info({ count: pendingAlerts.size }, 'Waiting for pending alerts to be sent')
+    await Promise.allSettled(pendingAlerts)
+  }
+  app.flushAlerts = flushAlerts
+
+  app.onConfigUpdate('alerts', (config) => {
+    setAlertsConfig(config)
+    app.log.info({ podHealthWindow, alertRetentionWindow, unhealthyCriteria: iccCriteria }, 'Alerts config updated')
+  })
 }
 
 export default alerts
@@ -0,0 +1,28 @@
+import { CircuitBreaker } from '../lib/retry.js'
+
+const ICC_SERVICES = ['control-plane', 'scaler', 'compliance', 'cron']
+
+async function circuitBreakers (app, _opts) {
+  const breakers = {}
+  for (const name of ICC_SERVICES) {
+    breakers[name] = new CircuitBreaker({
+      name,
+      failureThreshold: app.env.PLT_ICC_CIRCUIT_BREAKER_THRESHOLD,
+      resetTimeout: app.env.PLT_ICC_CIRCUIT_BREAKER_RESET_SEC * 1000,
+      logger: app.log
+    })
+  }
+
+  // Calls an ICC service through its circuit breaker
+  app.callICC = (service, fn, options) => breakers[service].execute(fn, options)
+
+  app.getCircuitBreakersInfo = () => {
+    const info = {}
+    for (const [name, breaker] of Object.entries(breakers)) {
+      info[name] = breaker.getInfo()
+    }
+    return info
+  }
+}
+
+export default circuitBreakers
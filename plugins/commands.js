@@ -0,0 +1,7 @@
+import { CommandRegistry } from '../lib/commands.js'
+
+async function commands (app, _opts) {
+  app.commands = new CommandRegistry({ logger: app.log })
+}
+
+export default commands
@@ -1,10 +1,157 @@
-import { getCompliancyMetadata } from '../compliance/index.js'
+import { createRuleRegistry } from '../compliance/index.js'
+import { formatComplianceReport } from '../compliance/report.js'
 import {
   CompliancyMetadataError,
-  CompliancyStatusError
+  CompliancyStatusError,
+  ComplianceRulesError,
+  ComplianceEnforcementError
 } from '../lib/errors.js'
+import { isServerErrorResponse } from '../lib/retry.js'
+
+// The rule configs defined locally: { name: { enabled, options } }
+function parseRuleConfigs (app) {
+  const value = app.env.PLT_COMPLIANCE_RULES_CONFIG
+  if (!value) return {}
+
+  let ruleConfigs
+  try {
+    ruleConfigs = JSON.parse(value)
+  } catch (err) {
+    app.log.error({ err }, 'Failed to parse PLT_COMPLIANCE_RULES_CONFIG, ignoring it')
+    return {}
+  }
+
+  if (typeof ruleConfigs !== 'object' || ruleConfigs === null || Array.isArray(ruleConfigs)) {
+    app.log.error('PLT_COMPLIANCE_RULES_CONFIG must be an object, ignoring it')
+    return {}
+  }
+  return ruleConfigs
+}
+
+// The licenses lists are comma separated SPDX ids
+function parseLicenses (value) {
+  return (value ?? '')
+    .split(',')
+    .map(license => license.trim())
+    .filter(Boolean)
+}
 
 async function compliancy (app, _opts) {
+  let ruleRegistry = null
+  let lastReport = null
+
+  const enforcement = app.env.PLT_COMPLIANCE_ENFORCEMENT
+  const localRuleConfigs = parseRuleConfigs(app)
+
+  // The rules are loaded once, the application ones from PLT_COMPLIANCE_RULES_DIR
+  app.getComplianceRules = async () => {
+    ruleRegistry ??= await createRuleRegistry({
+      projectDir: app.env.PLT_APP_DIR,
+      rulesDir: app.env.PLT_COMPLIANCE_RULES_DIR,
+      licenses: {
+        allow: parseLicenses(app.env.PLT_COMPLIANCE_LICENSES_ALLOW),
+        deny: parseLicenses(app.env.PLT_COMPLIANCE_LICENSES_DENY)
+      },
+      advisoriesPath: app.env.PLT_COMPLIANCE_ADVISORIES_PATH,
+      sbom: {
+        enabled: app.env.PLT_COMPLIANCE_SBOM_ENABLED,
+        outputDir: app.env.PLT_COMPLIANCE_SBOM_DIR
+      },
+      logger: app.log
+    })
+    return ruleRegistry
+  }
+
+  async function getComplianceClient () {
+    const complianceUrl = app.instanceConfig?.iccServices?.compliance?.url
+    if (!complianceUrl) return null
+
+    const { default: build, setDefaultHeaders } = await import('../clients/compliance/compliance.mjs')
+
+    // There is a better way? We need to set the default headers for the client
+    // every time, because the token might be expired
+    // And we cannot set the global dispatcher because it's shared with the runtime main thread.
+    setDefaultHeaders(await app.getAuthorizationHeaders())
+    return build(complianceUrl)
+  }
+
+  // The rule configs of ICC are { type, applicationId, enabled, ruleId, options },
+  // the ones of the application take precedence over the global ones.
+  // They reference the rules by id, the rules are evaluated by name.
+  async function getIccRuleConfigs () {
+    if (!app.env.PLT_ICC_URL) return {}
+
+    const compliancyClient = await getComplianceClient()
+    if (!compliancyClient) return {}
+
+    const res = await app.callICC(
+      'compliance',
+      () => compliancyClient.getRules({}),
+      { isFailedResult: isServerErrorResponse }
+    )
+    if (res.statusCode !== 200) {
+      app.log.error(res, 'Failed to get the compliance rules')
+      throw new ComplianceRulesError()
+    }
+
+    const rules = typeof res.body === 'string' ? JSON.parse(res.body) : res.body
+    const ruleNames = new Map((rules ?? []).map(rule => [rule.id, rule.name]))
+
+    const applicationId = app.instanceConfig?.applicationId
+    const [globalConfigs, applicationConfigs] = await app.callICC('compliance', () => Promise.all([
+      compliancyClient.getRuleConfigs({ 'where.type.eq': 'global' }),
+      applicationId ? compliancyClient.getRuleConfigs({ 'where.applicationId.eq': applicationId }) : []
+    ]))
+
+    const ruleConfigs = {}
+    for (const { ruleId, enabled, options } of [...globalConfigs, ...applicationConfigs]) {
+      const name = ruleNames.get(ruleId)
+      if (!name) continue
+      ruleConfigs[name] = { enabled: enabled ?? undefined, options: options ?? undefined }
+    }
+    return ruleConfigs
+  }
+
+  // Evaluates the rules in-process, with the rule configs of ICC overriding
+  // the local ones. ICC being unreachable doesn't prevent the evaluation.
+  async function evaluateCompliance (runtime, metadata) {
+    const rules = await app.getComplianceRules()
+    const context = { projectDir: app.env.PLT_APP_DIR, runtime }
+    metadata ??= await rules.collect(context)
+
+    let iccRuleConfigs = {}
+    try {
+      iccRuleConfigs = await getIccRuleConfigs()
+    } catch (err) {
+      app.log.warn({ err }, 'Failed to get the compliance rules from ICC, using the local ones')
+    }
+
+    const report = await rules.evaluate(metadata, { ...localRuleConfigs, ...iccRuleConfigs }, context)
+    lastReport = { ...report, evaluatedAt: Date.now() }
+
+    const text = formatComplianceReport(report)
+    if (report.compliant) {
+      app.log.info({ report }, text)
+    } else {
+      app.log.warn({ report, enforcement }, text)
+    }
+
+    return report
+  }
+
+  // Called before the runtime starts. With block-traffic the application
+  // starts, but it's not ready until it's compliant.
+  app.enforceCompliance = async (runtime) => {
+    if (enforcement === 'off') return
+
+    const report = await evaluateCompliance(runtime)
+    if (!report.compliant && enforcement === 'block-start') {
+      throw new ComplianceEnforcementError(formatComplianceReport(report))
+    }
+  }
+
+  app.getComplianceReport = () => lastReport
+
   async function checkCompliancy () {
     if (app.env.PLT_DISABLE_COMPLIANCE_CHECK === true) return
 
@@ -18,29 +165,23 @@ async function compliancy (app, _opts) {
     const applicationId = app.instanceConfig?.applicationId
     const appDir = app.env.PLT_APP_DIR
 
-    const { default: build, setDefaultHeaders } = await import('../clients/compliance/compliance.mjs')
-    const complianceUrl = app.instanceConfig?.iccServices?.compliance?.url
-
-    if (!complianceUrl) {
+    const compliancyClient = await getComplianceClient()
+    if (!compliancyClient) {
       app.log.warn('No compliance URL found in ICC services')
       return
     }
-    const compliancyClient = build(complianceUrl)
 
-    // There is a better way? We need to set the default headers for the client
-    // every time, because the token might be expired
-    // And we cannot set the global dispatcher because it's shared with the runtime main thread.
-    setDefaultHeaders(await app.getAuthorizationHeaders())
-    const compliancyMetadata = await getCompliancyMetadata({
+    const rules = await app.getComplianceRules()
+    const compliancyMetadata = await rules.collect({
       projectDir: appDir,
       runtime
     })
 
     {
-      const res = await compliancyClient.postMetadata({
+      const res = await app.callICC('compliance', () => compliancyClient.postMetadata({
         applicationId,
         data: compliancyMetadata
-      })
+      }), { isFailedResult: isServerErrorResponse })
 
       if (res.statusCode !== 200 && res.statusCode !== 201) {
         app.log.error(res, 'Failed to send compliancy metadata')
@@ -50,8 +191,17 @@ async function compliancy (app, _opts) {
       app.log.info('Compliancy metadata sent')
     }
 
+    // The rules of ICC may have changed since the runtime started
+    if (enforcement !== 'off') {
+      await evaluateCompliance(runtime, compliancyMetadata)
+    }
+
     {
-      const res = await compliancyClient.postCompliance({ applicationId })
+      const res = await app.callICC(
+        'compliance',
+        () => compliancyClient.postCompliance({ applicationId }),
+        { isFailedResult: isServerErrorResponse }
+      )
       if (res.statusCode !== 200) {
         app.log.error(res, 'Failed to get compliance status')
         throw new CompliancyStatusError()
@@ -0,0 +1,68 @@
+import { diffIccConfig, validateIccConfig } from '../lib/icc-config.js'
+import { IccConfigUpdateError, InvalidIccConfigError } from '../lib/errors.js'
+
+// Applies the config pushed by ICC. The runtime level fields are applied by
+// Watt#applyIccConfigUpdates, the plugins register a handler for their own.
+async function configUpdates (app, _opts) {
+  const handlers = new Map()
+
+  // The handler receives the new value and the previous one of the field.
+  // A removed field is passed as undefined: the plugin default applies.
+  app.onConfigUpdate = (field, handler) => {
+    handlers.set(field, handler)
+  }
+
+  app.applyConfigUpdate = async (config) => {
+    const errors = validateIccConfig(config)
+    if (errors.length > 0) {
+      throw new InvalidIccConfigError(errors.join(', '))
+    }
+
+    const previous = app.instanceConfig?.config ?? {}
+    const changes = diffIccConfig(previous, config)
+    if (changes.length === 0) {
+      app.log.info('ICC config unchanged, nothing to apply')
+      return changes
+    }
+
+    app.log.info({ changes }, 'Applying ICC config changes')
+    await app.watt.applyIccConfigUpdates(config, previous)
+
+    // A handler that fails may have applied part of its field: the handlers
+    // called so far, the failed one included, restore the previous values
+    const applied = []
+    for (const change of changes) {
+      const handler = handlers.get(change.field)
+      if (!handler) continue
+
+      applied.push(change)
+      try {
+        await handler(change.to, change.from)
+      } catch (err) {
+        app.log.error({ err, field: change.field }, 'Failed to apply ICC config change, rolling back the config')
+        await rollback(previous, config, applied)
+        throw new IccConfigUpdateError(err.message, { cause: err })
+      }
+    }
+
+    return changes
+  }
+
+  async function rollback (previous, config, applied) {
+    for (const { field, from, to } of applied.reverse()) {
+      try {
+        await handlers.get(field)(from, to)
+      } catch (err) {
+        app.log.error({ err, field }, 'Failed to restore the previous ICC config value')
+      }
+    }
+
+    try {
+      await app.watt.applyIccConfigUpdates(previous, config)
+    } catch (err) {
+      app.log.error({ err }, 'Failed to restore the previous ICC config')
+    }
+  }
+}
+
+export default configUpdates
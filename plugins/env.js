@@ -14,6 +14,14 @@ const schema = {
     PLT_LOG_LEVEL: { type: 'string', default: 'info' },
     PLT_ICC_RETRY_TIME: { type: 'number', default: 5000 },
     PLT_DISABLE_COMPLIANCE_CHECK: { type: 'boolean', default: false },
+    PLT_COMPLIANCE_RULES_DIR: { type: 'string', default: 'compliance-rules' },
+    PLT_COMPLIANCE_RULES_CONFIG: { type: 'string' },
+    PLT_COMPLIANCE_ADVISORIES_PATH: { type: 'string' },
+    PLT_COMPLIANCE_LICENSES_ALLOW: { type: 'string' },
+    PLT_COMPLIANCE_LICENSES_DENY: { type: 'string' },
+    PLT_COMPLIANCE_SBOM_ENABLED: { type: 'boolean', default: false },
+    PLT_COMPLIANCE_SBOM_DIR: { type: 'string' },
+    PLT_COMPLIANCE_ENFORCEMENT: { type: 'string', enum: ['off', 'warn', 'block-start', 'block-traffic'], default: 'off' },
     PLT_APP_INTERNAL_SUB_DOMAIN: { type: 'string', default: 'plt.local' },
     PLT_DEFAULT_CACHE_TAGS_HEADER: { type: 'string', default: 'x-plt-cache-tags' },
     PLT_CACHE_CONFIG: { type: 'string' },
@@ -23,15 +31,50 @@ const schema = {
     PLT_FLAMEGRAPHS_GRACE_PERIOD: { type: 'number', default: 3000 },
     PLT_FLAMEGRAPHS_ATTEMPT_TIMEOUT: { type: 'number', default: 10000 },
     PLT_FLAMEGRAPHS_CACHE_CLEANUP_INTERVAL: { type: 'number', default: 120000 },
+    PLT_PROFILES_DIR: { type: 'string' },
+    PLT_PROFILES_MAX_COUNT: { type: 'number', default: 100 },
+    PLT_PROFILES_MAX_SIZE: { type: ['number', 'string'], default: '200MB' },
+    PLT_PROFILES_MAX_AGE_SEC: { type: 'number', default: 86400 },
+    PLT_PROFILES_RETRY_INTERVAL_SEC: { type: 'number', default: 60 },
     PLT_JWT_EXPIRATION_OFFSET_SEC: { type: 'number', default: 60 },
     PLT_UPDATES_RECONNECT_INTERVAL_SEC: { type: 'number', default: 1 },
+    PLT_UPDATES_RECONNECT_MAX_INTERVAL_SEC: { type: 'number', default: 60 },
+    PLT_UPDATES_HEARTBEAT_INTERVAL_SEC: { type: 'number', default: 30 },
+    PLT_UPDATES_HEARTBEAT_TIMEOUT_SEC: { type: 'number', default: 10 },
+    PLT_LOG_LEVEL_DURATION_SEC: { type: 'number', default: 600 },
+    PLT_LOG_LEVEL_MAX_DURATION_SEC: { type: 'number', default: 3600 },
+    PLT_ICC_CIRCUIT_BREAKER_THRESHOLD: { type: 'number', default: 5 },
+    PLT_ICC_CIRCUIT_BREAKER_RESET_SEC: { type: 'number', default: 30 },
     PLT_ELU_HEALTH_SIGNAL_THRESHOLD: { type: 'number', default: 0.7 },
     PLT_HEAP_HEALTH_SIGNAL_THRESHOLD: { type: ['number', 'string'], default: '400MB' },
     PLT_ALERTS_GRACE_PERIOD_SEC: { type: 'number', default: 30 },
+    PLT_ALERTS_LOG_LINES: { type: 'number', default: 200 },
+    PLT_ALERTS_EVENTS: { type: 'number', default: 50 },
+    PLT_ALERTS_UNHEALTHY_CRITERIA: { type: 'string' },
     PLT_HEALTH_SIGNALS_SHORT_BATCH_TIMEOUT: { type: 'number', default: 5000 },
     PLT_HEALTH_SIGNALS_LONG_BATCH_TIMEOUT: { type: 'number', default: 30000 },
     PLT_HEALTH_SIGNALS_ELU_BATCH_THRESHOLD: { type: 'number', default: 0.5 },
     PLT_HEALTH_SIGNALS_HEAP_BATCH_THRESHOLD: { type: ['number', 'string'], default: '300MB' },
+    PLT_HEALTH_SIGNALS_LATENCY_BATCH_THRESHOLD: { type: 'number' },
+    PLT_HEALTH_SIGNALS_RPS_BATCH_THRESHOLD: { type: 'number' },
+    PLT_HEALTH_SIGNALS_HTTP_ENABLED: { type: 'boolean', default: false },
+    PLT_HEALTH_SIGNALS_HTTP_INTERVAL: { type: 'number', default: 5000 },
+    PLT_HEALTH_SIGNALS_OPTIONS: { type: 'string' },
+    PLT_LOCAL_SCALER_ENABLED: { type: 'boolean', default: false },
+    PLT_LOCAL_SCALER_SCALE_UP_ELU: { type: 'number', default: 0.8 },
+    PLT_LOCAL_SCALER_SCALE_DOWN_ELU: { type: 'number', default: 0.2 },
+    PLT_LOCAL_SCALER_COOLDOWN_SEC: { type: 'number', default: 60 },
+    PLT_SHUTDOWN_DRAIN_PERIOD_SEC: { type: 'number', default: 5 },
+    PLT_SHUTDOWN_TIMEOUT_SEC: { type: 'number', default: 25 },
+    PLT_ADMIN_PORT: { type: 'number' },
+    PLT_ADMIN_HOSTNAME: { type: 'string', default: '127.0.0.1' },
+    PLT_ADMIN_TOKEN: { type: 'string' },
+    PLT_OUTBOX_DIR: { type: 'string' },
+    PLT_OUTBOX_RETENTION: { type: 'string' },
+    PLT_OUTBOX_REPLAY_INTERVAL_SEC: { type: 'number', default: 30 },
+    PLT_PROBES_PORT: { type: 'number' },
+    PLT_PROBES_HOSTNAME: { type: 'string', default: '0.0.0.0' },
+    PLT_READINESS_CHECKS: { type: 'string', default: 'runtime,icc,workers' },
   }
 }
 
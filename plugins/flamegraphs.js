@@ -2,6 +2,10 @@
 
 import { setTimeout as sleep } from 'node:timers/promises'
 import { request } from 'undici'
+import { parseMemorySize } from '@platformatic/foundation'
+import { ProfileStore } from '../lib/profile-store.js'
+import { ScalerRequestError, ScalerUrlMissingError } from '../lib/errors.js'
+import { isServerErrorResponse } from '../lib/retry.js'
 
 async function flamegraphs (app, _opts) {
   const isFlamegraphsDisabled = app.env.PLT_DISABLE_FLAMEGRAPHS
@@ -11,17 +15,48 @@ async function flamegraphs (app, _opts) {
   const flamegraphsAttemptTimeout = app.env.PLT_FLAMEGRAPHS_ATTEMPT_TIMEOUT
   const flamegraphsCacheCleanupInterval = app.env.PLT_FLAMEGRAPHS_CACHE_CLEANUP_INTERVAL
 
-  const durationMillis = parseInt(flamegraphsIntervalSec) * 1000
-  const eluThreshold = parseFloat(flamegraphsELUThreshold)
   const gracePeriod = parseInt(flamegraphsGracePeriod)
-  const attemptTimeout = Math.min(parseInt(flamegraphsAttemptTimeout), durationMillis)
-  const maxAttempts = Math.ceil(durationMillis / attemptTimeout) + 1
   const cacheCleanupInterval = parseInt(flamegraphsCacheCleanupInterval)
 
+  let durationMillis = null
+  let eluThreshold = null
+  let attemptTimeout = null
+  let maxAttempts = null
+
+  // The values pushed by ICC take precedence over the env ones
+  function setProfilingOptions (config = {}) {
+    durationMillis = parseInt(config.intervalSec ?? flamegraphsIntervalSec) * 1000
+    eluThreshold = parseFloat(config.eluThreshold ?? flamegraphsELUThreshold)
+    attemptTimeout = Math.min(parseInt(flamegraphsAttemptTimeout), durationMillis)
+    maxAttempts = Math.ceil(durationMillis / attemptTimeout) + 1
+  }
+  setProfilingOptions(app.instanceConfig?.config?.flamegraphs)
+
   let workerStartedListener = null
 
-  const startProfilingOnWorker = async (runtime, workerFullId, logContext = {}) => {
-    await sleep(gracePeriod)
+  // Profiles are persisted on disk only when a directory is configured
+  let profileStore = null
+  if (app.env.PLT_PROFILES_DIR) {
+    let maxSize = app.env.PLT_PROFILES_MAX_SIZE
+    if (typeof maxSize === 'string') {
+      maxSize = parseMemorySize(maxSize)
+    }
+
+    profileStore = new ProfileStore({
+      dir: app.env.PLT_PROFILES_DIR,
+      maxCount: app.env.PLT_PROFILES_MAX_COUNT,
+      maxSize,
+      maxAge: app.env.PLT_PROFILES_MAX_AGE_SEC * 1000,
+      logger: app.log
+    })
+  }
+  let uploadRetryTimer = null
+  let uploadRetryPromise = null
+
+  const startProfilingOnWorker = async (runtime, workerFullId, logContext = {}, { skipGracePeriod = false } = {}) => {
+    if (!skipGracePeriod) {
+      await sleep(gracePeriod)
+    }
 
     // Get application details to read service-level sourceMaps setting
     const appDetails = await runtime.getApplicationDetails(workerFullId)
@@ -47,6 +82,22 @@ async function flamegraphs (app, _opts) {
     }
   }
 
+  const stopProfilingOnWorker = async (runtime, workerFullId) => {
+    const stopPromises = []
+    for (const type of ['cpu', 'heap']) {
+      stopPromises.push(
+        runtime.sendCommandToApplication(workerFullId, 'stopProfiling', { type })
+          .catch(err => {
+            // Ignore errors if profiling wasn't running
+            if (err.code !== 'PLT_PPROF_PROFILING_NOT_STARTED') {
+              app.log.warn({ err, workerFullId }, `Failed to stop ${type} profiling`)
+            }
+          })
+      )
+    }
+    await Promise.all(stopPromises)
+  }
+
   app.setupFlamegraphs = async () => {
     if (isFlamegraphsDisabled) {
       app.log.info('PLT_DISABLE_FLAMEGRAPHS is set, skipping profiling')
@@ -94,9 +145,21 @@ async function flamegraphs (app, _opts) {
     runtime.on('application:worker:started', workerStartedListener)
 
     setInterval(cleanupFlamegraphsCache, cacheCleanupInterval).unref()
+
+    if (profileStore && !uploadRetryTimer) {
+      const retryInterval = app.env.PLT_PROFILES_RETRY_INTERVAL_SEC * 1000
+      uploadRetryTimer = setInterval(() => {
+        app.retryStoredProfiles().catch((err) => {
+          app.log.error({ err }, 'Failed to retry stored profiles upload')
+        })
+      }, retryInterval).unref()
+    }
   }
 
   app.cleanupFlamegraphs = async () => {
+    clearInterval(uploadRetryTimer)
+    uploadRetryTimer = null
+
     if (workerStartedListener && app.watt?.runtime) {
       app.watt.runtime.removeListener('application:worker:started', workerStartedListener)
       workerStartedListener = null
@@ -106,29 +169,9 @@ async function flamegraphs (app, _opts) {
     if (!isFlamegraphsDisabled && app.watt?.runtime) {
       try {
         const workers = await app.watt.runtime.getWorkers()
-        const stopPromises = []
-        for (const workerFullId of Object.keys(workers)) {
-          // Stop both CPU and heap profiling on each worker
-          stopPromises.push(
-            app.watt.runtime.sendCommandToApplication(workerFullId, 'stopProfiling', { type: 'cpu' })
-              .catch(err => {
-                // Ignore errors if profiling wasn't running
-                if (err.code !== 'PLT_PPROF_PROFILING_NOT_STARTED') {
-                  app.log.warn({ err, workerFullId }, 'Failed to stop CPU profiling')
-                }
-              })
-          )
-          stopPromises.push(
-            app.watt.runtime.sendCommandToApplication(workerFullId, 'stopProfiling', { type: 'heap' })
-              .catch(err => {
-                // Ignore errors if profiling wasn't running
-                if (err.code !== 'PLT_PPROF_PROFILING_NOT_STARTED') {
-                  app.log.warn({ err, workerFullId }, 'Failed to stop heap profiling')
-                }
-              })
-          )
-        }
-        await Promise.all(stopPromises)
+        await Promise.all(Object.keys(workers).map(workerFullId =>
+          stopProfilingOnWorker(app.watt.runtime, workerFullId)
+        ))
         // Small delay to ensure native cleanup completes
         await sleep(100)
       } catch (err) {
@@ -148,7 +191,7 @@ async function flamegraphs (app, _opts) {
     let { workerIds, alertId, profileType = 'cpu' } = options
 
     const scalerUrl = app.instanceConfig?.iccServices?.scaler?.url
-    if (!scalerUrl) {
+    if (!scalerUrl && !profileStore) {
       app.log.error('No scaler URL found in ICC services, cannot send flamegraph')
       throw new Error('No scaler URL found in ICC services, cannot send flamegraph')
     }
@@ -160,6 +203,19 @@ async function flamegraphs (app, _opts) {
       workerIds = applications.map(app => app.id)
     }
 
+    if (!scalerUrl) {
+      app.log.warn('No scaler URL found in ICC services, storing profiles to upload them later')
+      await Promise.all(workerIds.map(async (workerId) => {
+        const result = await getServiceFlamegraph(workerId, profileType)
+        if (!result || !(result.data instanceof Uint8Array)) {
+          app.log.error({ workerId }, 'Failed to get profile from service')
+          return
+        }
+        await storeProfile(workerId, profileType, alertId, result)
+      }))
+      return
+    }
+
     cleanupFlamegraphsCache()
 
     const uploadPromises = workerIds.map(async (workerId) => {
@@ -187,6 +243,7 @@ async function flamegraphs (app, _opts) {
           data: null,
           timestamp: null,
           flamegraphId: null,
+          storedId: null,
           waitingAlerts: []
         }
         profilesByWorkerId[profileKey] = profile
@@ -200,6 +257,7 @@ async function flamegraphs (app, _opts) {
 
         profile.data = result.data
         profile.timestamp = result.timestamp
+        profile.storedId = await storeProfile(workerId, profileType, alertId, result)
       }
 
       if (profile.flamegraphId === null || !alertId) {
@@ -212,9 +270,21 @@ async function flamegraphs (app, _opts) {
             alertId
           )
           profile.flamegraphId = flamegraph.id
+          await markProfileUploaded(profile.storedId, flamegraph.id)
         } catch (err) {
           app.log.error({ err, workerId, alertId, profileType }, 'Failed to send flamegraph')
           delete profilesByWorkerId[profileKey]
+
+          // Profiles stored on disk are retried from there
+          if (!profile.storedId) {
+            app.outbox.enqueue('flamegraphs', {
+              serviceId,
+              workerId,
+              profileType,
+              alertId: alertId ?? null,
+              data: Buffer.from(profile.data).toString('base64')
+            })
+          }
           return
         }
       }
@@ -236,6 +306,123 @@ async function flamegraphs (app, _opts) {
     await Promise.all(uploadPromises)
   }
 
+  // Stores a captured profile on disk. Failures are logged and never
+  // prevent the upload, the store is a fallback.
+  async function storeProfile (workerId, profileType, alertId, result) {
+    if (!profileStore) return null
+
+    try {
+      const entry = await profileStore.save(result.data, {
+        serviceId: workerId.split(':')[0],
+        workerId,
+        type: profileType,
+        alertId,
+        timestamp: result.timestamp
+      })
+      app.log.debug({ workerId, profileType, id: entry.id }, 'Profile stored on disk')
+      return entry.id
+    } catch (err) {
+      app.log.error({ err, workerId, profileType }, 'Failed to store profile on disk')
+      return null
+    }
+  }
+
+  async function markProfileUploaded (storedId, flamegraphId) {
+    if (!profileStore || !storedId) return
+
+    try {
+      await profileStore.markUploaded(storedId, flamegraphId)
+    } catch (err) {
+      app.log.warn({ err, storedId }, 'Failed to mark stored profile as uploaded')
+    }
+  }
+
+  // Uploads the stored profiles whose upload failed or was not possible
+  async function retryStoredProfiles () {
+    if (!profileStore) return
+
+    const scalerUrl = app.instanceConfig?.iccServices?.scaler?.url
+    if (!scalerUrl) {
+      app.log.debug('No scaler URL found in ICC services, skipping stored profiles upload')
+      return
+    }
+
+    const entries = await profileStore.listPending()
+    for (const entry of entries) {
+      const data = await profileStore.read(entry.id)
+      if (data === null) {
+        await profileStore.remove(entry.id)
+        continue
+      }
+
+      try {
+        const flamegraph = await sendServiceFlamegraph(
+          scalerUrl,
+          entry.serviceId,
+          data,
+          entry.type,
+          entry.alertId
+        )
+        await profileStore.markUploaded(entry.id, flamegraph.id)
+        app.log.info({ id: entry.id, workerId: entry.workerId, profileType: entry.type }, 'Stored profile uploaded')
+      } catch (err) {
+        // The scaler is likely still unavailable, retry at the next round
+        app.log.warn({ err, id: entry.id }, 'Failed to upload stored profile')
+        return
+      }
+    }
+  }
+
+  app.retryStoredProfiles = () => {
+    // Never run two upload rounds at the same time
+    uploadRetryPromise ??= retryStoredProfiles().finally(() => {
+      uploadRetryPromise = null
+    })
+    return uploadRetryPromise
+  }
+
+  app.listStoredProfiles = async () => profileStore ? profileStore.list() : []
+
+  // Uploads a flamegraph queued in the outbox
+  async function sendQueuedFlamegraph ({ serviceId, workerId, profileType, alertId, data }) {
+    const scalerUrl = app.instanceConfig?.iccServices?.scaler?.url
+    if (!scalerUrl) {
+      throw new ScalerUrlMissingError()
+    }
+
+    const profile = Buffer.from(data, 'base64')
+    await sendServiceFlamegraph(scalerUrl, serviceId, profile, profileType, alertId)
+    app.log.info({ workerId, alertId, profileType }, 'Queued flamegraph uploaded')
+  }
+  app.outbox.register('flamegraphs', sendQueuedFlamegraph)
+
+  // The profiling running on the workers is restarted with the new options
+  app.onConfigUpdate('flamegraphs', async (config) => {
+    setProfilingOptions(config)
+    app.log.info({ durationMillis, eluThreshold }, 'Flamegraphs options updated')
+
+    const runtime = app.watt?.runtime
+    if (isFlamegraphsDisabled || !workerStartedListener || !runtime) return
+
+    const workers = await runtime.getWorkers()
+    for (const [workerFullId, workerInfo] of Object.entries(workers)) {
+      if (workerInfo.status !== 'started') continue
+
+      await stopProfilingOnWorker(runtime, workerFullId)
+      await startProfilingOnWorker(runtime, workerFullId, { workerFullId }, { skipGracePeriod: true })
+        .catch(() => {
+          // Error already logged in startProfilingOnWorker
+        })
+    }
+  })
+
+  app.commands.register('trigger-flamegraph', async () => {
+    await app.sendFlamegraphs({ profileType: 'cpu' })
+  })
+  app.commands.register('trigger-heapprofile', async () => {
+    await app.sendFlamegraphs({ profileType: 'heap' })
+  })
+
   async function getServiceFlamegraph (workerId, profileType, attempt = 1) {
     const runtime = app.watt.runtime
 
@@ -298,7 +485,7 @@ async function flamegraphs (app, _opts) {
     }
 
     const authHeaders = await app.getAuthorizationHeaders()
-    const { statusCode, body } = await request(url, {
+    const { statusCode, body } = await app.callICC('scaler', () => request(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/octet-stream',
@@ -306,12 +493,14 @@ async function flamegraphs (app, _opts) {
       },
       query,
       body: profile
-    })
+    }), { isFailedResult: isServerErrorResponse })
 
     if (statusCode !== 200) {
       const error = await body.text()
       app.log.error({ error }, 'Failed to send flamegraph')
-      throw new Error(`Failed to send flamegraph: ${error}`)
+      const err = new ScalerRequestError('flamegraph', error)
+      err.statusCode = statusCode
+      throw err
     }
 
     const response = await body.json()
@@ -367,14 +556,14 @@ async function flamegraphs (app, _opts) {
     app.log.info({ flamegraphId, alerts: alertIds }, 'Attaching flamegraph to alerts')
 
     const authHeaders = await app.getAuthorizationHeaders()
-    const { statusCode, body } = await request(url, {
+    const { statusCode, body } = await app.callICC('scaler', () => request(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         ...authHeaders
       },
       body: JSON.stringify({ alertIds })
-    })
+    }), { isFailedResult: isServerErrorResponse })
 
     if (statusCode !== 200) {
       const error = await body.text()
@@ -388,6 +577,18 @@ async function flamegraphs (app, _opts) {
     }
   }
 
+  // Describes the cached profiles without their data, for inspection
+  app.getFlamegraphsCache = () => {
+    return Object.entries(profilesByWorkerId).map(([profileKey, profile]) => ({
+      profileKey,
+      type: profile.type,
+      timestamp: profile.timestamp,
+      size: profile.data?.length ?? 0,
+      flamegraphId: profile.flamegraphId,
+      waitingAlerts: [...profile.waitingAlerts]
+    }))
+  }
+
   function cleanupFlamegraphsCache () {
     const now = Date.now()
 
@@ -2,17 +2,48 @@ import { randomUUID } from 'node:crypto'
 import { request } from 'undici'
 import semver from 'semver'
 import { parseMemorySize } from '@platformatic/foundation'
+import { ScalerRequestError, ScalerUrlMissingError } from '../lib/errors.js'
+import { isServerErrorResponse } from '../lib/retry.js'
+import { validateSignalOptions } from '../lib/icc-config.js'
+import { computeHttpSignals, httpSignalTypes } from '../lib/http-signals.js'
+
+// Signals computed by watt-extra, the custom ones cannot override them
+const builtinSignals = new Set(['elu', 'heap', ...httpSignalTypes])
+
+// Options of the signals sent by the runtime itself and of the ones
+// derived from the HTTP metrics
+const defaultSignalOptions = {
+  eventLoopDelay: { field: 'p99', unit: 'ms', aggregation: 'max' },
+  latencyP50: { unit: 'ms', aggregation: 'max' },
+  latencyP95: { unit: 'ms', aggregation: 'max' },
+  latencyP99: { unit: 'ms', aggregation: 'max' },
+  rps: { unit: 'req/s', aggregation: 'sum' }
+}
+
+function parseSignalOptions (app) {
+  const value = app.env.PLT_HEALTH_SIGNALS_OPTIONS
+  if (!value) return null
+
+  let options
+  try {
+    options = JSON.parse(value)
+  } catch (err) {
+    app.log.error({ err }, 'Failed to parse PLT_HEALTH_SIGNALS_OPTIONS, using the default options')
+    return null
+  }
+
+  const errors = validateSignalOptions(options, 'PLT_HEALTH_SIGNALS_OPTIONS')
+  if (errors.length > 0) {
+    app.log.error({ errors }, 'Invalid PLT_HEALTH_SIGNALS_OPTIONS, using the default options')
+    return null
+  }
+  return options
+}
 
 class HealthSignalsCache {
   #signalsByService = {}
   #maxSize = 500
 
-  addServiceSignals (serviceId, signals) {
-    for (const signal of signals) {
-      this.addServiceSignal(serviceId, signal.type, signal)
-    }
-  }
-
   addServiceSignal (serviceId, signalType, signal) {
     const { workerId, value, timestamp } = signal
     this.#signalsByService[serviceId] ??= {}
@@ -45,34 +76,132 @@ async function healthSignals (app, _opts) {
   const signalsCache = new HealthSignalsCache()
   const heapTotalByService = {}
 
-  // Store listener reference for cleanup
+  // Store listener and timer references for cleanup
   let healthMetricsListener = null
+  let httpSignalsTimer = null
+  let batchTimer = null
+
+  // The signals are also collected without the scaler for the local scaler
+  let sendToScaler = false
 
   // Store thresholds for use in sendHealthSignals
   let eluThreshold = null
   let heapThresholdMb = null
+  let eluBatchThreshold = null
+  let heapBatchThresholdMb = null
+  let latencyBatchThreshold = null
+  let rpsBatchThreshold = null
+
+  // The options pushed by ICC take precedence over the env ones
+  const envSignalOptions = parseSignalOptions(app)
+  let iccSignalOptions = null
+
+  function getSignalOptions (type) {
+    return {
+      ...defaultSignalOptions[type],
+      ...envSignalOptions?.[type],
+      ...iccSignalOptions?.[type]
+    }
+  }
 
-  async function setupHealthSignals () {
+  // The thresholds pushed by ICC take precedence over the env ones
+  function setThresholds (config = {}) {
+    iccSignalOptions = config.signals ?? null
+
+    eluThreshold = config.eluThreshold ?? app.env.PLT_ELU_HEALTH_SIGNAL_THRESHOLD
+
+    eluBatchThreshold = app.env.PLT_HEALTH_SIGNALS_ELU_BATCH_THRESHOLD
+    if (eluBatchThreshold > eluThreshold) {
+      eluBatchThreshold = eluThreshold
+    }
+
+    let heapThreshold = config.heapThreshold ?? app.env.PLT_HEAP_HEALTH_SIGNAL_THRESHOLD
+    if (typeof heapThreshold === 'string') {
+      heapThreshold = parseMemorySize(heapThreshold)
+    }
+
+    let heapBatchThreshold = app.env.PLT_HEALTH_SIGNALS_HEAP_BATCH_THRESHOLD
+    if (typeof heapBatchThreshold === 'string') {
+      heapBatchThreshold = parseMemorySize(heapBatchThreshold)
+    }
+
+    // Like the ELU and heap ones, they cannot exceed the scaler thresholds
+    latencyBatchThreshold = app.env.PLT_HEALTH_SIGNALS_LATENCY_BATCH_THRESHOLD ?? null
+    const latencyThreshold = getSignalOptions('latencyP99').threshold
+    if (latencyBatchThreshold !== null && latencyBatchThreshold > latencyThreshold) {
+      latencyBatchThreshold = latencyThreshold
+    }
+
+    rpsBatchThreshold = app.env.PLT_HEALTH_SIGNALS_RPS_BATCH_THRESHOLD ?? null
+    const rpsThreshold = getSignalOptions('rps').threshold
+    if (rpsBatchThreshold !== null && rpsBatchThreshold > rpsThreshold) {
+      rpsBatchThreshold = rpsThreshold
+    }
+
+    heapThresholdMb = Math.round(heapThreshold / 1024 / 1024)
+
+    heapBatchThresholdMb = Math.round(heapBatchThreshold / 1024 / 1024)
+    if (heapBatchThresholdMb > heapThresholdMb) {
+      heapBatchThresholdMb = heapThresholdMb
+    }
+  }
+
+  let batchHasHighValue = false
+  let batchStartedAt = null
+
+  // Polls the HTTP metrics of the runtime and adds the latency and
+  // throughput of each worker to the current batch
+  let httpSignalsCollectedAt = null
+  async function collectHttpSignals () {
+    let metrics
+    try {
+      metrics = (await app.watt.runtime.getMetrics()).metrics
+    } catch (err) {
+      app.log.error({ err }, 'Failed to collect the HTTP metrics for the health signals')
+      return
+    }
+
+    const now = Date.now()
+    const elapsed = now - httpSignalsCollectedAt
+    httpSignalsCollectedAt = now
+    if (!metrics) return
+
+    const labelName = app.instanceConfig?.applicationMetricsLabel ?? 'serviceId'
+    const httpSignals = computeHttpSignals(metrics, { labelName, elapsed })
+
+    if (batchStartedAt === null) {
+      batchStartedAt = now
+    }
+
+    for (const [serviceId, workers] of Object.entries(httpSignals)) {
+      for (const [workerId, workerSignals] of Object.entries(workers)) {
+        for (const [type, value] of Object.entries(workerSignals)) {
+          signalsCache.addServiceSignal(serviceId, type, { workerId, value, timestamp: now })
+        }
+
+        const { latencyP99, rps } = workerSignals
+        if (
+          (latencyBatchThreshold !== null && latencyP99 > latencyBatchThreshold) ||
+          (rpsBatchThreshold !== null && rps > rpsBatchThreshold)
+        ) {
+          batchHasHighValue = true
+        }
+      }
+    }
+  }
+
+  function canSendToScaler () {
     const scalerAlgorithmVersion = app.instanceConfig?.scaler?.version ?? 'v1'
     if (scalerAlgorithmVersion !== 'v2') {
       app.log.info({ scalerVersion: scalerAlgorithmVersion }, 'Skipping v2 health signals setup, scaler version is not v2')
-      return
+      return false
     }
     app.log.info('Setting up v2 scaler health signals')
 
-    const runtimeVersion = app.watt.getRuntimeVersion()
-    if (semver.lt(runtimeVersion, '1.4.0')) {
-      app.log.warn(
-        `Watt version "${runtimeVersion}" does not support health signals for the Signal Scaler Algorithm.` +
-          'Please update your watt-extra to version 1.4.0 or higher.'
-      )
-      return
-    }
-
     // Skip alerts setup if ICC is not configured
     if (!app.env.PLT_ICC_URL) {
       app.log.info('PLT_ICC_URL not set, skipping alerts setup')
-      return
+      return false
     }
 
     const scalerUrl = app.instanceConfig?.iccServices?.scaler?.url
@@ -80,41 +209,40 @@ async function healthSignals (app, _opts) {
       app.log.warn(
         'No scaler URL found in ICC services, health alerts disabled'
       )
-      return
+      return false
     }
+    return true
+  }
 
-    const runtime = app.watt.runtime
-    const batchShortTimeout = app.env.PLT_HEALTH_SIGNALS_SHORT_BATCH_TIMEOUT
-    const batchLongTimeout = app.env.PLT_HEALTH_SIGNALS_LONG_BATCH_TIMEOUT
-
-    eluThreshold = app.env.PLT_ELU_HEALTH_SIGNAL_THRESHOLD
-
-    let eluBatchThreshold = app.env.PLT_HEALTH_SIGNALS_ELU_BATCH_THRESHOLD
-    if (eluBatchThreshold > eluThreshold) {
-      eluBatchThreshold = eluThreshold
-    }
+  // Whatever the scaler version, ICC scales the services when it can be reached
+  function isScalerConfigured () {
+    return !!app.env.PLT_ICC_URL && !!app.instanceConfig?.iccServices?.scaler?.url
+  }
 
-    let heapThreshold = app.env.PLT_HEAP_HEALTH_SIGNAL_THRESHOLD
-    if (typeof heapThreshold === 'string') {
-      heapThreshold = parseMemorySize(heapThreshold)
+  async function setupHealthSignals () {
+    sendToScaler = canSendToScaler()
+    if (!sendToScaler && !app.isLocalScalerEnabled()) {
+      return
     }
 
-    let heapBatchThreshold = app.env.PLT_HEALTH_SIGNALS_HEAP_BATCH_THRESHOLD
-    if (typeof heapBatchThreshold === 'string') {
-      heapBatchThreshold = parseMemorySize(heapBatchThreshold)
+    const runtimeVersion = app.watt.getRuntimeVersion()
+    if (semver.lt(runtimeVersion, '1.4.0')) {
+      app.log.warn(
+        `Watt version "${runtimeVersion}" does not support health signals for the Signal Scaler Algorithm.` +
+          'Please update your watt-extra to version 1.4.0 or higher.'
+      )
+      sendToScaler = false
+      return
     }
 
-    heapThresholdMb = Math.round(heapThreshold / 1024 / 1024)
-
-    let heapBatchThresholdMb = Math.round(heapBatchThreshold / 1024 / 1024)
-    if (heapBatchThresholdMb > heapThresholdMb) {
-      heapBatchThresholdMb = heapThresholdMb
-    }
+    const runtime = app.watt.runtime
+    const batchShortTimeout = app.env.PLT_HEALTH_SIGNALS_SHORT_BATCH_TIMEOUT
+    const batchLongTimeout = app.env.PLT_HEALTH_SIGNALS_LONG_BATCH_TIMEOUT
 
-    let batchHasHighValue = false
-    let batchStartedAt = null
+    setThresholds(app.instanceConfig?.config?.healthSignals)
 
-    setInterval(() => {
+    clearInterval(batchTimer)
+    batchTimer = setInterval(() => {
       if (batchStartedAt === null) return
 
       const now = Date.now()
@@ -127,9 +255,13 @@ async function healthSignals (app, _opts) {
 
         const signals = signalsCache.getAllSignals()
 
-        sendHealthSignals(signals, batchStartedAt).catch(err => {
-          app.log.error({ err }, 'Failed to send health signals to scaler')
-        })
+        app.evaluateLocalScaling(signals, { scalerConfigured: isScalerConfigured() })
+
+        if (sendToScaler) {
+          sendHealthSignalsBatch(signals, batchStartedAt).catch(err => {
+            app.log.error({ err }, 'Failed to send health signals to scaler')
+          })
+        }
 
         batchStartedAt = Date.now()
       }
@@ -171,44 +303,117 @@ async function healthSignals (app, _opts) {
         timestamp: now
       })
       heapTotalByService[serviceId] = heapTotal
-      signalsCache.addServiceSignals(serviceId, healthSignals)
 
       if (elu > eluBatchThreshold || heapUsedMb > heapBatchThresholdMb) {
         batchHasHighValue = true
       }
+
+      // Custom signals sent by the applications with sendHealthSignal
+      for (const signal of healthSignals ?? []) {
+        if (builtinSignals.has(signal.type)) continue
+
+        const { field = 'value', threshold } = getSignalOptions(signal.type)
+        const value = signal[field]
+        if (typeof value !== 'number') continue
+
+        signalsCache.addServiceSignal(serviceId, signal.type, {
+          workerId,
+          value,
+          timestamp: signal.timestamp ?? now
+        })
+
+        if (threshold !== undefined && value > threshold) {
+          batchHasHighValue = true
+        }
+      }
     }
     runtime.on('application:worker:health:metrics', healthMetricsListener)
-    await sendReadyStatus()
+
+    // Collecting the HTTP metrics resets them, so this is opt-in: the
+    // requests would be missing from the Prometheus and ICC scrapes.
+    // The first collection only resets the HTTP metrics.
+    clearInterval(httpSignalsTimer)
+    if (app.env.PLT_HEALTH_SIGNALS_HTTP_ENABLED) {
+      httpSignalsCollectedAt = Date.now()
+      await runtime.getMetrics().catch(() => {})
+      httpSignalsTimer = setInterval(
+        collectHttpSignals,
+        app.env.PLT_HEALTH_SIGNALS_HTTP_INTERVAL
+      ).unref()
+    }
+
+    if (!sendToScaler) {
+      app.log.info('Collecting the health signals for the local scaler only')
+      return
+    }
+
+    await app.outbox.send('ready', {
+      applicationId: app.instanceConfig?.applicationId,
+      runtimeId: app.getRuntimeId(),
+      timestamp: Date.now()
+    })
   }
   app.setupHealthSignals = setupHealthSignals
 
-  async function sendReadyStatus () {
+  // Sends the signals collected in the current batch without waiting
+  // for the batch timeout, e.g. before the instance shuts down
+  async function flushHealthSignals () {
+    if (batchStartedAt === null || !sendToScaler) return
+
+    const signals = signalsCache.getAllSignals()
+    const startedAt = batchStartedAt
+    batchHasHighValue = false
+    batchStartedAt = null
+
+    if (Object.keys(signals).length === 0) return
+
+    app.log.info('Flushing pending health signals')
+    await sendHealthSignalsBatch(signals, startedAt)
+  }
+  app.flushHealthSignals = flushHealthSignals
+
+  // The runtime metrics cannot be collected once it's closed
+  app.closeHealthSignals = () => {
+    clearInterval(httpSignalsTimer)
+    clearInterval(batchTimer)
+    httpSignalsTimer = null
+    batchTimer = null
+  }
+
+  function getScalerUrl () {
     const scalerUrl = app.instanceConfig?.iccServices?.scaler?.url
-    const applicationId = app.instanceConfig?.applicationId
-    const runtimeId = app.getRuntimeId()
-    const timestamp = Date.now()
+    if (!scalerUrl) {
+      throw new ScalerUrlMissingError()
+    }
+    return scalerUrl
+  }
+
+  // Sends the ready status, it's called by the outbox that queues the failed ones
+  async function sendReadyStatus ({ applicationId, runtimeId, timestamp }) {
+    const scalerUrl = getScalerUrl()
     const authHeaders = await app.getAuthorizationHeaders()
 
-    const { statusCode, body } = await request(`${scalerUrl}/ready`, {
+    const { statusCode, body } = await app.callICC('scaler', () => request(`${scalerUrl}/ready`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         ...authHeaders
       },
       body: JSON.stringify({ applicationId, runtimeId, timestamp })
-    })
+    }), { isFailedResult: isServerErrorResponse })
 
     if (statusCode !== 200) {
       const error = await body.text()
       app.log.error({ error }, 'Failed to send the instance ready status to scaler')
+      const err = new ScalerRequestError('ready status', error)
+      err.statusCode = statusCode
+      throw err
     }
   }
 
-  async function sendHealthSignals (rawSignals, batchStartedAt) {
-    const scalerUrl = app.instanceConfig?.iccServices?.scaler?.url
-    const applicationId = app.instanceConfig?.applicationId
-    const authHeaders = await app.getAuthorizationHeaders()
-
+  // The batch is formatted when it's collected, so that a replayed batch
+  // keeps the thresholds it was collected with
+  async function sendHealthSignalsBatch (rawSignals, batchStartedAt) {
     // Transform signals to the format expected by ICC LoadPredictor
     // Format: { serviceId: { elu: { options, workers: { workerId: { values: [[ts, val], ...] } } } } }
     const signals = {}
@@ -236,23 +441,48 @@ async function healthSignals (app, _opts) {
           workers: heapWorkerMetrics
         }
       }
+
+      for (const [type, signalWorkers] of Object.entries(serviceSignals)) {
+        if (signals[serviceId][type]) continue
+
+        const workers = {}
+        for (const [workerId, values] of Object.entries(signalWorkers)) {
+          workers[workerId] = { values }
+        }
+
+        const { field, ...options } = getSignalOptions(type)
+        signals[serviceId][type] = { options, workers }
+      }
     }
 
-    const runtimeId = app.getRuntimeId()
+    await app.outbox.send('signals', {
+      applicationId: app.instanceConfig?.applicationId,
+      runtimeId: app.getRuntimeId(),
+      signals,
+      batchStartedAt
+    })
+  }
+
+  // Sends a batch of health signals, it's called by the outbox that queues the failed ones
+  async function sendHealthSignals ({ applicationId, runtimeId, signals, batchStartedAt }) {
+    const scalerUrl = getScalerUrl()
+    const authHeaders = await app.getAuthorizationHeaders()
 
-    const { statusCode, body } = await request(`${scalerUrl}/signals`, {
+    const { statusCode, body } = await app.callICC('scaler', () => request(`${scalerUrl}/signals`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         ...authHeaders
       },
       body: JSON.stringify({ applicationId, runtimeId, signals, batchStartedAt })
-    })
+    }), { isFailedResult: isServerErrorResponse })
 
     if (statusCode !== 200) {
       const error = await body.text()
       app.log.error({ error }, 'Failed to send health signals to scaler')
-      return
+      const err = new ScalerRequestError('health signals', error)
+      err.statusCode = statusCode
+      throw err
     }
 
     const { alerts = [] } = await body.json()
@@ -275,6 +505,14 @@ async function healthSignals (app, _opts) {
       }
     }
   }
+
+  app.onConfigUpdate('healthSignals', (config) => {
+    setThresholds(config)
+    app.log.info({ eluThreshold, heapThresholdMb }, 'Health signals thresholds updated')
+  })
+
+  app.outbox.register('ready', sendReadyStatus)
+  app.outbox.register('signals', sendHealthSignals)
 }
 
 export default healthSignals
@@ -25,7 +25,7 @@ async function initPlugin (app) {
       request.buildDeploymentId = process.env.PLT_DEPLOYMENT_ID
     }
 
-    return controlPlaneClient.initApplicationInstance(request)
+    return app.callICC('control-plane', () => controlPlaneClient.initApplicationInstance(request))
   }
 
   async function initApplication () {
@@ -106,6 +106,9 @@ async function initPlugin (app) {
   app.watt = watt
   app.initApplication = initApplication
 
+  // Fetches the current instance config from the control plane
+  app.fetchInstanceConfig = () => initApplicationInstance(app.instanceId, app.applicationName)
+
   const headers = await app.getAuthorizationHeaders()
   await app.watt.updateSharedContext({ iccAuthHeaders: headers })
 }
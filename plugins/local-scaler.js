@@ -0,0 +1,89 @@
+import { getMeanElu, LocalScaler } from '../lib/local-scaler.js'
+
+// Scales the workers of the services in watt-extra while the ICC scaler
+// is missing or unreachable, using the batches of health signals
+async function localScaler (app, _opts) {
+  const enabled = app.env.PLT_LOCAL_SCALER_ENABLED
+
+  const scaler = new LocalScaler({
+    scaleUpElu: app.env.PLT_LOCAL_SCALER_SCALE_UP_ELU,
+    scaleDownElu: app.env.PLT_LOCAL_SCALER_SCALE_DOWN_ELU,
+    cooldown: app.env.PLT_LOCAL_SCALER_COOLDOWN_SEC * 1000
+  })
+
+  let active = false
+  let evaluating = false
+
+  app.isLocalScalerEnabled = () => enabled
+
+  // The circuit breaker of the scaler is open (or half-open)
+  // after consecutive failures to send the signals
+  function isScalerUnreachable (scalerConfigured) {
+    return !scalerConfigured || app.getCircuitBreakersInfo().scaler.state !== 'closed'
+  }
+
+  function setActive (value) {
+    if (value === active) return
+    active = value
+
+    if (active) {
+      app.log.warn('ICC scaler is not reachable, scaling the workers locally')
+    } else {
+      app.log.info('ICC scaler is reachable again, handing the scaling back to it')
+      scaler.reset()
+    }
+  }
+
+  async function scaleServices (signals) {
+    const runtime = app.watt.runtime
+    const runtimeConfig = await runtime.getRuntimeConfig()
+
+    // Both would change the number of workers
+    if (runtimeConfig.verticalScaler?.enabled) {
+      app.log.warn('The runtime vertical scaler is enabled, skipping local scaling')
+      return
+    }
+
+    const workersCount = app.getWorkersCount(runtimeConfig)
+
+    for (const [serviceId, serviceSignals] of Object.entries(signals)) {
+      const { minWorkers, maxWorkers } = workersCount[serviceId] ?? {}
+      if (minWorkers === maxWorkers) continue
+
+      const elu = getMeanElu(serviceSignals.elu)
+      const { workers } = await runtime.getApplicationResourcesInfo(serviceId)
+
+      const target = scaler.getTargetWorkers(serviceId, { elu, workers, minWorkers, maxWorkers })
+      if (target === null) continue
+
+      app.log.info({ serviceId, elu, workers, target }, 'Scaling the service workers locally')
+      try {
+        await runtime.updateApplicationsResources([{ application: serviceId, workers: target }])
+        scaler.markScaled(serviceId)
+      } catch (err) {
+        app.log.error({ err, serviceId }, 'Failed to scale the service workers locally')
+      }
+    }
+  }
+
+  // Called with each batch of health signals
+  app.evaluateLocalScaling = async (signals, { scalerConfigured }) => {
+    if (!enabled) return
+
+    setActive(isScalerUnreachable(scalerConfigured))
+    if (!active || evaluating || !app.watt.runtime) return
+
+    evaluating = true
+    try {
+      await scaleServices(signals)
+    } catch (err) {
+      app.log.error({ err }, 'Failed to evaluate the local scaling')
+    } finally {
+      evaluating = false
+    }
+  }
+
+  app.getLocalScalerInfo = () => ({ enabled, active })
+}
+
+export default localScaler
@@ -0,0 +1,148 @@
+import {
+  CommandRuntimeNotStartedError,
+  InvalidCommandParamsError,
+  InvalidLogLevelError,
+  LogLevelApplicationNotFoundError,
+  LogLevelNotSupportedError
+} from '../lib/errors.js'
+
+const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace']
+
+// Target of the overrides that apply to watt-extra itself
+const WATT_EXTRA = 'watt-extra'
+
+// Temporarily changes the log level of watt-extra or of the workers of a
+// runtime application. The previous level is restored when the window expires.
+async function logLevel (app, _opts) {
+  const defaultDuration = app.env.PLT_LOG_LEVEL_DURATION_SEC * 1000
+  const maxDuration = app.env.PLT_LOG_LEVEL_MAX_DURATION_SEC * 1000
+
+  // Active overrides by target: { level, previous, capabilityPrevious, expiresAt, timer }
+  const overrides = new Map()
+
+  // The workers started during an override (e.g. restarted or scaled up)
+  // start with the configured level, the override is applied to them too
+  let listenedRuntime = null
+  function workerStartedListener ({ application, worker }) {
+    const override = overrides.get(application)
+    if (!override) return
+
+    const workerId = `${application}:${worker}`
+    listenedRuntime.sendCommandToApplication(workerId, 'setLogLevel', { level: override.level })
+      .then(() => {
+        app.log.debug({ target: application, worker, level: override.level }, 'Log level applied to the new worker')
+      })
+      .catch((err) => {
+        app.log.error({ err, target: application, worker }, 'Failed to apply the log level to the new worker')
+      })
+  }
+
+  function listenWorkersStarted (runtime) {
+    if (listenedRuntime === runtime) return
+
+    listenedRuntime?.removeListener('application:worker:started', workerStartedListener)
+    listenedRuntime = runtime
+    runtime.on('application:worker:started', workerStartedListener)
+  }
+
+  // Returns the previous levels: the workers have a global logger and the
+  // logger of their application, that may have a different level
+  async function applyLevel (target, level, capabilityLevel = level) {
+    if (target === WATT_EXTRA) {
+      const previous = app.log.level
+      app.log.level = level
+      return { previous }
+    }
+
+    const runtime = app.watt?.runtime
+    if (!runtime) {
+      throw new CommandRuntimeNotStartedError('set-log-level')
+    }
+
+    const workers = await runtime.getWorkers()
+    const workerIds = Object.keys(workers).filter(id => workers[id].application === target)
+    if (workerIds.length === 0) {
+      throw new LogLevelApplicationNotFoundError(target)
+    }
+
+    // Handled by lib/worker-log-level.js, the runtime replies with an
+    // empty object when the handler is missing
+    const results = await Promise.all(
+      workerIds.map(id => runtime.sendCommandToApplication(id, 'setLogLevel', { level, capabilityLevel }))
+    )
+    const applied = results.find(result => result?.level)
+    if (!applied) {
+      throw new LogLevelNotSupportedError(target)
+    }
+
+    listenWorkersStarted(runtime)
+    return { previous: applied.previous, capabilityPrevious: applied.capabilityPrevious }
+  }
+
+  async function revert (target) {
+    const override = overrides.get(target)
+    if (!override) return
+
+    clearTimeout(override.timer)
+    overrides.delete(target)
+
+    try {
+      await applyLevel(target, override.previous, override.capabilityPrevious)
+      app.log.info({ target, level: override.previous }, 'Log level restored')
+    } catch (err) {
+      app.log.error({ err, target }, 'Failed to restore the log level')
+    }
+  }
+
+  app.setLogLevel = async ({ level, application, duration } = {}) => {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new InvalidLogLevelError(level, LOG_LEVELS.join(', '))
+    }
+
+    const target = application ?? WATT_EXTRA
+    const windowDuration = Math.min(duration ?? defaultDuration, maxDuration)
+
+    const { previous, capabilityPrevious } = await applyLevel(target, level)
+
+    // Extending an active override keeps the levels to restore
+    const existing = overrides.get(target)
+    clearTimeout(existing?.timer)
+
+    const override = {
+      level,
+      previous: existing ? existing.previous : previous,
+      capabilityPrevious: existing ? existing.capabilityPrevious : capabilityPrevious,
+      expiresAt: Date.now() + windowDuration,
+      timer: setTimeout(() => revert(target), windowDuration).unref()
+    }
+    overrides.set(target, override)
+
+    app.log.info({ target, level, duration: windowDuration }, 'Log level changed')
+    return { target, level: override.level, previous: override.previous, expiresAt: override.expiresAt }
+  }
+
+  app.resetLogLevel = revert
+
+  app.getLogLevels = () => {
+    const levels = { [WATT_EXTRA]: { level: app.log.level } }
+    for (const [target, { level, previous, expiresAt }] of overrides) {
+      levels[target] = { level, previous, expiresAt }
+    }
+    return levels
+  }
+
+  app.commands.register('set-log-level', (params) => {
+    // A window that is not a positive number would be reverted right away
+    if (params.durationSec !== undefined && !(Number.isFinite(params.durationSec) && params.durationSec > 0)) {
+      throw new InvalidCommandParamsError('set-log-level', 'durationSec must be a positive number')
+    }
+
+    return app.setLogLevel({
+      level: params.level,
+      application: params.application,
+      duration: params.durationSec === undefined ? undefined : params.durationSec * 1000
+    })
+  })
+}
+
+export default logLevel
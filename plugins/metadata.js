@@ -68,14 +68,13 @@ async function metadata (app, _opts) {
           // every time, because the token might be expired
           // And we cannot set the global dispatcher because it's shared with the runtime main thread.
           setDefaultHeaders(await app.getAuthorizationHeaders())
-          await controlPlaneClient.saveApplicationInstanceState({
+          const headers = await app.getAuthorizationHeaders()
+          await app.callICC('control-plane', () => controlPlaneClient.saveApplicationInstanceState({
             id: app.instanceId,
             services,
             metadata: runtimeMetadata,
             ...(scheduler ? { scheduler } : {})
-          }, {
-            headers: await app.getAuthorizationHeaders()
-          })
+          }, { headers }))
         } catch (error) {
           app.log.error('Failed to save application state to Control Plane', error)
           throw new MetadataStateError()
@@ -102,6 +101,7 @@ async function metadata (app, _opts) {
   }
   app.sendMetadata = sendMetadata
 
+  // Also used by the local scaler
   function getWorkersCount (runtimeConfig) {
     const verticalScalerConfig = runtimeConfig.verticalScaler
     const serviceWorkers = {}
@@ -137,6 +137,7 @@ async function metadata (app, _opts) {
 
     return serviceWorkers
   }
+  app.getWorkersCount = getWorkersCount
 }
 
 export default metadata
@@ -0,0 +1,99 @@
+import { Outbox } from '../lib/outbox.js'
+
+// Default retention per category. Health signals and the ready status
+// become useless quickly, alerts and profiles explain an outage afterwards.
+const defaultRetention = {
+  alerts: { maxItems: 100, maxAge: 60 * 60 * 1000 },
+  signals: { maxItems: 60, maxAge: 10 * 60 * 1000 },
+  ready: { maxItems: 1, maxAge: 10 * 60 * 1000 },
+  flamegraphs: { maxItems: 20, maxAge: 60 * 60 * 1000 }
+}
+
+function isObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+// Invalid overrides are logged and replaced by the default retention
+function parseRetention (app) {
+  const value = app.env.PLT_OUTBOX_RETENTION
+  if (!value) return defaultRetention
+
+  let overrides
+  try {
+    overrides = JSON.parse(value)
+  } catch (err) {
+    app.log.error({ err }, 'Failed to parse PLT_OUTBOX_RETENTION, using the default retention')
+    return defaultRetention
+  }
+
+  if (!isObject(overrides)) {
+    app.log.error('PLT_OUTBOX_RETENTION must be an object, using the default retention')
+    return defaultRetention
+  }
+
+  const retention = {}
+  for (const [category, defaults] of Object.entries(defaultRetention)) {
+    retention[category] = { ...defaults }
+
+    const override = overrides[category]
+    if (override === undefined) continue
+    if (!isObject(override)) {
+      app.log.error({ category }, 'Invalid PLT_OUTBOX_RETENTION category, using its default retention')
+      continue
+    }
+
+    const { maxItems, maxAge } = override
+    if (maxItems !== undefined) {
+      if (Number.isInteger(maxItems) && maxItems >= 0) {
+        retention[category].maxItems = maxItems
+      } else {
+        app.log.error({ category, maxItems }, 'Invalid PLT_OUTBOX_RETENTION maxItems, using the default')
+      }
+    }
+    if (maxAge !== undefined) {
+      if (Number.isFinite(maxAge) && maxAge > 0) {
+        retention[category].maxAge = maxAge
+      } else {
+        app.log.error({ category, maxAge }, 'Invalid PLT_OUTBOX_RETENTION maxAge, using the default')
+      }
+    }
+  }
+  return retention
+}
+
+async function outbox (app, _opts) {
+  const outboxDir = app.env.PLT_OUTBOX_DIR
+
+  app.outbox = new Outbox({
+    categories: parseRetention(app),
+    dir: outboxDir || null,
+    logger: app.log
+  })
+
+  let replayTimer = null
+
+  app.replayOutbox = async () => {
+    try {
+      await app.outbox.replay()
+    } catch (err) {
+      app.log.error({ err }, 'Failed to replay the outbox')
+    }
+  }
+
+  app.setupOutbox = async () => {
+    await app.outbox.load()
+
+    if (!replayTimer) {
+      const replayInterval = app.env.PLT_OUTBOX_REPLAY_INTERVAL_SEC * 1000
+      replayTimer = setInterval(app.replayOutbox, replayInterval).unref()
+    }
+  }
+
+  app.closeOutbox = async () => {
+    clearInterval(replayTimer)
+    replayTimer = null
+    await app.outbox.flush()
+  }
+}
+
+export default outbox
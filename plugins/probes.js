@@ -0,0 +1,140 @@
+import { AdminServer } from '../lib/admin-server.js'
+import { ReadinessCheckError, ReadinessProbeMissingError } from '../lib/errors.js'
+
+// Readiness checks that can be enabled with PLT_READINESS_CHECKS.
+// Each check returns true when the instance satisfies it.
+const readinessChecks = {
+  // The runtime has been spawned
+  runtime: async (app) => Boolean(app.watt?.runtime),
+
+  // Watt-extra completed the ICC integration (or it runs standalone)
+  icc: async (app) => !app.env.PLT_ICC_URL || app.isICCInitialized?.() === true,
+
+  // The updates websocket is connected (or it runs standalone)
+  updates: async (app) => !app.env.PLT_ICC_URL || app.getUpdatesState?.().connected === true,
+
+  // All the runtime workers are started
+  workers: async (app) => {
+    const runtime = app.watt?.runtime
+    if (!runtime) return false
+
+    const workers = await runtime.getWorkers()
+    return Object.values(workers).every(worker => worker.status === 'started')
+  },
+
+  // No worker is in the alerts grace period
+  grace: async (app) => {
+    const runtime = app.watt?.runtime
+    if (!runtime) return false
+
+    const workers = await runtime.getWorkers()
+    return Object.keys(workers).every(workerId => !app.isWorkerInGracePeriod?.(workerId))
+  },
+
+  // The application is compliant, or it has not been evaluated
+  compliance: async (app) => app.getComplianceReport?.()?.compliant !== false
+}
+
+function parseReadinessChecks (value) {
+  const names = (value ?? '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+
+  for (const name of names) {
+    if (!readinessChecks[name]) {
+      throw new ReadinessCheckError(name, Object.keys(readinessChecks).join(', '))
+    }
+  }
+  return [...new Set(names)]
+}
+
+async function probes (app, _opts) {
+  const enabledChecks = parseReadinessChecks(app.env.PLT_READINESS_CHECKS)
+
+  // A non-compliant application is kept out of the traffic, which
+  // requires the orchestrator to call the readiness probe
+  if (app.env.PLT_COMPLIANCE_ENFORCEMENT === 'block-traffic') {
+    if (app.env.PLT_PROBES_PORT === undefined) {
+      if (app.env.PLT_ADMIN_PORT === undefined) {
+        throw new ReadinessProbeMissingError('PLT_COMPLIANCE_ENFORCEMENT=block-traffic')
+      }
+      if (['127.0.0.1', 'localhost', '::1'].includes(app.env.PLT_ADMIN_HOSTNAME)) {
+        app.log.warn(
+          { hostname: app.env.PLT_ADMIN_HOSTNAME },
+          'The readiness probe is only served by the admin API on a loopback address, set PLT_PROBES_PORT for the orchestrator to reach it'
+        )
+      }
+    }
+
+    if (!enabledChecks.includes('compliance')) {
+      enabledChecks.push('compliance')
+    }
+  }
+
+  async function checkReadiness () {
+    const checks = {}
+    for (const name of enabledChecks) {
+      try {
+        checks[name] = await readinessChecks[name](app)
+      } catch (err) {
+        app.log.warn({ err, check: name }, 'Readiness check failed')
+        checks[name] = false
+      }
+    }
+
+    const shuttingDown = app.isShuttingDown?.() === true
+    const ready = !shuttingDown && Object.values(checks).every(Boolean)
+
+    return { ready, shuttingDown, checks }
+  }
+
+  // Probes are called by the orchestrator, so they don't require the admin token
+  const probeRoutes = [
+    {
+      method: 'GET',
+      path: '/live',
+      auth: false,
+      handler: async () => ({ status: 'ok' })
+    },
+    {
+      method: 'GET',
+      path: '/ready',
+      auth: false,
+      handler: async (_req, reply) => {
+        const readiness = await checkReadiness()
+        reply.code(readiness.ready ? 200 : 503)
+        return readiness
+      }
+    }
+  ]
+
+  // The probes server only serves the probes, so it can listen on the pod
+  // network without exposing the admin API
+  const probesServer = new AdminServer({ token: null, logger: app.log })
+  for (const route of probeRoutes) {
+    probesServer.addRoute(route)
+    app.addAdminRoute(route)
+  }
+
+  async function setupProbes () {
+    const port = app.env.PLT_PROBES_PORT
+    if (port === undefined) {
+      app.log.debug('PLT_PROBES_PORT not set, the probes are served by the admin API only')
+      return
+    }
+
+    const url = await probesServer.listen({
+      port,
+      hostname: app.env.PLT_PROBES_HOSTNAME
+    })
+    app.probesUrl = url
+    app.log.info({ url }, 'Probes listening')
+  }
+
+  app.checkReadiness = checkReadiness
+  app.setupProbes = setupProbes
+  app.closeProbes = () => probesServer.close()
+}
+
+export default probes
@@ -0,0 +1,59 @@
+import { CommandRuntimeNotStartedError, InvalidCommandParamsError } from '../lib/errors.js'
+
+// Commands ICC sends to operate the runtime of this instance
+async function runtimeCommands (app, _opts) {
+  function getRuntime (command) {
+    const runtime = app.watt?.runtime
+    if (!runtime) {
+      throw new CommandRuntimeNotStartedError(command)
+    }
+    return runtime
+  }
+
+  function requireApplication (command, params) {
+    if (typeof params.application !== 'string' || !params.application) {
+      throw new InvalidCommandParamsError(command, 'application must be a non-empty string')
+    }
+    return params.application
+  }
+
+  // Restarts all the applications, one worker at a time, like SIGUSR2
+  app.commands.register('restart-runtime', async () => {
+    const runtime = getRuntime('restart-runtime')
+
+    app.log.info('Restarting the runtime on ICC request')
+    await runtime.restart()
+
+    const { applications } = await runtime.getApplications()
+    return { restarted: applications.map(application => application.id) }
+  })
+
+  app.commands.register('restart-application', async (params) => {
+    const runtime = getRuntime('restart-application')
+    const application = requireApplication('restart-application', params)
+
+    app.log.info({ application }, 'Restarting application on ICC request')
+    await runtime.restartApplication(application)
+
+    return { restarted: [application] }
+  })
+
+  app.commands.register('scale-application', async (params) => {
+    const runtime = getRuntime('scale-application')
+    const application = requireApplication('scale-application', params)
+
+    const { workers } = params
+    if (!Number.isInteger(workers) || workers <= 0) {
+      throw new InvalidCommandParamsError('scale-application', 'workers must be a positive integer')
+    }
+
+    app.log.info({ application, workers }, 'Scaling application on ICC request')
+    const report = await runtime.updateApplicationsResources([{ application, workers }])
+
+    // The report is empty when the application already has that many workers
+    const result = report?.[0]?.workers ?? null
+    return { success: result?.success !== false, application, workers: result }
+  })
+}
+
+export default runtimeCommands
@@ -1,4 +1,6 @@
 import { request } from 'undici'
+import { isServerErrorResponse } from '../lib/retry.js'
+import { InvalidCommandParamsError, ScheduledJobNotFoundError } from '../lib/errors.js'
 
 async function scheduler (app, _opts) {
   // Collects configured and application-level jobs owned by the runtime.
@@ -128,7 +130,11 @@ async function scheduler (app, _opts) {
           }
         }
 
-        const result = await cronClient.putWattJobs(iccJob)
+        const result = await app.callICC(
+          'cron',
+          () => cronClient.putWattJobs(iccJob),
+          { isFailedResult: isServerErrorResponse }
+        )
         if (result.statusCode >= 400) {
           const error = new Error(`ICC returned HTTP ${result.statusCode} while saving job "${job.name}"`)
           error.statusCode = result.statusCode
@@ -159,9 +165,46 @@ async function scheduler (app, _opts) {
     }
   }
 
+  // Jobs paused by ICC: their ticks are not executed by this pod
+  const pausedJobs = new Set()
+
+  async function setScheduledJobPaused (command, params, paused) {
+    const { name } = params
+    if (typeof name !== 'string' || !name) {
+      throw new InvalidCommandParamsError(command, 'name must be a non-empty string')
+    }
+
+    const jobs = await collectSchedulerJobs()
+    if (!jobs.some(job => job.name === name)) {
+      throw new ScheduledJobNotFoundError(name)
+    }
+
+    if (paused) {
+      pausedJobs.add(name)
+    } else {
+      pausedJobs.delete(name)
+    }
+    app.log.info({ name, paused }, 'Scheduled job state changed by ICC')
+
+    return { name, paused }
+  }
+
   app.sendSchedulerInfo = sendSchedulerInfo
   app.collectSchedulerJobs = collectSchedulerJobs
   app.runScheduledJob = runScheduledJob
+  app.getPausedScheduledJobs = () => [...pausedJobs]
+
+  // ICC dispatches each tick of a centrally coordinated job to exactly one pod.
+  // Skipping the tick of a paused job is not a failure.
+  app.commands.register('run-scheduled-job', async (params) => {
+    if (pausedJobs.has(params.name)) {
+      app.log.info({ name: params.name }, 'Skipping the tick of a paused scheduled job')
+      return { name: params.name, skipped: true, reason: 'paused' }
+    }
+    return runScheduledJob(params)
+  })
+  app.commands.register('pause-scheduled-job', (params) => setScheduledJobPaused('pause-scheduled-job', params, true))
+  app.commands.register('resume-scheduled-job', (params) => setScheduledJobPaused('resume-scheduled-job', params, false))
 }
 
 export default scheduler
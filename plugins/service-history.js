@@ -0,0 +1,90 @@
+import { once } from 'node:events'
+import { Writable } from 'node:stream'
+import { ServiceHistory } from '../lib/service-history.js'
+
+const lifecycleEvents = [
+  'application:worker:started',
+  'application:worker:stopped',
+  'application:worker:exited',
+  'application:worker:error',
+  'application:worker:unhealthy',
+  'application:worker:startTimeout',
+  'application:worker:start:failed',
+  'application:worker:exit:timeout'
+]
+
+async function serviceHistory (app, _opts) {
+  const maxLogs = app.env.PLT_ALERTS_LOG_LINES
+  const maxEvents = app.env.PLT_ALERTS_EVENTS
+
+  app.serviceHistory = new ServiceHistory({ maxLogs, maxEvents })
+
+  let trackedRuntime = null
+  let logsStream = null
+
+  // The runtime logs of the workers are bound to the application id as `name`
+  function recordLogs (data) {
+    for (const line of data.split('\n')) {
+      if (line.length === 0) continue
+
+      let serviceId
+      try {
+        serviceId = JSON.parse(line).name
+      } catch {
+        continue
+      }
+
+      if (typeof serviceId === 'string') {
+        app.serviceHistory.addLog(serviceId, line)
+      }
+    }
+  }
+
+  app.setupServiceHistory = async () => {
+    const runtime = app.watt?.runtime
+    if (!runtime || runtime === trackedRuntime) return
+    trackedRuntime = runtime
+
+    if (maxLogs > 0 && runtime.addLoggerDestination) {
+      logsStream = new Writable({
+        write (chunk, _encoding, callback) {
+          recordLogs(chunk.toString())
+          callback()
+        }
+      })
+      await runtime.addLoggerDestination(logsStream)
+    }
+
+    for (const eventName of lifecycleEvents) {
+      runtime.on(eventName, (payload) => {
+        if (!payload?.application) return
+
+        const event = {
+          event: eventName.replace('application:worker:', ''),
+          worker: payload.worker,
+          timestamp: Date.now()
+        }
+        if (payload.code !== undefined) {
+          event.code = payload.code
+        }
+        if (payload.error) {
+          event.error = payload.error.message
+        }
+        app.serviceHistory.addEvent(payload.application, event)
+      })
+    }
+  }
+
+  // The stream must be removed from the runtime logger before the runtime
+  // is closed: closing the stream removes it
+  app.closeServiceHistory = async () => {
+    if (!logsStream) return
+
+    const closed = once(logsStream, 'close')
+    logsStream.destroy()
+    await closed
+    logsStream = null
+  }
+}
+
+export default serviceHistory
@@ -0,0 +1,119 @@
+import { setTimeout as sleep } from 'node:timers/promises'
+
+const SHUTDOWN_SIGNALS = ['SIGTERM', 'SIGINT']
+const ERROR_EVENTS = ['uncaughtException', 'unhandledRejection']
+
+async function shutdown (app, _opts) {
+  const graceDelay = app.env.PLT_SHUTDOWN_DRAIN_PERIOD_SEC * 1000
+  const shutdownTimeout = app.env.PLT_SHUTDOWN_TIMEOUT_SEC * 1000
+
+  let shutdownPromise = null
+  let listeners = null
+
+  async function drainAndClose (reason) {
+    app.log.info({ reason, graceDelay, shutdownTimeout }, 'Shutting down, draining the instance')
+
+    // Tell ICC the instance is going away before we stop accepting
+    // requests, so it stops routing work to this pod
+    await app.reportStatus('draining')
+
+    // A fixed grace delay, the in-flight requests are not tracked: it gives
+    // the load balancer time to stop sending new requests and the in-flight
+    // ones time to complete
+    if (graceDelay > 0) {
+      await sleep(graceDelay)
+    }
+
+    const results = await Promise.allSettled([
+      app.flushHealthSignals(),
+      app.flushAlerts()
+    ])
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        app.log.warn({ err: result.reason }, 'Failed to flush pending data before shutdown')
+      }
+    }
+
+    await app.close()
+    app.log.info('Shutdown completed')
+  }
+
+  // Drains and closes the instance. Subsequent calls return the same promise.
+  function shutdownApp (reason) {
+    shutdownPromise ??= drainAndClose(reason)
+    return shutdownPromise
+  }
+
+  function shutdownAndExit (reason, exitCode) {
+    const forceExitTimer = setTimeout(() => {
+      app.log.error({ shutdownTimeout }, 'Could not shut down in time, forcing exit')
+      process.exit(1)
+    }, shutdownTimeout)
+    forceExitTimer.unref()
+
+    shutdownApp(reason).then(
+      () => {
+        clearTimeout(forceExitTimer)
+        process.exit(exitCode)
+      },
+      (err) => {
+        clearTimeout(forceExitTimer)
+        app.log.error({ err }, 'Failed to shut down gracefully')
+        process.exit(1)
+      }
+    )
+  }
+
+  function onSignal (signal) {
+    if (shutdownPromise) {
+      app.log.warn({ signal }, 'Received a second shutdown signal, forcing exit')
+      process.exit(1)
+      return
+    }
+    shutdownAndExit(signal, 0)
+  }
+
+  // The runtime is created without its signals handling, that also closes
+  // it on the uncaught errors: they shut down the instance the same way,
+  // then exit with an error. An error during the shutdown forces the exit.
+  function onError (event, err) {
+    app.log.error({ err, event }, 'Unexpected error, shutting down')
+    if (shutdownPromise) {
+      process.exit(1)
+      return
+    }
+    shutdownAndExit(event, 1)
+  }
+
+  function setupShutdown () {
+    removeShutdownHandlers()
+
+    listeners = new Map()
+    for (const signal of SHUTDOWN_SIGNALS) {
+      listeners.set(signal, onSignal)
+    }
+    for (const event of ERROR_EVENTS) {
+      listeners.set(event, (err) => onError(event, err))
+    }
+
+    for (const [event, listener] of listeners) {
+      process.on(event, listener)
+    }
+  }
+
+  function removeShutdownHandlers () {
+    if (listeners) {
+      for (const [event, listener] of listeners) {
+        process.removeListener(event, listener)
+      }
+      listeners = null
+    }
+  }
+
+  app.shutdown = shutdownApp
+  app.setupShutdown = setupShutdown
+  app.removeShutdownHandlers = removeShutdownHandlers
+  app.isShuttingDown = () => shutdownPromise !== null
+}
+
+export default shutdown
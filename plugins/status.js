@@ -0,0 +1,130 @@
+import {
+  StatusSendError,
+  StatusAppIdError
+} from '../lib/errors.js'
+import { isServerErrorResponse } from '../lib/retry.js'
+
+async function status (app, _opts) {
+  let currentStatus = null
+  let pendingStatus = Promise.resolve()
+
+  // Store listener references for cleanup
+  const runtimeListeners = []
+
+  async function sendStatus (status) {
+    // Skip status reporting if ICC is not configured
+    if (!app.env.PLT_ICC_URL) {
+      app.log.debug({ status }, 'PLT_ICC_URL not set, skipping status reporting')
+      return
+    }
+
+    const applicationId = app.instanceConfig?.applicationId
+    if (!applicationId) {
+      app.log.warn({ status }, 'Cannot send application status: no applicationId available')
+      throw new StatusAppIdError()
+    }
+
+    const { default: build, setDefaultHeaders } = await import('../clients/control-plane/control-plane.mjs')
+    const controlPlaneClient = build(app.env.PLT_CONTROL_PLANE_URL)
+
+    // There is a better way? We need to set the default headers for the client
+    // every time, because the token might be expired
+    // And we cannot set the global dispatcher because it's shared with the runtime main thread.
+    setDefaultHeaders(await app.getAuthorizationHeaders())
+
+    let res
+    try {
+      res = await app.callICC('control-plane', () => controlPlaneClient.saveApplicationInstanceStatus({
+        id: app.instanceId,
+        status
+      }), { isFailedResult: isServerErrorResponse })
+    } catch (err) {
+      app.log.error({ err, status }, 'Failed to send application status')
+      throw new StatusSendError()
+    }
+
+    if (res.statusCode !== 200) {
+      app.log.error({ statusCode: res.statusCode, body: res.body, status }, 'Failed to send application status')
+      throw new StatusSendError()
+    }
+
+    app.log.info({ status }, 'Application status sent')
+  }
+
+  // Records a lifecycle transition and pushes it to ICC. Transitions are sent
+  // in order and never throw: a failed report is resent on the next ICC sync.
+  // Called without arguments it resends the current status.
+  function reportStatus (status) {
+    const isResend = status === undefined
+    if (isResend) {
+      status = currentStatus
+    } else if (status === currentStatus) {
+      return pendingStatus
+    }
+    if (status === null) return pendingStatus
+
+    currentStatus = status
+
+    pendingStatus = pendingStatus.then(async () => {
+      try {
+        await sendStatus(status)
+      } catch (err) {
+        app.log.warn({ err, status, isResend }, 'Failed to report application status')
+      }
+    })
+    return pendingStatus
+  }
+
+  async function areAllWorkersStarted (runtime) {
+    const workers = await runtime.getWorkers()
+    return Object.values(workers).every(worker => worker.status === 'started')
+  }
+
+  function setupStatus () {
+    const runtime = app.watt.runtime
+
+    // Remove old listeners if they exist (for runtime respawn scenario)
+    for (const [event, listener] of runtimeListeners) {
+      runtime.removeListener(event, listener)
+    }
+    runtimeListeners.length = 0
+
+    function listen (event, listener) {
+      runtime.on(event, listener)
+      runtimeListeners.push([event, listener])
+    }
+
+    listen('restarting', () => reportStatus('restarting'))
+    listen('restarted', () => reportStatus('started'))
+    listen('stopping', () => reportStatus('stopping'))
+    listen('closed', () => reportStatus('stopped'))
+
+    // A worker crashed: the runtime restarts it, but until then the
+    // instance is serving with reduced capacity
+    listen('application:worker:error', (workerInfo) => {
+      app.log.warn({ application: workerInfo?.application, worker: workerInfo?.worker }, 'Worker crashed, instance degraded')
+      reportStatus('degraded')
+    })
+
+    listen('application:worker:started', () => {
+      if (currentStatus !== 'degraded') return
+
+      areAllWorkersStarted(runtime)
+        .then((allStarted) => {
+          if (allStarted && currentStatus === 'degraded') {
+            reportStatus('started')
+          }
+        })
+        .catch((err) => {
+          app.log.warn({ err }, 'Failed to check workers status')
+        })
+    })
+  }
+
+  app.sendStatus = sendStatus
+  app.reportStatus = reportStatus
+  app.setupStatus = setupStatus
+  app.getStatus = () => currentStatus
+}
+
+export default status
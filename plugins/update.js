@@ -1,6 +1,8 @@
 import WebSocket from 'ws'
 import { once } from 'node:events'
+import { isDeepStrictEqual } from 'node:util'
 import { setTimeout as sleep } from 'node:timers/promises'
+import { computeBackoff } from '../lib/retry.js'
 
 function createWebSocketUrl (httpUrl, path, queryParams = {}) {
   const url = new URL(httpUrl)
@@ -15,50 +17,76 @@ function createWebSocketUrl (httpUrl, path, queryParams = {}) {
 
 async function updatePlugin (app) {
   const reconnectInterval = app.env.PLT_UPDATES_RECONNECT_INTERVAL_SEC * 1000
+  const maxReconnectInterval = (app.env.PLT_UPDATES_RECONNECT_MAX_INTERVAL_SEC ?? 60) * 1000
+  const heartbeatInterval = (app.env.PLT_UPDATES_HEARTBEAT_INTERVAL_SEC ?? 30) * 1000
+  const heartbeatTimeout = (app.env.PLT_UPDATES_HEARTBEAT_TIMEOUT_SEC ?? 10) * 1000
+  let reconnectAttempts = 0
+  let hasSubscribed = false
 
   let socket = null
+  // Aborts the pending connection when it's replaced
+  let connectController = null
+  let heartbeatTimer = null
+  let pongTimer = null
+  let lastMessageAt = null
+  let lastPongAt = null
+
+  // A half-open TCP connection (e.g. dropped by a load balancer) never
+  // emits 'close'. Ping ICC periodically and drop the connection when the
+  // pong does not arrive in time, the 'close' handler then reconnects.
+  function startHeartbeat (ws) {
+    stopHeartbeat()
+
+    ws.on('pong', () => {
+      lastPongAt = Date.now()
+      clearTimeout(pongTimer)
+      pongTimer = null
+    })
+
+    heartbeatTimer = setInterval(() => {
+      // Still waiting for the previous pong
+      if (pongTimer) return
+
+      pongTimer = setTimeout(() => {
+        app.log.warn(
+          { lastMessageAt, lastPongAt, timeout: heartbeatTimeout },
+          'No pong received from updates websocket, dropping the connection'
+        )
+        stopHeartbeat()
+        ws.terminate()
+      }, heartbeatTimeout).unref()
+
+      try {
+        ws.ping()
+      } catch (err) {
+        app.log.error(err, 'Failed to ping updates websocket')
+      }
+    }, heartbeatInterval).unref()
+  }
+
+  function stopHeartbeat () {
+    clearInterval(heartbeatTimer)
+    clearTimeout(pongTimer)
+    heartbeatTimer = null
+    pongTimer = null
+  }
 
   async function processMessage (data) {
+    lastMessageAt = Date.now()
+
     try {
       const message = JSON.parse(data)
       const { topic, type, command } = message
 
-      // Handle trigger-flamegraph command from ICC
-      if (command === 'trigger-flamegraph') {
-        app.log.info({ command }, 'Received trigger-flamegraph command from ICC')
-        app.sendFlamegraphs({ profileType: 'cpu' })
-        return
-      }
-
-      // Handle trigger-heapprofile command from ICC
-      if (command === 'trigger-heapprofile') {
-        app.log.info({ command }, 'Received trigger-heapprofile command from ICC')
-        app.sendFlamegraphs({ profileType: 'heap' })
-        return
-      }
-
-      // Handle a centrally coordinated cron job execution: ICC dispatches
-      // each tick to exactly one pod of the application, this one.
-      if (command === 'run-scheduled-job') {
-        app.log.info({ command, job: message.params?.name }, 'Received run-scheduled-job command from ICC')
-        try {
-          const result = await app.runScheduledJob(message.params ?? {})
-          if (message.requestId) {
-            socket.send(JSON.stringify({
-              requestId: message.requestId,
-              success: result?.success !== false,
-              result
-            }))
-          }
-        } catch (error) {
-          if (message.requestId) {
-            socket.send(JSON.stringify({
-              requestId: message.requestId,
-              success: false,
-              error: { message: error.message, name: error.name }
-            }))
-          }
-          throw error
+      // Commands registered by the plugins, see app.commands. ICC gets an
+      // ack and then the result for every command sent with a requestId.
+      if (command) {
+        const { requestId } = message
+        const reply = await app.commands.dispatch(message, {
+          onAck: requestId ? sendMessage : undefined
+        })
+        if (requestId) {
+          sendMessage(reply)
         }
         return
       }
@@ -71,7 +99,7 @@ async function updatePlugin (app) {
 
       if (type === 'config-updated') {
         app.log.info({ topic, type }, 'Received config update from updates websocket')
-        await app.updateConfig(message)
+        await applyConfigMessage(message)
       } else {
         app.log.info({ topic, type }, 'Received message, not handled type')
       }
@@ -80,6 +108,43 @@ async function updatePlugin (app) {
     }
   }
 
+  function sendMessage (message) {
+    try {
+      socket.send(JSON.stringify(message))
+    } catch (err) {
+      app.log.error({ err, command: message.command }, 'Failed to send message to updates websocket')
+    }
+  }
+
+  // A config that cannot be applied is rolled back, ICC is told why
+  async function applyConfigMessage (message) {
+    try {
+      await app.updateConfig(message)
+      return true
+    } catch (err) {
+      app.log.error({ err }, 'Failed to apply config update, reporting it to ICC')
+      reportConfigUpdateFailure(message, err)
+      return false
+    }
+  }
+
+  function reportConfigUpdateFailure (message, err) {
+    const report = {
+      command: 'config-update-failed',
+      topic: message.topic,
+      error: { message: err.message, name: err.name, code: err.code }
+    }
+    if (message.requestId) {
+      report.requestId = message.requestId
+    }
+
+    try {
+      socket.send(JSON.stringify(report))
+    } catch (sendErr) {
+      app.log.error({ err: sendErr }, 'Failed to report config update failure to ICC')
+    }
+  }
+
   async function connectToUpdates () {
     const applicationId = app.instanceConfig?.applicationId
     if (!applicationId) {
@@ -97,24 +162,46 @@ async function updatePlugin (app) {
     const wsUrl = createWebSocketUrl(iccUrl, `api/updates/applications/${applicationId}`, { runtimeId })
     app.log.info({ runtimeId }, `Connecting to updates websocket at ${wsUrl}`)
 
+    // Only one connection at a time, the handlers of the previous one are dropped
+    dropSocket()
+    connectController = new AbortController()
+    const { signal } = connectController
+
     try {
       const headers = await app.getAuthorizationHeaders()
+      signal.throwIfAborted()
 
       socket = new WebSocket(wsUrl, { headers })
-      await once(socket, 'open')
+      await once(socket, 'open', { signal })
 
       app.log.info('Connected to updates websocket')
       // Subscribing, if subscription fails we throw, so the caller can retry
       const subscribeMsg = JSON.stringify({ command: 'subscribe', topic: '/config' })
       socket.send(subscribeMsg)
 
-      const command = await once(socket, 'message')
+      const command = await once(socket, 'message', { signal })
       const message = JSON.parse(command[0])
       if (message?.command !== 'ack') {
         app.log.error({ message }, 'Subscription updates failed')
         throw new Error('Subscription updates failed')
       }
       app.log.info('Received subscription acknowledgment from updates websocket')
+      // ICC learns on every connection which commands this version supports
+      sendMessage({ command: 'supported-commands', commands: app.commands.list() })
+      reconnectAttempts = 0
+      lastMessageAt = Date.now()
+      startHeartbeat(socket)
+
+      // ICC is reachable again, send what was queued while it was not
+      app.replayOutbox?.()
+
+      // Config updates pushed while we were disconnected are lost
+      if (hasSubscribed) {
+        app.resyncConfig().catch((err) => {
+          app.log.error(err, 'Failed to resync config after reconnecting to updates websocket')
+        })
+      }
+      hasSubscribed = true
 
       // listen for subsequent messages
       socket.on('message', processMessage)
@@ -125,36 +212,112 @@ async function updatePlugin (app) {
       })
 
       socket.on('close', (code, reason) => {
-        app.log.info({ code, reason: reason.toString() }, 'Updates websocket connection closed')
+        app.log.info(
+          { code, reason: reason.toString(), lastMessageAt, lastPongAt },
+          'Updates websocket connection closed'
+        )
+        stopHeartbeat()
         reconnectToUpdates()
       })
     } catch (err) {
+      // A connection replaced by a newer one (e.g. a manual reconnect) is not retried
+      if (signal.aborted) return
+
       app.log.error(err, 'Failed to connect and subscribe to updates websocket')
       reconnectToUpdates()
     }
   }
 
+  function dropSocket () {
+    connectController?.abort()
+    connectController = null
+    stopHeartbeat()
+    if (socket) {
+      const oldSocket = socket
+      socket = null
+      oldSocket.removeAllListeners()
+      oldSocket.on('error', () => {})
+      oldSocket.terminate()
+    }
+  }
+
   let isReconnecting = false
   let isClosing = false
+  // Aborts the backoff of a scheduled reconnection
+  let reconnectController = null
+
+  function cancelReconnect () {
+    reconnectController?.abort()
+    reconnectController = null
+    isReconnecting = false
+  }
 
   async function reconnectToUpdates () {
     if (isReconnecting || isClosing) return
     isReconnecting = true
 
-    await sleep(reconnectInterval)
+    const controller = new AbortController()
+    reconnectController = controller
 
+    // Jittered, so that instances don't reconnect in lockstep when ICC restarts
+    const delay = computeBackoff(reconnectAttempts++, {
+      baseDelay: reconnectInterval,
+      maxDelay: Math.max(reconnectInterval, maxReconnectInterval)
+    })
+    try {
+      await sleep(delay, null, { signal: controller.signal })
+    } catch {
+      // Cancelled by a manual reconnection or by closing the updates
+      return
+    }
+
+    reconnectController = null
     isReconnecting = false
     app.log.info('Reconnecting to updates websocket')
     await connectToUpdates()
   }
 
   app.updateConfig = async (message) => {
-    await app.watt.applyIccConfigUpdates(message.data)
+    await app.applyConfigUpdate(message.data)
+  }
+
+  // Fetches the current config from the control plane and applies it
+  // if it differs from the one in use. Returns true if it was applied.
+  app.resyncConfig = async () => {
+    const instanceConfig = await app.fetchInstanceConfig()
+    const config = instanceConfig?.config
+    if (!config || isDeepStrictEqual(config, app.instanceConfig?.config)) {
+      app.log.info('Config is up to date after reconnecting to updates websocket')
+      return false
+    }
+
+    app.log.info('Config changed while disconnected from updates websocket, applying it')
+    return applyConfigMessage({ topic: '/config', type: 'config-updated', data: config })
   }
 
+  // Drops the current connection, if any, and connects again right away
+  async function reconnectUpdatesNow () {
+    if (isClosing) return
+
+    cancelReconnect()
+    dropSocket()
+    await connectToUpdates()
+  }
+
+  app.getUpdatesState = () => ({
+    connected: socket?.readyState === WebSocket.OPEN,
+    reconnecting: isReconnecting,
+    closing: isClosing,
+    lastMessageAt,
+    lastPongAt
+  })
+
   app.connectToUpdates = connectToUpdates
+  app.reconnectUpdates = reconnectUpdatesNow
   app.closeUpdates = async () => {
     isClosing = true
+    cancelReconnect()
+    stopHeartbeat()
     if (socket) {
       socket.close()
       socket = null
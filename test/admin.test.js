@@ -0,0 +1,331 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { request } from 'undici'
+import adminPlugin from '../plugins/admin.js'
+
+const token = 'test-admin-token'
+
+async function createAdminApp (t, overrides = {}, env = {}) {
+  const calls = []
+  const app = {
+    log: { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} },
+    env: {
+      PLT_ADMIN_PORT: 0,
+      PLT_ADMIN_HOSTNAME: '127.0.0.1',
+      PLT_ADMIN_TOKEN: token,
+      PLT_TEST_TOKEN: 'jwt-token',
+      PLT_CACHE_CONFIG: JSON.stringify({ host: 'redis', options: { password: 'secret-password' } }),
+      PLT_APP_NAME: 'test-app',
+      ...env
+    },
+    applicationName: 'test-app',
+    instanceId: 'test-pod-123',
+    instanceConfig: {
+      applicationId: 'test-application-id',
+      httpCache: { clientOpts: { host: 'redis', password: 'secret-password' } }
+    },
+    getRuntimeId: () => 'test-runtime-id',
+    watt: { runtime: {} },
+    collectSchedulerJobs: async () => [
+      { name: 'cleanup', cron: '*/5 * * * *', callbackUrl: 'http://service.plt.local/cleanup', source: 'config' }
+    ],
+    runScheduledJob: async (job) => {
+      calls.push({ runScheduledJob: job })
+      return { name: job.name, statusCode: 200 }
+    },
+    getFlamegraphsCache: () => [
+      { profileKey: 'service-1:0:cpu', type: 'cpu', timestamp: 1, size: 42, flamegraphId: 'fg-1', waitingAlerts: [] }
+    ],
+    sendFlamegraphs: async (options) => { calls.push({ sendFlamegraphs: options }) },
+    sendMetadata: async () => { calls.push('sendMetadata') },
+    getUpdatesState: () => ({ connected: true, reconnecting: false, closing: false }),
+    outbox: {
+      getStats: () => ({ alerts: { sent: 3, queued: 2, replayed: 1, dropped: 0, pending: 1 } })
+    },
+    getCircuitBreakersInfo: () => ({
+      scaler: { state: 'open', failures: 5, openedAt: 1 }
+    }),
+    getLocalScalerInfo: () => ({ enabled: true, active: false }),
+    getComplianceReport: () => ({ compliant: true, rules: [], evaluatedAt: 1 }),
+    getComplianceRules: async () => ({
+      list: () => [{ name: 'npmDependencies', label: 'npm dependencies', description: null, source: 'builtin' }]
+    }),
+    reconnectUpdates: async () => { calls.push('reconnectUpdates') },
+    calls,
+    ...overrides
+  }
+
+  await adminPlugin(app)
+  await app.setupAdmin()
+  t.after(() => app.closeAdmin())
+
+  return app
+}
+
+async function adminRequest (app, path, options = {}) {
+  const { statusCode, body } = await request(`${app.adminUrl}${path}`, {
+    method: options.method ?? 'GET',
+    headers: {
+      authorization: `Bearer ${options.token ?? token}`,
+      ...(options.body ? { 'content-type': 'application/json' } : {})
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  })
+  return { statusCode, data: await body.json() }
+}
+
+test('admin API requires the admin token', async (t) => {
+  const app = await createAdminApp(t)
+
+  {
+    const { statusCode, body } = await request(`${app.adminUrl}/instance`)
+    assert.strictEqual(statusCode, 401)
+    await body.dump()
+  }
+
+  {
+    const { statusCode } = await adminRequest(app, '/instance', { token: 'wrong-token' })
+    assert.strictEqual(statusCode, 401)
+  }
+
+  {
+    const { statusCode } = await adminRequest(app, '/instance')
+    assert.strictEqual(statusCode, 200)
+  }
+})
+
+test('admin API rejects every authenticated request when no token is configured', async (t) => {
+  const app = await createAdminApp(t, {}, { PLT_ADMIN_TOKEN: undefined })
+
+  const { statusCode } = await adminRequest(app, '/instance', { token: 'undefined' })
+  assert.strictEqual(statusCode, 401)
+})
+
+test('admin API exposes the instance info without secrets', async (t) => {
+  const app = await createAdminApp(t)
+
+  const { statusCode, data } = await adminRequest(app, '/instance')
+  assert.strictEqual(statusCode, 200)
+  assert.deepStrictEqual(data, {
+    applicationName: 'test-app',
+    applicationId: 'test-application-id',
+    instanceId: 'test-pod-123',
+    runtimeId: 'test-runtime-id',
+    status: null,
+    instanceConfig: {
+      applicationId: 'test-application-id',
+      httpCache: { clientOpts: { host: 'redis', password: '[REDACTED]' } }
+    }
+  })
+})
+
+test('admin API exposes the resolved env without secrets', async (t) => {
+  const app = await createAdminApp(t)
+
+  const { statusCode, data } = await adminRequest(app, '/env')
+  assert.strictEqual(statusCode, 200)
+  assert.strictEqual(data.PLT_APP_NAME, 'test-app')
+  assert.strictEqual(data.PLT_TEST_TOKEN, '[REDACTED]')
+  assert.strictEqual(data.PLT_ADMIN_TOKEN, '[REDACTED]')
+  assert.deepStrictEqual(JSON.parse(data.PLT_CACHE_CONFIG), { host: 'redis', options: { password: '[REDACTED]' } })
+})
+
+test('admin API exposes scheduler jobs, flamegraphs, updates, outbox and circuit breakers state', async (t) => {
+  const app = await createAdminApp(t)
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/scheduler/jobs')
+    assert.strictEqual(statusCode, 200)
+    assert.strictEqual(data.jobs[0].name, 'cleanup')
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/flamegraphs')
+    assert.strictEqual(statusCode, 200)
+    assert.strictEqual(data.profiles[0].profileKey, 'service-1:0:cpu')
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/updates')
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data, { connected: true, reconnecting: false, closing: false })
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/outbox')
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data.alerts, { sent: 3, queued: 2, replayed: 1, dropped: 0, pending: 1 })
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/circuit-breakers')
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data.scaler, { state: 'open', failures: 5, openedAt: 1 })
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/local-scaler')
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data, { enabled: true, active: false })
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/compliance/rules')
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data.rules.map(rule => rule.name), ['npmDependencies'])
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/compliance/report')
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data, { report: { compliant: true, rules: [], evaluatedAt: 1 } })
+  }
+})
+
+test('admin API triggers actions', async (t) => {
+  const app = await createAdminApp(t)
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/flamegraphs', {
+      method: 'POST',
+      body: { type: 'heap', workerIds: ['service-1:0'] }
+    })
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data, { success: true })
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/flamegraphs', {
+      method: 'POST',
+      body: { type: 'wall' }
+    })
+    assert.strictEqual(statusCode, 400)
+    assert.strictEqual(data.message, 'Unsupported profile type "wall"')
+  }
+
+  {
+    const { statusCode } = await adminRequest(app, '/metadata', { method: 'POST' })
+    assert.strictEqual(statusCode, 200)
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/updates/reconnect', { method: 'POST' })
+    assert.strictEqual(statusCode, 200)
+    assert.strictEqual(data.connected, true)
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/scheduler/jobs/cleanup/run', { method: 'POST' })
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data, { success: true, result: { name: 'cleanup', statusCode: 200 } })
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/scheduler/jobs/missing/run', { method: 'POST' })
+    assert.strictEqual(statusCode, 404)
+    assert.strictEqual(data.message, 'Scheduled job "missing" not found')
+  }
+
+  for (const durationSec of [-5, 0, 'abc', null]) {
+    const { statusCode, data } = await adminRequest(app, '/log-level', {
+      method: 'POST',
+      body: { level: 'debug', durationSec }
+    })
+    assert.strictEqual(statusCode, 400)
+    assert.strictEqual(data.message, 'durationSec must be a positive number')
+  }
+
+  assert.deepStrictEqual(app.calls, [
+    { sendFlamegraphs: { profileType: 'heap', workerIds: ['service-1:0'] } },
+    'sendMetadata',
+    'reconnectUpdates',
+    { runScheduledJob: { name: 'cleanup', cron: '*/5 * * * *', callbackUrl: 'http://service.plt.local/cleanup', source: 'config' } }
+  ])
+})
+
+test('admin API returns errors for unknown routes, methods and failed actions', async (t) => {
+  const app = await createAdminApp(t, {
+    sendMetadata: async () => { throw new Error('ICC is down') }
+  })
+
+  {
+    const { statusCode } = await adminRequest(app, '/unknown')
+    assert.strictEqual(statusCode, 404)
+  }
+
+  {
+    const { statusCode } = await adminRequest(app, '/instance', { method: 'DELETE' })
+    assert.strictEqual(statusCode, 405)
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/scheduler/jobs/%E0/run', { method: 'POST' })
+    assert.strictEqual(statusCode, 400)
+    assert.strictEqual(data.message, 'Malformed URL path segment "%E0"')
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/metadata', { method: 'POST' })
+    assert.strictEqual(statusCode, 500)
+    assert.strictEqual(data.message, 'ICC is down')
+  }
+})
+
+test('admin API downloads the last profile of a worker', async (t) => {
+  const app = await createAdminApp(t, {
+    watt: {
+      runtime: {
+        getApplicationLastProfile: async (workerId, { type }) => {
+          if (workerId === 'missing') {
+            const err = new Error('Application not found')
+            err.code = 'PLT_RUNTIME_APPLICATION_NOT_FOUND'
+            throw err
+          }
+          return { profile: new Uint8Array([1, 2, 3]), timestamp: 1000, preserved: type === 'heap' }
+        }
+      }
+    }
+  })
+
+  {
+    const { statusCode, headers, body } = await request(`${app.adminUrl}/profiles/service-1%3A0?type=heap`, {
+      headers: { authorization: `Bearer ${token}` }
+    })
+    assert.strictEqual(statusCode, 200)
+    assert.strictEqual(headers['content-type'], 'application/octet-stream')
+    assert.strictEqual(headers['x-profile-timestamp'], '1000')
+    assert.strictEqual(headers['x-profile-preserved'], 'true')
+    assert.deepStrictEqual(Buffer.from(await body.arrayBuffer()), Buffer.from([1, 2, 3]))
+  }
+
+  {
+    const { statusCode, data } = await adminRequest(app, '/profiles/missing')
+    assert.strictEqual(statusCode, 404)
+    assert.strictEqual(data.error, 'PLT_RUNTIME_APPLICATION_NOT_FOUND')
+  }
+
+  {
+    const { statusCode } = await adminRequest(app, '/profiles/service-1?type=wall')
+    assert.strictEqual(statusCode, 400)
+  }
+})
+
+test('admin API returns 503 for runtime actions before the runtime starts', async (t) => {
+  const app = await createAdminApp(t, { watt: { runtime: null } })
+
+  const { statusCode, data } = await adminRequest(app, '/scheduler/jobs')
+  assert.strictEqual(statusCode, 503)
+  assert.strictEqual(data.message, 'Runtime not started')
+})
+
+test('admin API is disabled when PLT_ADMIN_PORT is not set', async () => {
+  const app = {
+    log: { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} },
+    env: {}
+  }
+  await adminPlugin(app)
+  await app.setupAdmin()
+
+  assert.strictEqual(app.adminUrl, undefined)
+  await app.closeAdmin()
+})
@@ -1110,3 +1110,267 @@ test('should reset grace period when worker restarts', async (t) => {
   await sleep(200)
   assert.strictEqual(alertsReceived.length, 2, 'Second alert should be sent after restart grace period expires')
 })
+
+test('should queue alerts while the scaler is unavailable and replay them', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const alertsReceived = []
+  let scalerDown = true
+
+  const icc = await startICC(t, {
+    applicationId,
+    applicationName,
+    processAlerts: (req) => {
+      if (scalerDown) {
+        throw new Error('Scaler unavailable')
+      }
+      alertsReceived.push(req.body)
+      return { id: `alert-${alertsReceived.length}` }
+    }
+  })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000'
+  })
+
+  const app = await start()
+
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+  })
+
+  const unhealthyInfo = {
+    id: 'service-1',
+    application: 'service-1',
+    currentHealth: {
+      elu: 0.995,
+      heapUsed: 76798040,
+      heapTotal: 99721216
+    },
+    unhealthy: true,
+    healthConfig: {
+      enabled: true,
+      interval: 1000,
+      gracePeriod: 1000,
+      maxUnhealthyChecks: 10,
+      maxELU: 0.99,
+      maxHeapUsed: 0.99,
+      maxHeapTotal: 4294967296
+    }
+  }
+
+  emitHealthEvent(app, unhealthyInfo)
+  await sleep(200)
+
+  assert.strictEqual(alertsReceived.length, 0)
+  assert.strictEqual(app.outbox.getStats().alerts.pending, 1)
+
+  scalerDown = false
+  await app.replayOutbox()
+
+  assert.strictEqual(alertsReceived.length, 1)
+  assert.strictEqual(alertsReceived[0].applicationId, applicationId)
+  assert.strictEqual(alertsReceived[0].alert.application, 'service-1')
+  assert.deepStrictEqual(app.outbox.getStats().alerts, { sent: 0, queued: 1, replayed: 1, dropped: 0, pending: 0 })
+})
+
+test('should attach the recent logs and worker events of the service to the alerts', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  let alertReceived = null
+
+  const icc = await startICC(t, {
+    applicationId,
+    applicationName,
+    processAlerts: (req) => {
+      alertReceived = req.body
+      return { id: 'test-alert-id', ...req.body }
+    }
+  })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000',
+    PLT_DISABLE_FLAMEGRAPHS: true,
+    PLT_ALERTS_LOG_LINES: '2'
+  })
+
+  const app = await start()
+  app.getAuthorizationHeaders = async (headers) => {
+    return { ...headers, authorization: 'Bearer test-token' }
+  }
+
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+  })
+
+  // Restarting the application produces worker events and logs
+  await app.watt.runtime.restartApplication('main')
+  await sleep(200)
+
+  emitHealthEvent(app, {
+    id: 'main:1',
+    application: 'main',
+    currentHealth: {
+      elu: 0.995,
+      heapUsed: 76798040,
+      heapTotal: 99721216
+    },
+    unhealthy: true,
+    healthConfig: {}
+  })
+
+  await sleep(200)
+
+  assert.ok(alertReceived, 'Alert should have been received')
+
+  assert.strictEqual(alertReceived.recentLogs.length, 2, 'Should keep only the last log lines')
+  const lastLog = JSON.parse(alertReceived.recentLogs[1])
+  assert.strictEqual(lastLog.name, 'main')
+  assert.strictEqual(lastLog.msg, 'Server listening at http://127.0.0.1:3042')
+
+  const events = alertReceived.recentEvents.map(({ event, worker }) => ({ event, worker }))
+  assert.deepStrictEqual(events, [
+    { event: 'started', worker: 1 },
+    { event: 'exited', worker: 0 },
+    { event: 'stopped', worker: 0 }
+  ])
+  for (const event of alertReceived.recentEvents) {
+    assert.strictEqual(typeof event.timestamp, 'number')
+  }
+})
+
+test('should raise alerts with the configured unhealthy criteria', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const alertsReceived = []
+
+  const icc = await startICC(t, {
+    applicationId,
+    applicationName,
+    processAlerts: (req) => {
+      alertsReceived.push(req.body)
+      return { id: 'test-alert-id', ...req.body }
+    }
+  })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000',
+    PLT_DISABLE_FLAMEGRAPHS: true,
+    PLT_ALERTS_UNHEALTHY_CRITERIA: JSON.stringify({
+      elu: 0.99,
+      samples: 2,
+      window: 3,
+      applications: {
+        main: { activeHandles: 0 }
+      }
+    })
+  })
+
+  const app = await start()
+  app.getAuthorizationHeaders = async (headers) => {
+    return { ...headers, authorization: 'Bearer test-token' }
+  }
+
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+  })
+
+  const healthInfo = {
+    id: 'main:0',
+    application: 'main',
+    currentHealth: {
+      elu: 0.5,
+      heapUsed: 76798040,
+      heapTotal: 99721216
+    },
+    unhealthy: false,
+    healthConfig: {}
+  }
+
+  // The active handles reported by the worker exceed the threshold,
+  // but one unhealthy sample is not enough
+  emitHealthEvent(app, healthInfo)
+  await sleep(200)
+  assert.strictEqual(alertsReceived.length, 0, 'Should not alert on the first unhealthy sample')
+
+  emitHealthEvent(app, healthInfo)
+  await sleep(200)
+  assert.strictEqual(alertsReceived.length, 1, 'Should alert on the second unhealthy sample')
+
+  const { alert } = alertsReceived[0]
+  assert.strictEqual(alert.unhealthy, true)
+  assert.strictEqual(alert.currentHealth.elu, 0.5)
+  assert.ok(alert.currentHealth.activeHandles > 0, 'Should include the health details of the worker')
+  assert.ok(alert.currentHealth.rss > 0, 'Should include the health details of the worker')
+  assert.strictEqual(typeof alert.currentHealth.eventLoopDelay, 'number')
+  assert.deepStrictEqual(alert.breaches, [{
+    criterion: 'activeHandles',
+    value: alert.currentHealth.activeHandles,
+    threshold: 0
+  }])
+})
+
+test('should ignore the unhealthy criteria with invalid memory sizes', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const alertsReceived = []
+
+  const icc = await startICC(t, {
+    applicationId,
+    applicationName,
+    processAlerts: (req) => {
+      alertsReceived.push(req.body)
+      return { id: 'test-alert-id', ...req.body }
+    }
+  })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000',
+    PLT_DISABLE_FLAMEGRAPHS: true,
+    PLT_ALERTS_UNHEALTHY_CRITERIA: JSON.stringify({ elu: 0.1, rss: 'lots' })
+  })
+
+  const app = await start()
+  app.getAuthorizationHeaders = async (headers) => {
+    return { ...headers, authorization: 'Bearer test-token' }
+  }
+
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+  })
+
+  // The default criteria apply: the sample is healthy
+  emitHealthEvent(app, {
+    id: 'main:0',
+    application: 'main',
+    currentHealth: {
+      elu: 0.5,
+      heapUsed: 76798040,
+      heapTotal: 99721216
+    },
+    unhealthy: false,
+    healthConfig: {}
+  })
+  await sleep(200)
+  assert.strictEqual(alertsReceived.length, 0)
+})
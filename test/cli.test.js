@@ -3,7 +3,14 @@ import { test } from 'node:test'
 import { spawn } from 'node:child_process'
 import { join, resolve, dirname } from 'node:path'
 import { fileURLToPath } from 'node:url'
+import { mkdtemp, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
 import { applyStartArgs } from '../lib/start-args.js'
+import { parseProfileArgs } from '../lib/profile-command.js'
+import { parseLogLevelArgs } from '../lib/log-level-command.js'
+import { CommandRegistry } from '../lib/commands.js'
+import logLevelPlugin from '../plugins/log-level.js'
+import adminPlugin from '../plugins/admin.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -139,3 +146,158 @@ test('applyStartArgs: --help short-circuits without mutating env', () => {
   assert.strictEqual(res.help, true)
   assert.strictEqual(env.PLT_LOG_LEVEL, undefined)
 })
+
+test('parseProfileArgs: reads the admin API coordinates from env', () => {
+  const env = { PLT_ADMIN_PORT: '9091', PLT_ADMIN_TOKEN: 'secret' }
+  const options = parseProfileArgs(['--service', 'service-1:0', '--type', 'heap'], env)
+  assert.deepStrictEqual(options, {
+    help: false,
+    type: 'heap',
+    service: 'service-1:0',
+    out: resolve('service-1-0-heap.pb'),
+    url: 'http://127.0.0.1:9091',
+    token: 'secret'
+  })
+})
+
+test('parseProfileArgs: CLI options override env', () => {
+  const env = { PLT_ADMIN_PORT: '9091', PLT_ADMIN_HOSTNAME: '0.0.0.0', PLT_ADMIN_TOKEN: 'secret' }
+  const options = parseProfileArgs([
+    '-s', 'service-1',
+    '-o', 'profile.pb',
+    '-p', '9092',
+    '-H', 'localhost',
+    '--token', 'other-secret'
+  ], env)
+  assert.strictEqual(options.type, 'cpu')
+  assert.strictEqual(options.out, resolve('profile.pb'))
+  assert.strictEqual(options.url, 'http://localhost:9092')
+  assert.strictEqual(options.token, 'other-secret')
+})
+
+test('parseProfileArgs: validates the options', () => {
+  assert.throws(() => parseProfileArgs(['--port', '9091'], {}), /Missing required option --service/)
+  assert.throws(() => parseProfileArgs(['-s', 'service-1', '-t', 'wall', '-p', '9091'], {}), /Unsupported profile type "wall"/)
+  assert.throws(() => parseProfileArgs(['-s', 'service-1'], {}), /Missing admin API port/)
+  assert.deepStrictEqual(parseProfileArgs(['--help'], {}), { help: true })
+})
+
+test('CLI should download the last profile from a running instance', async (t) => {
+  const profileRequests = []
+  const app = {
+    log: { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} },
+    env: { PLT_ADMIN_PORT: 0, PLT_ADMIN_HOSTNAME: '127.0.0.1', PLT_ADMIN_TOKEN: 'test-admin-token' },
+    watt: {
+      runtime: {
+        getApplicationLastProfile: async (workerId, options) => {
+          profileRequests.push({ workerId, ...options })
+          return { profile: new Uint8Array([1, 2, 3]), timestamp: 1000, preserved: false }
+        }
+      }
+    }
+  }
+  await adminPlugin(app)
+  await app.setupAdmin()
+  t.after(() => app.closeAdmin())
+
+  const dir = await mkdtemp(join(tmpdir(), 'watt-extra-cli-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+  const out = join(dir, 'profile.pb')
+
+  const port = new URL(app.adminUrl).port
+  const { code, stdout } = await runCLI([
+    'profile',
+    '--service', 'service-1:0',
+    '--type', 'heap',
+    '--out', out,
+    '--port', port,
+    '--token', 'test-admin-token'
+  ])
+
+  assert.strictEqual(code, 0, 'Process should exit with code 0')
+  assert.ok(stdout.includes(`Profile saved to ${out}`))
+  assert.deepStrictEqual(await readFile(out), Buffer.from([1, 2, 3]))
+  assert.deepStrictEqual(profileRequests, [{ workerId: 'service-1:0', type: 'heap' }])
+})
+
+test('CLI should exit with error code when the profile is not available', async (t) => {
+  const app = {
+    log: { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} },
+    env: { PLT_ADMIN_PORT: 0, PLT_ADMIN_HOSTNAME: '127.0.0.1', PLT_ADMIN_TOKEN: 'test-admin-token' },
+    watt: {
+      runtime: {
+        getApplicationLastProfile: async () => {
+          const err = new Error('No profile available for the service')
+          err.code = 'PLT_PPROF_NO_PROFILE_AVAILABLE'
+          throw err
+        }
+      }
+    }
+  }
+  await adminPlugin(app)
+  await app.setupAdmin()
+  t.after(() => app.closeAdmin())
+
+  const port = new URL(app.adminUrl).port
+  const { code, stdout } = await runCLI([
+    'profile',
+    '--service', 'service-1',
+    '--out', join(tmpdir(), 'never-written.pb'),
+    '--port', port,
+    '--token', 'test-admin-token'
+  ])
+
+  assert.strictEqual(code, 1, 'Process should exit with code 1')
+  assert.ok(stdout.includes('Failed to download the profile (404): No profile available for the service'))
+})
+
+test('parseLogLevelArgs: parses and validates the options', () => {
+  const env = { PLT_ADMIN_PORT: '9091', PLT_ADMIN_TOKEN: 'secret' }
+  assert.deepStrictEqual(parseLogLevelArgs(['-l', 'debug', '-s', 'service-1', '-d', '300'], env), {
+    help: false,
+    level: 'debug',
+    service: 'service-1',
+    durationSec: 300,
+    url: 'http://127.0.0.1:9091',
+    token: 'secret'
+  })
+
+  assert.throws(() => parseLogLevelArgs(['-p', '9091'], {}), /Missing required option --level/)
+  assert.throws(() => parseLogLevelArgs(['-l', 'debug', '-d', 'soon', '-p', '9091'], {}), /Invalid duration "soon"/)
+  assert.throws(() => parseLogLevelArgs(['-l', 'debug'], {}), /Missing admin API port/)
+  assert.deepStrictEqual(parseLogLevelArgs(['--help'], {}), { help: true })
+})
+
+test('CLI should change the log level of a running instance', async (t) => {
+  const log = { level: 'info', info: () => {}, error: () => {}, warn: () => {}, debug: () => {} }
+  const app = {
+    log,
+    commands: new CommandRegistry({ logger: log }),
+    env: {
+      PLT_ADMIN_PORT: 0,
+      PLT_ADMIN_HOSTNAME: '127.0.0.1',
+      PLT_ADMIN_TOKEN: 'test-admin-token',
+      PLT_LOG_LEVEL_DURATION_SEC: 600,
+      PLT_LOG_LEVEL_MAX_DURATION_SEC: 3600
+    }
+  }
+  await logLevelPlugin(app)
+  await adminPlugin(app)
+  await app.setupAdmin()
+  t.after(() => app.closeAdmin())
+  t.after(() => app.resetLogLevel('watt-extra'))
+
+  const port = new URL(app.adminUrl).port
+  const { code, stdout } = await runCLI([
+    'log-level',
+    '--level', 'debug',
+    '--duration', '60',
+    '--port', port,
+    '--token', 'test-admin-token'
+  ])
+
+  assert.strictEqual(code, 0, 'Process should exit with code 0')
+  assert.ok(stdout.includes('Log level of watt-extra set to debug'))
+  assert.strictEqual(app.log.level, 'debug')
+  assert.strictEqual(app.getLogLevels()['watt-extra'].previous, 'info')
+})
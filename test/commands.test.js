@@ -0,0 +1,85 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { CommandRegistry } from '../lib/commands.js'
+
+const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} }
+
+test('command registry runs the registered handler and replies with its result', async () => {
+  const registry = new CommandRegistry({ logger })
+
+  const calls = []
+  registry.register('run-scheduled-job', async (params, message) => {
+    calls.push({ params, requestId: message.requestId })
+    return { name: params.name, statusCode: 200 }
+  })
+
+  const acks = []
+  const reply = await registry.dispatch({
+    command: 'run-scheduled-job',
+    requestId: 'req-1',
+    params: { name: 'cleanup' }
+  }, {
+    onAck: (ack) => {
+      // Acknowledged before the handler runs
+      assert.deepStrictEqual(calls, [])
+      acks.push(ack)
+    }
+  })
+
+  assert.deepStrictEqual(acks, [{ command: 'ack', requestId: 'req-1' }])
+  assert.deepStrictEqual(reply, {
+    requestId: 'req-1',
+    success: true,
+    result: { name: 'cleanup', statusCode: 200 }
+  })
+  assert.deepStrictEqual(calls, [{ params: { name: 'cleanup' }, requestId: 'req-1' }])
+})
+
+test('command registry replies with the error when the handler fails', async () => {
+  const registry = new CommandRegistry({ logger })
+
+  registry.register('failing', async () => {
+    throw new Error('Something went wrong')
+  })
+  registry.register('unsuccessful', async () => ({ success: false }))
+
+  assert.deepStrictEqual(await registry.dispatch({ command: 'failing', requestId: 'req-2' }), {
+    requestId: 'req-2',
+    success: false,
+    error: { message: 'Something went wrong', name: 'Error', code: undefined }
+  })
+
+  const reply = await registry.dispatch({ command: 'unsuccessful', requestId: 'req-3' })
+  assert.strictEqual(reply.success, false)
+})
+
+test('command registry rejects unsupported commands', async () => {
+  const registry = new CommandRegistry({ logger })
+
+  const acks = []
+  const reply = await registry.dispatch({ command: 'self-destruct', requestId: 'req-4' }, { onAck: (ack) => acks.push(ack) })
+  assert.deepStrictEqual(acks, [])
+  assert.strictEqual(reply.requestId, 'req-4')
+  assert.strictEqual(reply.success, false)
+  assert.strictEqual(reply.error.code, 'PLT_UNSUPPORTED_COMMAND_ERROR')
+  assert.strictEqual(reply.error.message, 'Unsupported command "self-destruct"')
+})
+
+test('command registry lists the supported commands', async () => {
+  const registry = new CommandRegistry({ logger })
+  registry.register('trigger-flamegraph', async () => {})
+
+  assert.deepStrictEqual(registry.list(), ['list-commands', 'trigger-flamegraph'])
+
+  const reply = await registry.dispatch({ command: 'list-commands', requestId: 'req-5' })
+  assert.deepStrictEqual(reply, {
+    requestId: 'req-5',
+    success: true,
+    result: { commands: ['list-commands', 'trigger-flamegraph'] }
+  })
+
+  assert.throws(
+    () => registry.register('trigger-flamegraph', async () => {}),
+    /Command "trigger-flamegraph" is already registered/
+  )
+})
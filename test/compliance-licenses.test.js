@@ -0,0 +1,112 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createLicensesRule, isLicenseAccepted, normalizeLicense } from '../compliance/rules/licenses.js'
+
+async function writePackage (path, packageJson) {
+  await mkdir(path, { recursive: true })
+  await writeFile(join(path, 'package.json'), JSON.stringify(packageJson))
+}
+
+test('normalizeLicense normalizes the SPDX expressions', async () => {
+  assert.strictEqual(normalizeLicense({ license: 'MIT' }), 'MIT')
+  assert.strictEqual(normalizeLicense({ license: ' mit ' }), 'MIT')
+  assert.strictEqual(normalizeLicense({ license: 'Apache 2.0' }), 'Apache-2.0')
+  assert.strictEqual(normalizeLicense({ license: 'GPL-2.0' }), 'GPL-2.0-only')
+  assert.strictEqual(normalizeLicense({ license: 'GPL-3.0+' }), 'GPL-3.0-or-later')
+  assert.strictEqual(normalizeLicense({ license: 'agpl-3.0' }), 'AGPL-3.0-only')
+  assert.strictEqual(normalizeLicense({ license: '(mit or gplv3)' }), '(MIT OR GPL-3.0-only)')
+  assert.strictEqual(normalizeLicense({ license: 'GPL-2.0 with Classpath-exception-2.0' }), 'GPL-2.0-only WITH Classpath-exception-2.0')
+  assert.strictEqual(normalizeLicense({ license: { type: 'isc' } }), 'ISC')
+  assert.strictEqual(normalizeLicense({ licenses: [{ type: 'MIT' }, { type: 'Apache-2.0' }] }), 'MIT OR Apache-2.0')
+  assert.strictEqual(normalizeLicense({ license: 'SEE LICENSE IN LICENSE.md' }), 'SEE LICENSE IN LICENSE.md')
+  assert.strictEqual(normalizeLicense({ license: 'UNLICENSED' }), 'UNLICENSED')
+  assert.strictEqual(normalizeLicense({ license: '' }), null)
+  assert.strictEqual(normalizeLicense({}), null)
+})
+
+test('isLicenseAccepted evaluates the expressions with the allow and deny lists', async () => {
+  const deny = ['GPL-*', 'AGPL-*']
+  assert.strictEqual(isLicenseAccepted('MIT', { deny }), true)
+  assert.strictEqual(isLicenseAccepted('GPL-3.0-only', { deny }), false)
+  assert.strictEqual(isLicenseAccepted('agpl-3.0-or-later', { deny }), false)
+  assert.strictEqual(isLicenseAccepted('LGPL-3.0-only', { deny }), true)
+  assert.strictEqual(isLicenseAccepted('(MIT OR GPL-3.0-only)', { deny }), true)
+  assert.strictEqual(isLicenseAccepted('MIT AND GPL-3.0-only', { deny }), false)
+  assert.strictEqual(isLicenseAccepted('MIT OR Apache-2.0 AND GPL-2.0-only', { deny }), true)
+  assert.strictEqual(isLicenseAccepted('GPL-2.0-only WITH Classpath-exception-2.0', { deny }), false)
+  assert.strictEqual(isLicenseAccepted(null, { deny }), true)
+
+  const allow = ['MIT', 'ISC', 'Apache-2.0']
+  assert.strictEqual(isLicenseAccepted('MIT', { allow }), true)
+  assert.strictEqual(isLicenseAccepted('BSD-3-Clause', { allow }), false)
+  assert.strictEqual(isLicenseAccepted('(BSD-3-Clause OR Apache-2.0)', { allow }), true)
+  assert.strictEqual(isLicenseAccepted('MIT', { allow, deny: ['MIT'] }), false)
+  assert.strictEqual(isLicenseAccepted('SEE LICENSE IN LICENSE.md', { allow }), false)
+  assert.strictEqual(isLicenseAccepted('MIT AND', { allow }), false)
+  assert.strictEqual(isLicenseAccepted(null, { allow }), false)
+
+  assert.strictEqual(isLicenseAccepted('GPL-3.0-only', {}), true)
+})
+
+test('licenses rule resolves the licenses of all the installed packages', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'watt-extra-licenses-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+
+  await writePackage(dir, { name: 'runtime', dependencies: { pino: '^9.0.0' } })
+  await writePackage(join(dir, 'node_modules', 'pino'), { name: 'pino', version: '9.0.0', license: 'MIT' })
+
+  const appDir = join(dir, 'web', 'main')
+  await writePackage(appDir, {
+    name: 'main',
+    dependencies: { 'gpl-lib': '^1.0.0', private: '^1.0.0' },
+    devDependencies: { 'gpl-tool': '^1.0.0' }
+  })
+  await writePackage(join(appDir, 'node_modules', 'gpl-lib'), { name: 'gpl-lib', version: '1.0.0', license: 'GPL-3.0+' })
+  await writePackage(join(appDir, 'node_modules', 'gpl-lib', 'node_modules', 'agpl-dep'), {
+    name: 'agpl-dep',
+    version: '2.0.0',
+    licenses: [{ type: 'AGPL-3.0' }]
+  })
+  await writePackage(join(appDir, 'node_modules', 'private'), { name: 'private', version: '1.0.0' })
+  await writePackage(join(appDir, 'node_modules', 'gpl-tool'), { name: 'gpl-tool', version: '1.0.0', license: 'GPL-3.0' })
+
+  const runtime = {
+    getRuntimeConfig: () => ({ applications: [{ id: 'main', path: appDir }] })
+  }
+
+  const rule = createLicensesRule({ deny: ['GPL-*', 'AGPL-*'] })
+  const metadata = await rule.collect({ projectDir: dir, runtime })
+
+  // The transitive and dev dependencies are included
+  assert.deepStrictEqual(metadata, {
+    runtime: [
+      { name: 'pino', version: '9.0.0', license: 'MIT' }
+    ],
+    services: {
+      main: [
+        { name: 'agpl-dep', version: '2.0.0', license: 'AGPL-3.0-only' },
+        { name: 'gpl-lib', version: '1.0.0', license: 'GPL-3.0-or-later' },
+        { name: 'gpl-tool', version: '1.0.0', license: 'GPL-3.0-only' },
+        { name: 'private', version: '1.0.0', license: null }
+      ]
+    }
+  })
+
+  const messages = (options) => rule.evaluate(metadata, options).map(({ application, message }) => [application, message])
+
+  assert.deepStrictEqual(messages({}), [
+    ['main', 'agpl-dep@2.0.0 has a not allowed license: AGPL-3.0-only'],
+    ['main', 'gpl-lib@1.0.0 has a not allowed license: GPL-3.0-or-later'],
+    ['main', 'gpl-tool@1.0.0 has a not allowed license: GPL-3.0-only']
+  ])
+  assert.deepStrictEqual(messages({ allow: ['MIT'], deny: [] }), [
+    ['main', 'agpl-dep@2.0.0 has a not allowed license: AGPL-3.0-only'],
+    ['main', 'gpl-lib@1.0.0 has a not allowed license: GPL-3.0-or-later'],
+    ['main', 'gpl-tool@1.0.0 has a not allowed license: GPL-3.0-only'],
+    ['main', 'private@1.0.0 has no license']
+  ])
+  assert.deepStrictEqual(messages({ deny: [] }), [])
+})
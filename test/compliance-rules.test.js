@@ -0,0 +1,207 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { RuleRegistry } from '../compliance/registry.js'
+import { createRuleRegistry } from '../compliance/index.js'
+import { formatComplianceReport } from '../compliance/report.js'
+
+function createLogger () {
+  const errors = []
+  return {
+    info: () => {},
+    warn: () => {},
+    debug: () => {},
+    error: (obj, msg) => { errors.push({ ...obj, msg }) },
+    errors
+  }
+}
+
+async function createRulesDir (t, files) {
+  const dir = await mkdtemp(join(tmpdir(), 'watt-extra-rules-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+  for (const [file, content] of Object.entries(files)) {
+    await writeFile(join(dir, file), content)
+  }
+  return dir
+}
+
+test('rule registry validates the rules', async () => {
+  const registry = new RuleRegistry({ logger: createLogger() })
+
+  registry.register({ name: 'first', collect: async () => ({}) })
+
+  assert.throws(() => registry.register({ collect: async () => ({}) }, 'test'), {
+    code: 'PLT_INVALID_COMPLIANCE_RULE_ERROR',
+    message: 'Invalid compliance rule test: the name must be a non empty string'
+  })
+  assert.throws(() => registry.register({ name: 'second' }), {
+    code: 'PLT_INVALID_COMPLIANCE_RULE_ERROR',
+    message: 'Invalid compliance rule second: collect must be a function'
+  })
+  assert.throws(() => registry.register({ name: 'first', collect: async () => ({}) }, 'application'), {
+    code: 'PLT_INVALID_COMPLIANCE_RULE_ERROR',
+    message: 'Invalid compliance rule first: already registered by builtin'
+  })
+
+  assert.deepStrictEqual(registry.list(), [
+    { name: 'first', label: 'first', description: null, source: 'builtin', enforceable: false }
+  ])
+})
+
+test('rule registry collects the metadata of all the rules', async () => {
+  const logger = createLogger()
+  const registry = new RuleRegistry({ logger })
+
+  registry.register({
+    name: 'passing',
+    collect: async ({ projectDir, logger }) => ({ projectDir, hasLogger: !!logger })
+  })
+  registry.register({
+    name: 'failing',
+    collect: async () => { throw new Error('kaboom') }
+  })
+
+  const metadata = await registry.collect({ projectDir: '/app' })
+  assert.deepStrictEqual(metadata, {
+    passing: { projectDir: '/app', hasLogger: true }
+  })
+
+  assert.strictEqual(logger.errors.length, 1)
+  assert.strictEqual(logger.errors[0].rule, 'failing')
+  assert.strictEqual(logger.errors[0].err.message, 'kaboom')
+})
+
+test('createRuleRegistry loads the rules of the application', async (t) => {
+  const dir = await createRulesDir(t, {
+    'no-dev-flags.mjs': `
+      export default {
+        name: 'noDevServerFlags',
+        label: 'No dev server flags',
+        description: 'No watch in production',
+        collect: async () => ({ watch: [] })
+      }
+    `,
+    'invalid.js': 'export default { name: \'invalid\' }',
+    'override.js': 'export default { name: \'npmDependencies\', collect: async () => ({}) }',
+    'README.md': '# Rules'
+  })
+
+  const logger = createLogger()
+  const registry = await createRuleRegistry({ projectDir: '/app', rulesDir: dir, logger })
+
+  assert.deepStrictEqual(registry.list(), [
+    {
+      name: 'npmDependencies',
+      label: 'npm dependencies',
+      description: 'Declared and installed versions of the dependencies of the runtime and of its applications',
+      source: 'builtin',
+      enforceable: false
+    },
+    {
+      name: 'licenses',
+      label: 'Licenses',
+      description: 'Licenses of the installed dependencies of the runtime and of its applications',
+      source: 'builtin',
+      enforceable: true
+    },
+    {
+      name: 'noDevServerFlags',
+      label: 'No dev server flags',
+      description: 'No watch in production',
+      source: 'application:no-dev-flags.mjs',
+      enforceable: false
+    }
+  ])
+
+  const messages = logger.errors.map(({ path, err }) => [path, err.code])
+  assert.deepStrictEqual(messages, [
+    [join(dir, 'invalid.js'), 'PLT_INVALID_COMPLIANCE_RULE_ERROR'],
+    [join(dir, 'override.js'), 'PLT_INVALID_COMPLIANCE_RULE_ERROR']
+  ])
+})
+
+test('createRuleRegistry ignores a missing rules directory', async () => {
+  const logger = createLogger()
+  const registry = await createRuleRegistry({ projectDir: '/missing', rulesDir: 'compliance-rules', logger })
+
+  assert.deepStrictEqual(registry.list().map(rule => rule.name), ['npmDependencies', 'licenses'])
+  assert.deepStrictEqual(logger.errors, [])
+})
+
+test('rule registry evaluates the enforceable rules', async () => {
+  const logger = createLogger()
+  const registry = new RuleRegistry({ logger })
+
+  registry.register({ name: 'informational', collect: async () => ({}) })
+  registry.register({
+    name: 'noWatch',
+    label: 'No watch',
+    collect: async () => ({ watch: ['main'] }),
+    evaluate: (metadata, options) => metadata.watch
+      .filter(application => !options.allowed?.includes(application))
+      .map(application => ({ application, message: 'watch is enabled' }))
+  })
+  registry.register({ name: 'disabled', collect: async () => ({}), evaluate: () => [{ message: 'never' }] })
+  registry.register({ name: 'broken', collect: async () => ({}), evaluate: () => { throw new Error('kaboom') } })
+  registry.register({ name: 'uncollected', collect: async () => { throw new Error('nope') }, evaluate: () => [] })
+
+  const metadata = await registry.collect({})
+  const ruleConfigs = { disabled: { enabled: false }, remote: { options: {} } }
+
+  const report = await registry.evaluate(metadata, ruleConfigs, {})
+  assert.deepStrictEqual(report, {
+    compliant: false,
+    rules: [
+      {
+        name: 'noWatch',
+        label: 'No watch',
+        compliant: false,
+        violations: [{ application: 'main', message: 'watch is enabled' }]
+      },
+      { name: 'broken', label: 'broken', compliant: false, violations: [], error: 'kaboom' },
+      {
+        name: 'uncollected',
+        label: 'uncollected',
+        compliant: false,
+        violations: [],
+        error: 'The metadata of the rule could not be collected'
+      }
+    ]
+  })
+
+  const allowed = await registry.evaluate(metadata, {
+    ...ruleConfigs,
+    noWatch: { options: { allowed: ['main'] } },
+    broken: { enabled: false },
+    uncollected: { enabled: false }
+  }, {})
+  assert.strictEqual(allowed.compliant, true)
+  assert.deepStrictEqual(allowed.rules.map(rule => rule.name), ['noWatch'])
+})
+
+test('formatComplianceReport prints a readable report', async () => {
+  const text = formatComplianceReport({
+    compliant: false,
+    rules: [
+      { name: 'noWatch', label: 'No watch', compliant: false, violations: [{ application: 'main', message: 'watch is enabled' }] },
+      { name: 'broken', label: 'broken', compliant: false, violations: [], error: 'kaboom' },
+      { name: 'licenses', label: 'licenses', compliant: true, violations: [] }
+    ]
+  })
+
+  assert.strictEqual(text, [
+    'Compliance report: NOT compliant',
+    '  [FAIL] No watch (noWatch)',
+    '    - main: watch is enabled',
+    '  [FAIL] broken',
+    '    - kaboom',
+    '  [PASS] licenses'
+  ].join('\n'))
+
+  assert.strictEqual(
+    formatComplianceReport({ compliant: true, rules: [] }),
+    'Compliance report: compliant\n  No enforceable rules'
+  )
+})
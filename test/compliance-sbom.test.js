@@ -0,0 +1,139 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { mkdir, mkdtemp, readFile, rm, symlink, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createSbom, createSbomRule } from '../compliance/rules/sbom.js'
+import { createRuleRegistry } from '../compliance/index.js'
+
+async function createTmpDir (t) {
+  const dir = await mkdtemp(join(tmpdir(), 'watt-extra-sbom-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+  return dir
+}
+
+async function writePackage (path, packageJson) {
+  await mkdir(path, { recursive: true })
+  await writeFile(join(path, 'package.json'), JSON.stringify(packageJson))
+}
+
+function summarize (sbom) {
+  return sbom.components.map(({ group, name, version, scope, licenses }) => {
+    return [group ? `${group}/${name}` : name, version, scope ?? 'required', licenses?.map(({ license }) => license.name) ?? []]
+  })
+}
+
+test('createSbom lists the transitive dependencies installed in node_modules', async (t) => {
+  const dir = await createTmpDir(t)
+
+  await writePackage(dir, {
+    name: 'main',
+    version: '1.0.0',
+    dependencies: { fastify: '^5.0.0', '@scope/utils': '^1.0.0' },
+    devDependencies: { borp: '^0.20.0' }
+  })
+  await writePackage(join(dir, 'node_modules', 'fastify'), { name: 'fastify', version: '5.0.0', license: 'MIT' })
+  await writePackage(join(dir, 'node_modules', 'fastify', 'node_modules', 'semver'), { name: 'semver', version: '6.3.1', license: 'ISC' })
+  await writePackage(join(dir, 'node_modules', 'semver'), { name: 'semver', version: '7.7.3', license: 'ISC' })
+  await writePackage(join(dir, 'node_modules', '@scope', 'utils'), {
+    name: '@scope/utils',
+    version: '1.2.0',
+    licenses: [{ type: 'MIT' }, { type: 'Apache-2.0' }]
+  })
+  await writePackage(join(dir, 'node_modules', 'borp'), { name: 'borp', version: '0.20.0', license: 'MIT' })
+  await mkdir(join(dir, 'node_modules', '.bin'))
+
+  // pnpm installs the packages in its store and symlinks them
+  await writePackage(join(dir, 'node_modules', '.pnpm', 'pino@9.0.0', 'node_modules', 'pino'), { name: 'pino', version: '9.0.0', license: 'MIT' })
+  await symlink(join(dir, 'node_modules', '.pnpm', 'pino@9.0.0', 'node_modules', 'pino'), join(dir, 'node_modules', 'pino'))
+
+  const sbom = await createSbom(dir)
+
+  assert.strictEqual(sbom.bomFormat, 'CycloneDX')
+  assert.strictEqual(sbom.specVersion, '1.5')
+  assert.match(sbom.serialNumber, /^urn:uuid:/)
+  assert.strictEqual(sbom.metadata.tools.components[0].name, '@platformatic/watt-extra')
+  assert.deepStrictEqual(sbom.metadata.component, {
+    type: 'application',
+    'bom-ref': 'pkg:npm/main@1.0.0',
+    name: 'main',
+    version: '1.0.0',
+    purl: 'pkg:npm/main@1.0.0'
+  })
+
+  assert.deepStrictEqual(summarize(sbom), [
+    ['@scope/utils', '1.2.0', 'required', ['MIT', 'Apache-2.0']],
+    ['borp', '0.20.0', 'required', ['MIT']],
+    ['fastify', '5.0.0', 'required', ['MIT']],
+    ['pino', '9.0.0', 'required', ['MIT']],
+    ['semver', '6.3.1', 'required', ['ISC']],
+    ['semver', '7.7.3', 'required', ['ISC']]
+  ])
+  assert.strictEqual(sbom.components[0].purl, 'pkg:npm/%40scope/utils@1.2.0')
+
+  assert.deepStrictEqual(sbom.dependencies, [{
+    ref: 'pkg:npm/main@1.0.0',
+    dependsOn: ['pkg:npm/%40scope/utils@1.2.0', 'pkg:npm/borp@0.20.0', 'pkg:npm/fastify@5.0.0']
+  }])
+})
+
+test('createSbom reads the package-lock.json when the dependencies are not installed', async (t) => {
+  const dir = await createTmpDir(t)
+
+  await writePackage(dir, { name: 'main', version: '1.0.0', dependencies: { fastify: '^5.0.0' } })
+  await writeFile(join(dir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'main', version: '1.0.0' },
+      'node_modules/fastify': { version: '5.0.0', license: 'MIT' },
+      'node_modules/fastify/node_modules/semver': { version: '6.3.1', license: 'ISC' },
+      'node_modules/@types/node': { version: '22.0.0', license: 'MIT', dev: true },
+      'node_modules/local': { resolved: 'packages/local', link: true }
+    }
+  }))
+
+  const sbom = await createSbom(dir)
+
+  assert.deepStrictEqual(summarize(sbom), [
+    ['@types/node', '22.0.0', 'optional', ['MIT']],
+    ['fastify', '5.0.0', 'required', ['MIT']],
+    ['semver', '6.3.1', 'required', ['ISC']]
+  ])
+  assert.deepStrictEqual(sbom.dependencies[0].dependsOn, ['pkg:npm/fastify@5.0.0'])
+})
+
+test('sbom rule collects the SBOMs of each application and writes them to disk', async (t) => {
+  const dir = await createTmpDir(t)
+  const appDir = join(dir, 'web', 'runtime')
+
+  await writePackage(dir, { name: 'runtime', version: '1.0.0' })
+  await writePackage(appDir, { name: 'main', version: '2.0.0', dependencies: { pino: '^9.0.0' } })
+  await writePackage(join(appDir, 'node_modules', 'pino'), { name: 'pino', version: '9.0.0', license: 'MIT' })
+
+  // The id of the application is the name of the runtime SBOM file
+  const runtime = {
+    getRuntimeConfig: () => ({ applications: [{ id: 'runtime', path: appDir }] })
+  }
+
+  const rule = createSbomRule({ outputDir: 'sbom' })
+  const metadata = await rule.collect({ projectDir: dir, runtime })
+
+  assert.strictEqual(metadata.format, 'CycloneDX')
+  assert.deepStrictEqual(summarize(metadata.runtime), [])
+  assert.deepStrictEqual(summarize(metadata.services.runtime), [['pino', '9.0.0', 'required', ['MIT']]])
+
+  const written = JSON.parse(await readFile(join(dir, 'sbom', 'applications', 'runtime.cdx.json'), 'utf8'))
+  assert.deepStrictEqual(written, metadata.services.runtime)
+  const writtenRuntime = JSON.parse(await readFile(join(dir, 'sbom', 'runtime.cdx.json'), 'utf8'))
+  assert.deepStrictEqual(writtenRuntime, metadata.runtime)
+})
+
+test('createRuleRegistry registers the sbom rule when enabled', async () => {
+  const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} }
+
+  const disabled = await createRuleRegistry({ projectDir: '/missing', sbom: { enabled: false }, logger })
+  assert.deepStrictEqual(disabled.list().map(rule => rule.name), ['npmDependencies', 'licenses'])
+
+  const registry = await createRuleRegistry({ projectDir: '/missing', sbom: { enabled: true }, logger })
+  assert.deepStrictEqual(registry.list().map(rule => rule.name), ['npmDependencies', 'licenses', 'sbom'])
+})
@@ -0,0 +1,216 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { mkdir, mkdtemp, rm, utimes, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createVulnerabilitiesRule, findVulnerabilities, indexAdvisories, loadAdvisories } from '../compliance/rules/vulnerabilities.js'
+import { createRuleRegistry } from '../compliance/index.js'
+
+const lodashAdvisory = {
+  id: 'GHSA-p6mc-m468-83gw',
+  aliases: ['CVE-2020-8203'],
+  summary: 'Prototype Pollution in lodash',
+  affected: [{
+    package: { ecosystem: 'npm', name: 'lodash' },
+    ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '3.7.0' }, { fixed: '4.17.19' }] }]
+  }],
+  database_specific: { severity: 'HIGH' }
+}
+
+const minimistAdvisory = {
+  id: 'GHSA-xvch-5gv4-984h',
+  aliases: ['CVE-2021-44906'],
+  summary: 'Prototype Pollution in minimist',
+  affected: [
+    {
+      package: { ecosystem: 'npm', name: 'minimist' },
+      ranges: [{ type: 'SEMVER', events: [{ introduced: '0' }, { fixed: '0.2.4' }] }]
+    },
+    {
+      package: { ecosystem: 'npm', name: 'minimist' },
+      ranges: [{ type: 'SEMVER', events: [{ introduced: '1.0.0' }, { last_affected: '1.2.5' }] }]
+    }
+  ],
+  database_specific: { severity: 'CRITICAL' }
+}
+
+const pipAdvisory = {
+  id: 'PYSEC-2021-1',
+  affected: [{ package: { ecosystem: 'PyPI', name: 'lodash' }, versions: ['4.17.15'] }]
+}
+
+async function createProject (t, { advisories }) {
+  const dir = await mkdtemp(join(tmpdir(), 'watt-extra-vulnerabilities-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+
+  async function writePackage (path, packageJson) {
+    await mkdir(path, { recursive: true })
+    await writeFile(join(path, 'package.json'), JSON.stringify(packageJson))
+  }
+
+  await writePackage(dir, { name: 'runtime', dependencies: { minimist: '^1.2.0', mkdirp: '^0.5.0' } })
+  await writePackage(join(dir, 'node_modules', 'minimist'), { name: 'minimist', version: '1.2.8' })
+  await writePackage(join(dir, 'node_modules', 'mkdirp'), { name: 'mkdirp', version: '0.5.1', dependencies: { minimist: '0.0.8' } })
+  await writePackage(join(dir, 'node_modules', 'mkdirp', 'node_modules', 'minimist'), { name: 'minimist', version: '0.0.8' })
+
+  const appDir = join(dir, 'web', 'main')
+  await writePackage(appDir, { name: 'main', dependencies: { lodash: '^4.17.0', minimist: '^1.2.0' } })
+  await writePackage(join(appDir, 'node_modules', 'lodash'), { name: 'lodash', version: '4.17.15' })
+  await writePackage(join(appDir, 'node_modules', 'minimist'), { name: 'minimist', version: '1.2.5' })
+
+  const advisoriesDir = join(dir, 'advisories')
+  await mkdir(join(advisoriesDir, 'github'), { recursive: true })
+  await writeFile(join(advisoriesDir, 'github', 'lodash.json'), JSON.stringify(advisories[0]))
+  await writeFile(join(advisoriesDir, 'others.json'), JSON.stringify(advisories.slice(1)))
+  await writeFile(join(advisoriesDir, 'README.md'), '# Advisories')
+
+  const runtime = {
+    getRuntimeConfig: () => ({ applications: [{ id: 'main', path: appDir }] })
+  }
+
+  return { projectDir: dir, advisoriesDir, runtime }
+}
+
+test('findVulnerabilities matches the installed versions with the advisory ranges', async () => {
+  const index = indexAdvisories([lodashAdvisory, minimistAdvisory, pipAdvisory, {
+    id: 'GHSA-versions',
+    affected: [{ package: { ecosystem: 'npm', name: 'left-pad' }, versions: ['1.0.0'] }]
+  }])
+
+  const findIds = (installed) => findVulnerabilities(installed, index).map(({ package: name, version, id }) => `${name}@${version}:${id}`)
+
+  assert.deepStrictEqual(findIds([{ name: 'lodash', version: '4.17.15' }]), ['lodash@4.17.15:GHSA-p6mc-m468-83gw'])
+  assert.deepStrictEqual(findIds([{ name: 'lodash', version: '4.17.19' }]), [])
+  assert.deepStrictEqual(findIds([{ name: 'lodash', version: '3.6.0' }]), [])
+  assert.deepStrictEqual(findIds([{ name: 'minimist', version: '0.0.8' }]), ['minimist@0.0.8:GHSA-xvch-5gv4-984h'])
+  assert.deepStrictEqual(findIds([{ name: 'minimist', version: '0.2.4' }]), [])
+  assert.deepStrictEqual(findIds([{ name: 'minimist', version: '1.2.5' }]), ['minimist@1.2.5:GHSA-xvch-5gv4-984h'])
+  assert.deepStrictEqual(findIds([{ name: 'minimist', version: '1.2.6' }]), [])
+  assert.deepStrictEqual(findIds([
+    { name: 'left-pad', version: '1.0.0' },
+    { name: 'right-pad', version: '1.0.0' }
+  ]), ['left-pad@1.0.0:GHSA-versions'])
+  assert.deepStrictEqual(findIds([{ name: 'lodash', version: null }, { name: 'minimist', version: 'not-a-version' }]), [])
+
+  // Every installed version of a package is matched
+  assert.deepStrictEqual(findIds([
+    { name: 'minimist', version: '1.2.6' },
+    { name: 'minimist', version: '0.0.8' },
+    { name: 'minimist', version: '1.2.5' }
+  ]), ['minimist@0.0.8:GHSA-xvch-5gv4-984h', 'minimist@1.2.5:GHSA-xvch-5gv4-984h'])
+})
+
+test('vulnerabilities rule reports the vulnerabilities of the installed packages of each service', async (t) => {
+  const { projectDir, advisoriesDir, runtime } = await createProject(t, {
+    advisories: [lodashAdvisory, minimistAdvisory, pipAdvisory]
+  })
+
+  const rule = createVulnerabilitiesRule({ advisoriesPath: advisoriesDir })
+  const metadata = await rule.collect({ projectDir, runtime })
+
+  assert.deepStrictEqual(metadata, {
+    // The pip advisory is not an npm one
+    database: { path: advisoriesDir, advisories: 2 },
+    // The transitive dependencies are matched too
+    runtime: [
+      {
+        package: 'minimist',
+        version: '0.0.8',
+        id: 'GHSA-xvch-5gv4-984h',
+        cves: ['CVE-2021-44906'],
+        severity: 'critical',
+        summary: 'Prototype Pollution in minimist',
+        fixedVersions: ['0.2.4']
+      }
+    ],
+    services: {
+      main: [
+        {
+          package: 'lodash',
+          version: '4.17.15',
+          id: 'GHSA-p6mc-m468-83gw',
+          cves: ['CVE-2020-8203'],
+          severity: 'high',
+          summary: 'Prototype Pollution in lodash',
+          fixedVersions: ['4.17.19']
+        },
+        {
+          package: 'minimist',
+          version: '1.2.5',
+          id: 'GHSA-xvch-5gv4-984h',
+          cves: ['CVE-2021-44906'],
+          severity: 'critical',
+          summary: 'Prototype Pollution in minimist',
+          fixedVersions: []
+        }
+      ]
+    }
+  })
+
+  const messages = (options) => rule.evaluate(metadata, options).map(({ application, message }) => [application, message])
+
+  assert.deepStrictEqual(messages({}), [
+    [undefined, 'minimist@0.0.8 is affected by GHSA-xvch-5gv4-984h (critical), fixed in 0.2.4'],
+    ['main', 'lodash@4.17.15 is affected by GHSA-p6mc-m468-83gw (high), fixed in 4.17.19'],
+    ['main', 'minimist@1.2.5 is affected by GHSA-xvch-5gv4-984h (critical), no fix available']
+  ])
+  assert.deepStrictEqual(messages({ minSeverity: 'critical' }), [
+    [undefined, 'minimist@0.0.8 is affected by GHSA-xvch-5gv4-984h (critical), fixed in 0.2.4'],
+    ['main', 'minimist@1.2.5 is affected by GHSA-xvch-5gv4-984h (critical), no fix available']
+  ])
+  assert.deepStrictEqual(messages({ ignore: ['CVE-2020-8203', 'GHSA-xvch-5gv4-984h'] }), [])
+})
+
+test('loadAdvisories indexes the database again only when its files change', async (t) => {
+  const { advisoriesDir } = await createProject(t, {
+    advisories: [lodashAdvisory, minimistAdvisory, pipAdvisory]
+  })
+
+  const database = await loadAdvisories(advisoriesDir)
+  assert.deepStrictEqual([...database.index.keys()], ['lodash', 'minimist'])
+  assert.strictEqual(database.advisories, 2)
+  assert.strictEqual(await loadAdvisories(advisoriesDir), database, 'Should reuse the index')
+
+  const othersPath = join(advisoriesDir, 'others.json')
+  await writeFile(othersPath, JSON.stringify([pipAdvisory]))
+  const later = new Date(Date.now() + 10000)
+  await utimes(othersPath, later, later)
+
+  const updated = await loadAdvisories(advisoriesDir)
+  assert.notStrictEqual(updated, database)
+  assert.deepStrictEqual([...updated.index.keys()], ['lodash'])
+  assert.strictEqual(updated.advisories, 1)
+})
+
+test('vulnerabilities rule always reports the advisories without a severity', async () => {
+  const rule = createVulnerabilitiesRule({ advisoriesPath: '/advisories.json' })
+  const vulnerability = {
+    package: 'lodash',
+    version: '4.17.15',
+    id: 'GHSA-unknown',
+    cves: [],
+    severity: null,
+    summary: null,
+    fixedVersions: ['4.17.21']
+  }
+
+  const violations = rule.evaluate({ runtime: [vulnerability], services: {} }, { minSeverity: 'high' })
+  assert.deepStrictEqual(violations.map(({ message }) => message), [
+    'lodash@4.17.15 is affected by GHSA-unknown (unknown severity), fixed in 4.17.21'
+  ])
+  assert.strictEqual(violations[0].application, undefined)
+})
+
+test('createRuleRegistry registers the vulnerabilities rule with an advisory database', async (t) => {
+  const logger = { info: () => {}, warn: () => {}, debug: () => {}, error: () => {} }
+
+  const withoutDatabase = await createRuleRegistry({ projectDir: '/missing', logger })
+  assert.deepStrictEqual(withoutDatabase.list().map(rule => rule.name), ['npmDependencies', 'licenses'])
+
+  const registry = await createRuleRegistry({ projectDir: '/missing', advisoriesPath: '/advisories', logger })
+  assert.deepStrictEqual(registry.list().map(({ name, enforceable }) => [name, enforceable]), [
+    ['npmDependencies', false],
+    ['licenses', true],
+    ['vulnerabilities', true]
+  ])
+})
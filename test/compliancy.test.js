@@ -4,6 +4,9 @@ import { join, dirname } from 'node:path'
 import { fileURLToPath } from 'node:url'
 import { createRequire } from 'node:module'
 import { randomUUID } from 'node:crypto'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { request } from 'undici'
 import { start } from '../index.js'
 import {
   setUpEnvironment,
@@ -16,6 +19,8 @@ const __dirname = dirname(__filename)
 
 const require = createRequire(import.meta.url)
 const platformaticVersion = require('@platformatic/runtime/package.json').version
+const serviceVersion = require('@platformatic/service/package.json').version
+const undiciVersion = require('undici/package.json').version
 
 test('should retrieve and send compliancy metadata', async (t) => {
   const applicationName = 'test-app'
@@ -56,6 +61,13 @@ test('should retrieve and send compliancy metadata', async (t) => {
 
   const [metadata] = receivedMetadata
   assert.strictEqual(metadata.applicationId, applicationId)
+
+  const installedLicenses = [
+    { name: '@foo/bar-1', version: '1.2.3', license: null },
+    { name: '@platformatic/runtime', version: platformaticVersion, license: 'Apache-2.0' },
+    { name: '@platformatic/service', version: serviceVersion, license: 'Apache-2.0' },
+    { name: 'undici', version: undiciVersion, license: 'MIT' }
+  ]
   assert.deepStrictEqual(metadata.data, {
     npmDependencies: {
       runtime: {
@@ -82,6 +94,180 @@ test('should retrieve and send compliancy metadata', async (t) => {
           }
         }
       }
+    },
+    // All the installed packages, the symlinked ones included
+    licenses: {
+      runtime: installedLicenses,
+      services: { main: installedLicenses }
+    }
+  })
+})
+
+test('should send the metadata of the application compliance rules', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const rulesDir = await mkdtemp(join(tmpdir(), 'watt-extra-rules-'))
+  t.after(() => rm(rulesDir, { recursive: true, force: true }))
+  await writeFile(join(rulesDir, 'applications.js'), `
+    export default {
+      name: 'applications',
+      async collect ({ runtime }) {
+        const { applications } = await runtime.getRuntimeConfig()
+        return { ids: applications.map(application => application.id) }
+      }
+    }
+  `)
+
+  const receivedMetadata = []
+
+  const icc = await startICC(t, {
+    applicationId,
+    saveComplianceMetadata: async (applicationId, data) => {
+      receivedMetadata.push({ applicationId, data })
+    },
+    getComplianceReport: async () => {
+      return { compliant: true }
+    }
+  })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000',
+    PLT_DISABLE_COMPLIANCE_CHECK: false,
+    PLT_COMPLIANCE_RULES_DIR: rulesDir
+  })
+
+  const app = await start()
+
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+    delete process.env.PLT_COMPLIANCE_RULES_DIR
+  })
+
+  assert.strictEqual(receivedMetadata.length, 1)
+
+  const [metadata] = receivedMetadata
+  assert.deepStrictEqual(metadata.data.applications, { ids: ['main'] })
+  assert.ok(metadata.data.npmDependencies, 'Should still send the builtin rule metadata')
+})
+
+const noWatchRule = `
+  export default {
+    name: 'noWatch',
+    label: 'No watch',
+    async collect ({ runtime }) {
+      const { applications } = await runtime.getRuntimeConfig()
+      return { applications: applications.map(application => application.id) }
+    },
+    evaluate (metadata, options) {
+      return metadata.applications
+        .filter(application => options.denied?.includes(application))
+        .map(application => ({ application, message: 'watch is enabled' }))
     }
+  }
+`
+
+test('should refuse to start a non-compliant application with block-start', async (t) => {
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const rulesDir = await mkdtemp(join(tmpdir(), 'watt-extra-rules-'))
+  t.after(() => rm(rulesDir, { recursive: true, force: true }))
+  await writeFile(join(rulesDir, 'no-watch.js'), noWatchRule)
+
+  setUpEnvironment({
+    PLT_APP_NAME: 'test-app',
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: '',
+    PLT_COMPLIANCE_RULES_DIR: rulesDir,
+    PLT_COMPLIANCE_ENFORCEMENT: 'block-start',
+    PLT_COMPLIANCE_RULES_CONFIG: JSON.stringify({ noWatch: { options: { denied: ['main'] } } })
+  })
+
+  t.after(() => {
+    delete process.env.PLT_COMPLIANCE_RULES_DIR
+    delete process.env.PLT_COMPLIANCE_ENFORCEMENT
+    delete process.env.PLT_COMPLIANCE_RULES_CONFIG
   })
+
+  await assert.rejects(start(), (err) => {
+    assert.match(err.message, /The application is not compliant/)
+    assert.match(err.message, /\[FAIL\] No watch \(noWatch\)\n {4}- main: watch is enabled/)
+    return true
+  })
+})
+
+test('should keep a non-compliant application out of readiness with block-traffic', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const rulesDir = await mkdtemp(join(tmpdir(), 'watt-extra-rules-'))
+  t.after(() => rm(rulesDir, { recursive: true, force: true }))
+  await writeFile(join(rulesDir, 'no-watch.js'), noWatchRule)
+
+  // The rule config of the application overrides the global and the local ones
+  const icc = await startICC(t, {
+    applicationId,
+    saveComplianceMetadata: async () => {},
+    getComplianceReport: async () => ({ compliant: true }),
+    getComplianceRules: () => [
+      { id: 'rule-1', name: 'noWatch' },
+      { id: 'rule-2', name: 'licenses' }
+    ],
+    getComplianceRuleConfigs: () => [
+      { id: 'config-1', type: 'local', applicationId, enabled: true, ruleId: 'rule-1', options: { denied: ['main'] } },
+      { id: 'config-2', type: 'global', applicationId: null, enabled: false, ruleId: 'rule-1', options: null },
+      { id: 'config-3', type: 'local', applicationId: 'other-app', enabled: false, ruleId: 'rule-2', options: null },
+      { id: 'config-4', type: 'global', applicationId: null, enabled: true, ruleId: 'rule-2', options: null }
+    ]
+  })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000',
+    PLT_DISABLE_COMPLIANCE_CHECK: false,
+    PLT_COMPLIANCE_RULES_DIR: rulesDir,
+    PLT_COMPLIANCE_ENFORCEMENT: 'block-traffic',
+    PLT_COMPLIANCE_RULES_CONFIG: JSON.stringify({ noWatch: { enabled: false } }),
+    PLT_PROBES_PORT: 0,
+    PLT_PROBES_HOSTNAME: '127.0.0.1'
+  })
+
+  const app = await start()
+
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+    delete process.env.PLT_COMPLIANCE_RULES_DIR
+    delete process.env.PLT_COMPLIANCE_ENFORCEMENT
+    delete process.env.PLT_COMPLIANCE_RULES_CONFIG
+    delete process.env.PLT_PROBES_PORT
+    delete process.env.PLT_PROBES_HOSTNAME
+  })
+
+  assert.ok(app.watt.runtime, 'Should start the runtime')
+  const { statusCode, body } = await request(`${app.probesUrl}/ready`)
+  assert.strictEqual(statusCode, 503)
+  await body.dump()
+
+  const report = app.getComplianceReport()
+  assert.strictEqual(report.compliant, false)
+  assert.deepStrictEqual(report.rules, [
+    { name: 'licenses', label: 'Licenses', compliant: true, violations: [] },
+    {
+      name: 'noWatch',
+      label: 'No watch',
+      compliant: false,
+      violations: [{ application: 'main', message: 'watch is enabled' }]
+    }
+  ])
+
+  const readiness = await app.checkReadiness()
+  assert.strictEqual(readiness.ready, false)
+  assert.strictEqual(readiness.checks.compliance, false)
 })
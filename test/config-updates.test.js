@@ -0,0 +1,206 @@
+import { test } from 'node:test'
+import { deepEqual, equal, rejects } from 'node:assert'
+import { randomUUID } from 'node:crypto'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { setUpEnvironment, startICC } from './helper.js'
+import { start } from '../index.js'
+import configUpdatesPlugin from '../plugins/config-updates.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+function createMockApp (config) {
+  const logs = { info: [], error: [] }
+  const appliedConfigs = []
+  const instanceConfig = { applicationId: 'test-application-id', config }
+
+  const app = {
+    log: {
+      info: (...args) => logs.info.push(args),
+      error: (...args) => logs.error.push(args),
+      warn: () => {},
+      debug: () => {}
+    },
+    instanceConfig,
+    watt: {
+      applyIccConfigUpdates: async (config, previous) => {
+        appliedConfigs.push({ config, previous })
+        instanceConfig.config = config
+      }
+    }
+  }
+  return { app, logs, appliedConfigs }
+}
+
+test('applyConfigUpdate applies the config and calls the handlers of the changed fields', async () => {
+  const previous = {
+    httpCacheConfig: { maxEntries: 100 },
+    flamegraphs: { intervalSec: 60 },
+    alerts: { podHealthWindow: 60000 }
+  }
+  const { app, logs, appliedConfigs } = createMockApp(previous)
+  await configUpdatesPlugin(app)
+
+  const calls = []
+  app.onConfigUpdate('flamegraphs', (value, previousValue) => {
+    calls.push({ field: 'flamegraphs', value, previousValue })
+  })
+  app.onConfigUpdate('alerts', (value) => {
+    calls.push({ field: 'alerts', value })
+  })
+
+  const config = {
+    httpCacheConfig: { maxEntries: 100 },
+    flamegraphs: { intervalSec: 30 },
+    alerts: { podHealthWindow: 60000 }
+  }
+  const changes = await app.applyConfigUpdate(config)
+
+  deepEqual(changes, [
+    { field: 'flamegraphs', from: { intervalSec: 60 }, to: { intervalSec: 30 } }
+  ])
+  deepEqual(appliedConfigs, [{ config, previous }])
+  deepEqual(calls, [
+    { field: 'flamegraphs', value: { intervalSec: 30 }, previousValue: { intervalSec: 60 } }
+  ])
+
+  const changesLog = logs.info.find(([, msg]) => msg === 'Applying ICC config changes')
+  deepEqual(changesLog[0], { changes })
+})
+
+test('applyConfigUpdate rejects an invalid config without applying it', async () => {
+  const { app, appliedConfigs } = createMockApp({})
+  await configUpdatesPlugin(app)
+
+  let called = false
+  app.onConfigUpdate('healthSignals', () => {
+    called = true
+  })
+
+  await rejects(app.applyConfigUpdate({ healthSignals: { eluThreshold: 'high' } }), (err) => {
+    equal(err.code, 'PLT_INVALID_ICC_CONFIG_ERROR')
+    equal(err.message, 'Invalid ICC config: config.healthSignals.eluThreshold must be number')
+    return true
+  })
+  equal(appliedConfigs.length, 0)
+  equal(called, false)
+})
+
+test('applyConfigUpdate skips an unchanged config', async () => {
+  const { app, appliedConfigs } = createMockApp({ enableTrafficInterceptor: true })
+  await configUpdatesPlugin(app)
+
+  const changes = await app.applyConfigUpdate({ enableTrafficInterceptor: true })
+  deepEqual(changes, [])
+  equal(appliedConfigs.length, 0)
+})
+
+test('applyConfigUpdate rejects the memory sizes that cannot be parsed', async () => {
+  const { app, appliedConfigs } = createMockApp({})
+  await configUpdatesPlugin(app)
+
+  await rejects(app.applyConfigUpdate({
+    healthSignals: { heapThreshold: 'bogus' },
+    alerts: { unhealthyCriteria: { rss: '512MB', applications: { main: { heapTotal: 'lots' } } } }
+  }), (err) => {
+    equal(err.code, 'PLT_INVALID_ICC_CONFIG_ERROR')
+    equal(err.message, 'Invalid ICC config: config.healthSignals.heapThreshold must be a memory size, ' +
+      'config.alerts.unhealthyCriteria.applications.main.heapTotal must be a memory size')
+    return true
+  })
+  equal(appliedConfigs.length, 0)
+})
+
+test('applyConfigUpdate rolls back the config when a handler fails', async () => {
+  const previous = {
+    flamegraphs: { intervalSec: 60 },
+    alerts: { alertRetentionWindow: 1000 }
+  }
+  const { app, logs, appliedConfigs } = createMockApp(previous)
+  await configUpdatesPlugin(app)
+
+  const calls = []
+  app.onConfigUpdate('flamegraphs', (value) => {
+    calls.push({ field: 'flamegraphs', value })
+  })
+  app.onConfigUpdate('alerts', (value) => {
+    calls.push({ field: 'alerts', value })
+    if (value.alertRetentionWindow === 5000) {
+      throw new Error('kaboom')
+    }
+  })
+
+  const config = {
+    flamegraphs: { intervalSec: 30 },
+    alerts: { alertRetentionWindow: 5000 }
+  }
+  await rejects(app.applyConfigUpdate(config), (err) => {
+    equal(err.code, 'PLT_ICC_CONFIG_UPDATE_ERROR')
+    equal(err.message, 'Failed to apply the ICC config update: kaboom')
+    return true
+  })
+
+  // The handlers restore the previous values in reverse order
+  deepEqual(calls, [
+    { field: 'flamegraphs', value: { intervalSec: 30 } },
+    { field: 'alerts', value: { alertRetentionWindow: 5000 } },
+    { field: 'alerts', value: { alertRetentionWindow: 1000 } },
+    { field: 'flamegraphs', value: { intervalSec: 60 } }
+  ])
+  deepEqual(appliedConfigs, [{ config, previous }, { config: previous, previous: config }])
+  equal(app.instanceConfig.config, previous)
+  equal(logs.error.length, 1)
+  equal(logs.error[0][0].field, 'alerts')
+})
+
+test('a config that cannot be applied to the runtime is rolled back', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const icc = await startICC(t, { applicationId, applicationName })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000'
+  })
+
+  const app = await start()
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+  })
+
+  const runtime = app.watt.runtime
+  const previousConfig = app.instanceConfig.config
+  const previousUndiciConfig = structuredClone(runtime.getRuntimeConfig().undici)
+
+  const updateUndiciInterceptors = runtime.updateUndiciInterceptors.bind(runtime)
+  const undiciConfigs = []
+  runtime.updateUndiciInterceptors = async (undiciConfig) => {
+    undiciConfigs.push(undiciConfig)
+    if (undiciConfigs.length === 1) {
+      throw new Error('Worker failed to update the interceptors')
+    }
+    return updateUndiciInterceptors(undiciConfig)
+  }
+
+  let handlerCalled = false
+  app.onConfigUpdate('httpCacheConfig', () => {
+    handlerCalled = true
+  })
+
+  await rejects(app.applyConfigUpdate({ httpCacheConfig: { maxEntries: 100 } }), (err) => {
+    equal(err.code, 'PLT_ICC_CONFIG_UPDATE_ERROR')
+    equal(err.message, 'Failed to apply the ICC config update: Worker failed to update the interceptors')
+    return true
+  })
+
+  equal(app.instanceConfig.config, previousConfig, 'Should restore the previous config')
+  equal(undiciConfigs.length, 2, 'Should restore the previous interceptors')
+  deepEqual(undiciConfigs[1], previousUndiciConfig)
+  deepEqual(runtime.getRuntimeConfig().undici, previousUndiciConfig)
+  equal(handlerCalled, false, 'Should not call the handlers of a failed update')
+})
@@ -29,6 +29,11 @@ module.exports = async function (fastify) {
     return { data: customExtFile }
   })
 
+  fastify.get('/debug-log', async (req) => {
+    req.log.debug({ marker: req.query.marker }, 'Debug line')
+    return { status: 'ok' }
+  })
+
   fastify.get('/env', async () => {
     return { env: process.env }
   })
@@ -188,3 +188,187 @@ test('should send health signals when service becomes unhealthy', async (t) => {
   const profile = Profile.decode(receivedFlamegraph)
   assert.ok(profile, 'Profile should be decoded')
 })
+
+test('should forward the custom health signals with their options', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const receivedSignalReqs = []
+
+  const icc = await startICC(t, {
+    applicationId,
+    applicationName,
+    scaler: { version: 'v2' },
+    processReady: () => ({ success: true }),
+    processSignals: (req) => {
+      receivedSignalReqs.push(req.body)
+      return { alerts: [] }
+    }
+  })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000',
+    PLT_HEALTH_SIGNALS_SHORT_BATCH_TIMEOUT: '1000',
+    PLT_HEALTH_SIGNALS_OPTIONS: JSON.stringify({
+      queueDepth: { threshold: 10, unit: 'items', aggregation: 'max' }
+    })
+  })
+
+  const app = await start()
+
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+    delete process.env.PLT_HEALTH_SIGNALS_SHORT_BATCH_TIMEOUT
+    delete process.env.PLT_HEALTH_SIGNALS_OPTIONS
+  })
+
+  const { statusCode } = await request('http://127.0.0.1:3042/custom-health-signal', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ type: 'queueDepth', value: 42 })
+  })
+  assert.strictEqual(statusCode, 200)
+
+  // Signals without a numeric value cannot be forwarded
+  {
+    const { statusCode } = await request('http://127.0.0.1:3042/custom-health-signal', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ type: 'status', value: 'degraded' })
+    })
+    assert.strictEqual(statusCode, 200)
+  }
+
+  // The value above the threshold makes the batch a short one
+  await sleep(3000)
+
+  const signals = receivedSignalReqs.find(req => req.signals.main?.queueDepth)?.signals
+  assert.ok(signals, 'Should forward the custom signal')
+
+  const { queueDepth } = signals.main
+  assert.deepStrictEqual(queueDepth.options, { threshold: 10, unit: 'items', aggregation: 'max' })
+
+  const workerIds = Object.keys(queueDepth.workers)
+  assert.deepStrictEqual(workerIds, ['main:0'])
+  const [[timestamp, value]] = queueDepth.workers['main:0'].values
+  assert.strictEqual(typeof timestamp, 'number')
+  assert.strictEqual(value, 42)
+
+  for (const req of receivedSignalReqs) {
+    assert.strictEqual(req.signals.main?.status, undefined)
+  }
+
+  assert.ok(signals.main.elu, 'Should still send the ELU signals')
+  assert.ok(signals.main.heap, 'Should still send the heap signals')
+})
+
+test('should send the request latency and throughput signals', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const receivedSignalReqs = []
+
+  const icc = await startICC(t, {
+    applicationId,
+    applicationName,
+    scaler: { version: 'v2' },
+    processReady: () => ({ success: true }),
+    processSignals: (req) => {
+      receivedSignalReqs.push(req.body)
+      return { alerts: [] }
+    }
+  })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000',
+    PLT_HEALTH_SIGNALS_SHORT_BATCH_TIMEOUT: '1000',
+    PLT_HEALTH_SIGNALS_HTTP_ENABLED: 'true',
+    PLT_HEALTH_SIGNALS_HTTP_INTERVAL: '500',
+    PLT_HEALTH_SIGNALS_RPS_BATCH_THRESHOLD: '1'
+  })
+
+  const app = await start()
+
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+    delete process.env.PLT_HEALTH_SIGNALS_SHORT_BATCH_TIMEOUT
+    delete process.env.PLT_HEALTH_SIGNALS_HTTP_ENABLED
+    delete process.env.PLT_HEALTH_SIGNALS_HTTP_INTERVAL
+    delete process.env.PLT_HEALTH_SIGNALS_RPS_BATCH_THRESHOLD
+  })
+
+  for (let i = 0; i < 20; i++) {
+    const { statusCode, body } = await request('http://127.0.0.1:3042/')
+    await body.dump()
+    assert.strictEqual(statusCode, 200)
+  }
+
+  // The throughput above the batch threshold makes the batch a short one
+  await sleep(3000)
+
+  const signals = receivedSignalReqs.find(req => req.signals.main?.latencyP99)?.signals
+  assert.ok(signals, 'Should send the latency signals')
+
+  const { latencyP50, latencyP95, latencyP99, rps } = signals.main
+  for (const latency of [latencyP50, latencyP95, latencyP99]) {
+    assert.deepStrictEqual(latency.options, { unit: 'ms', aggregation: 'max' })
+    const [[, value]] = latency.workers['main:0'].values
+    assert.ok(value > 0)
+  }
+
+  assert.deepStrictEqual(rps.options, { unit: 'req/s', aggregation: 'sum' })
+  const rpsValues = rps.workers['main:0'].values.map(([, value]) => value)
+  assert.ok(rpsValues.some(value => value > 1), 'Should compute the requests per second')
+})
+
+test('should not collect the HTTP metrics by default', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const icc = await startICC(t, {
+    applicationId,
+    applicationName,
+    scaler: { version: 'v2' },
+    processReady: () => ({ success: true }),
+    processSignals: () => ({ alerts: [] })
+  })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000',
+    PLT_HEALTH_SIGNALS_HTTP_INTERVAL: '100'
+  })
+
+  const app = await start()
+
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+    delete process.env.PLT_HEALTH_SIGNALS_HTTP_INTERVAL
+  })
+
+  // Collecting the metrics would reset them for Prometheus and ICC
+  let collections = 0
+  const getMetrics = app.watt.runtime.getMetrics.bind(app.watt.runtime)
+  app.watt.runtime.getMetrics = async (...args) => {
+    collections++
+    return getMetrics(...args)
+  }
+
+  await sleep(500)
+  assert.strictEqual(collections, 0)
+})
@@ -26,6 +26,8 @@ function setUpEnvironment (env = {}) {
     PLT_DISABLE_FLAMEGRAPHS: 'true',
     PLT_THROW_ON_COMPLIANCE_FAILURE: 'false',
     PLT_ALERTS_GRACE_PERIOD_SEC: '0', // Disable grace period for tests
+    PLT_SHUTDOWN_DRAIN_PERIOD_SEC: '0', // Disable drain period for tests
+    PLT_SHUTDOWN_TIMEOUT_SEC: '5',
     PLT_TEST_TOKEN: createJwtToken(3600)
   }
   Object.assign(process.env, defaultEnv, env)
@@ -118,6 +120,14 @@ async function startICC (t, opts = {}) {
       await opts.saveApplicationInstanceState?.({ instanceId, state })
       return {}
     })
+
+    icc.post('/pods/:id/instance/status', async (req) => {
+      const instanceId = req.params.id
+      const { status } = req.body
+
+      await opts.saveApplicationInstanceStatus?.({ instanceId, status })
+      return {}
+    })
   }, { prefix: '/control-plane' })
 
   // Compliance
@@ -131,6 +141,18 @@ async function startICC (t, opts = {}) {
       const { applicationId } = req.body
       return opts.getComplianceReport?.(applicationId)
     })
+
+    icc.get('/rules', async () => {
+      return opts.getComplianceRules?.() ?? []
+    })
+
+    icc.get('/ruleConfigs/', async (req) => {
+      const ruleConfigs = opts.getComplianceRuleConfigs?.() ?? []
+      return ruleConfigs.filter(({ type, applicationId }) =>
+        (!req.query['where.type.eq'] || type === req.query['where.type.eq']) &&
+        (!req.query['where.applicationId.eq'] || applicationId === req.query['where.applicationId.eq'])
+      )
+    })
   }, { prefix: '/compliance' })
 
   // Traffic Inspector
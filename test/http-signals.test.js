@@ -0,0 +1,86 @@
+import { test } from 'node:test'
+import { deepEqual, equal } from 'node:assert'
+import { computeHttpSignals, histogramQuantile } from '../lib/http-signals.js'
+
+function workerLabels (serviceId, workerId) {
+  return { serviceId, workerId, applicationId: 'app-1' }
+}
+
+function histogramValues (labels, buckets) {
+  const values = []
+  for (const [le, count] of buckets) {
+    values.push({
+      metricName: 'http_request_all_duration_seconds_bucket',
+      labels: { ...labels, le },
+      value: count
+    })
+  }
+  values.push({
+    metricName: 'http_request_all_duration_seconds_count',
+    labels,
+    value: buckets.at(-1)[1]
+  })
+  return values
+}
+
+test('histogramQuantile interpolates inside the bucket', async () => {
+  const buckets = [[1, 50], [2, 90], [5, 100], [Infinity, 100]]
+
+  equal(histogramQuantile(0.5, buckets), 1)
+  equal(histogramQuantile(0.7, buckets), 1.5)
+  equal(histogramQuantile(0.95, buckets), 3.5)
+  equal(histogramQuantile(0.99, [[1, 10], [Infinity, 20]]), 1)
+  equal(histogramQuantile(0.5, [[0.1, 0], [Infinity, 0]]), null)
+  equal(histogramQuantile(0.5, []), null)
+})
+
+test('computeHttpSignals sums the series of each worker', async () => {
+  const get = { ...workerLabels('main', 0), method: 'GET', status_code: 200 }
+  const post = { ...workerLabels('main', 0), method: 'POST', status_code: 201 }
+  const other = { ...workerLabels('main', 1), method: 'GET', status_code: 200 }
+
+  const metrics = [
+    {
+      name: 'nodejs_eventloop_utilization',
+      values: [
+        { labels: workerLabels('main', 0), value: 0.5 },
+        { labels: workerLabels('main', 1), value: 0.1 },
+        { labels: workerLabels('idle', 0), value: 0 }
+      ]
+    },
+    {
+      name: 'http_request_all_duration_seconds',
+      values: [
+        ...histogramValues(get, [[0.01, 30], [0.1, 40], ['+Inf', 40]]),
+        ...histogramValues(post, [[0.01, 0], [0.1, 10], ['+Inf', 10]]),
+        ...histogramValues(other, [[0.01, 10], [0.1, 10], ['+Inf', 10]])
+      ]
+    }
+  ]
+
+  const signals = computeHttpSignals(metrics, { labelName: 'serviceId', elapsed: 5000 })
+
+  deepEqual(signals, {
+    main: {
+      'main:0': { rps: 10, latencyP50: 8.33, latencyP95: 88.75, latencyP99: 97.75 },
+      'main:1': { rps: 2, latencyP50: 5, latencyP95: 9.5, latencyP99: 9.9 }
+    },
+    idle: {
+      'idle:0': { rps: 0 }
+    }
+  })
+})
+
+test('computeHttpSignals uses the configured application label', async () => {
+  const metrics = [
+    {
+      name: 'nodejs_eventloop_utilization',
+      values: [{ labels: { applicationId: 'main', workerId: 0 }, value: 0.5 }]
+    }
+  ]
+
+  deepEqual(computeHttpSignals(metrics, { labelName: 'applicationId', elapsed: 1000 }), {
+    main: { 'main:0': { rps: 0 } }
+  })
+  deepEqual(computeHttpSignals(metrics, { labelName: 'serviceId', elapsed: 1000 }), {})
+})
@@ -0,0 +1,90 @@
+import { test } from 'node:test'
+import { deepEqual } from 'node:assert'
+import { diffIccConfig, validateIccConfig, validateUnhealthyCriteria } from '../lib/icc-config.js'
+
+test('validateIccConfig accepts a valid config', async () => {
+  const errors = validateIccConfig({
+    httpCacheConfig: { maxEntries: 100 },
+    enableOpenTelemetry: true,
+    enableSlicerInterceptor: false,
+    enableTrafficInterceptor: true,
+    healthSignals: {
+      eluThreshold: 0.8,
+      heapThreshold: '500MB',
+      signals: { queueDepth: { threshold: 100, unit: 'items', aggregation: 'max', field: 'value' } }
+    },
+    flamegraphs: { intervalSec: 30, eluThreshold: 0.5 },
+    alerts: { podHealthWindow: 60000, alertRetentionWindow: 0 },
+    unknownField: 'kept'
+  })
+  deepEqual(errors, [])
+})
+
+test('validateIccConfig returns the errors of an invalid config', async () => {
+  const errors = validateIccConfig({
+    enableOpenTelemetry: 'yes',
+    healthSignals: { eluThreshold: 2, signals: { queueDepth: { threshold: '100' } } },
+    flamegraphs: { intervalSec: 0 },
+    alerts: 'none'
+  })
+  deepEqual(errors, [
+    'config.enableOpenTelemetry must be boolean',
+    'config.healthSignals.eluThreshold must be <= 1',
+    'config.healthSignals.signals.queueDepth.threshold must be number',
+    'config.flamegraphs.intervalSec must be >= 1',
+    'config.alerts must be object'
+  ])
+
+  deepEqual(validateIccConfig(null), ['config must be object'])
+})
+
+test('validateUnhealthyCriteria validates the criteria of each application', async () => {
+  deepEqual(validateUnhealthyCriteria({
+    elu: 0.9,
+    rss: '1GB',
+    samples: 3,
+    window: 5,
+    applications: {
+      'service-1': { eventLoopDelay: 100, activeHandles: 1000 }
+    }
+  }), [])
+
+  deepEqual(validateUnhealthyCriteria({
+    samples: 0,
+    applications: {
+      'service-1': { elu: 'high' },
+      'service-2': 'none'
+    }
+  }), [
+    'unhealthyCriteria.samples must be >= 1',
+    'unhealthyCriteria.applications.service-1.elu must be number',
+    'unhealthyCriteria.applications.service-2 must be object'
+  ])
+
+  deepEqual(validateIccConfig({ alerts: { unhealthyCriteria: { heapUsed: 2 } } }), [
+    'config.alerts.unhealthyCriteria.heapUsed must be <= 1'
+  ])
+})
+
+test('diffIccConfig returns the changed top-level fields', async () => {
+  const previous = {
+    httpCacheConfig: { maxEntries: 100 },
+    enableTrafficInterceptor: true,
+    flamegraphs: { intervalSec: 60 }
+  }
+  const config = {
+    httpCacheConfig: { maxEntries: 100 },
+    enableTrafficInterceptor: false,
+    healthSignals: { eluThreshold: 0.8 }
+  }
+
+  deepEqual(diffIccConfig(previous, config), [
+    { field: 'enableTrafficInterceptor', from: true, to: false },
+    { field: 'flamegraphs', from: { intervalSec: 60 }, to: undefined },
+    { field: 'healthSignals', from: undefined, to: { eluThreshold: 0.8 } }
+  ])
+  deepEqual(diffIccConfig(previous, structuredClone(previous)), [])
+  deepEqual(diffIccConfig(undefined, { enableOpenTelemetry: true }), [
+    { field: 'enableOpenTelemetry', from: undefined, to: true }
+  ])
+})
@@ -21,6 +21,7 @@ const createMockApp = (env = {}, overrides = {}) => {
       error: () => {}
     },
     getAuthorizationHeaders: async () => 'Bearer test-token',
+    callICC: (_service, fn) => fn(),
     provider: 'k8s',
     logMessages,
     ...overrides
@@ -0,0 +1,137 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { getMeanElu, LocalScaler } from '../lib/local-scaler.js'
+import localScalerPlugin from '../plugins/local-scaler.js'
+
+const logger = { info: () => {}, warn: () => {}, error: () => {}, debug: () => {} }
+
+test('getMeanElu averages the values of all the workers', async () => {
+  assert.strictEqual(getMeanElu({
+    'main:0': [[1, 1], [2, 0.5]],
+    'main:1': [[1, 0]]
+  }), 0.5)
+  assert.strictEqual(getMeanElu({}), null)
+  assert.strictEqual(getMeanElu(undefined), null)
+})
+
+test('LocalScaler adds or removes one worker within the limits', async () => {
+  const scaler = new LocalScaler({ scaleUpElu: 0.8, scaleDownElu: 0.2, cooldown: 60000 })
+  const limits = { minWorkers: 1, maxWorkers: 3 }
+
+  assert.strictEqual(scaler.getTargetWorkers('main', { elu: 0.9, workers: 1, ...limits }), 2)
+  assert.strictEqual(scaler.getTargetWorkers('main', { elu: 0.9, workers: 3, ...limits }), null)
+  assert.strictEqual(scaler.getTargetWorkers('main', { elu: 0.1, workers: 2, ...limits }), 1)
+  assert.strictEqual(scaler.getTargetWorkers('main', { elu: 0.1, workers: 1, ...limits }), null)
+  assert.strictEqual(scaler.getTargetWorkers('main', { elu: 0.5, workers: 2, ...limits }), null)
+  assert.strictEqual(scaler.getTargetWorkers('main', { elu: null, workers: 2, ...limits }), null)
+  assert.strictEqual(scaler.getTargetWorkers('main', { elu: 0.9, workers: 2 }), null)
+})
+
+test('LocalScaler waits for the cooldown before scaling a service again', async () => {
+  const scaler = new LocalScaler({ scaleUpElu: 0.8, scaleDownElu: 0.2, cooldown: 60000 })
+  const sample = { elu: 0.9, workers: 1, minWorkers: 1, maxWorkers: 3 }
+
+  scaler.markScaled('main', 1000)
+  assert.strictEqual(scaler.getTargetWorkers('main', sample, 30000), null)
+  assert.strictEqual(scaler.getTargetWorkers('other', sample, 30000), 2)
+  assert.strictEqual(scaler.getTargetWorkers('main', sample, 61000), 2)
+
+  scaler.markScaled('main', 61000)
+  scaler.reset()
+  assert.strictEqual(scaler.getTargetWorkers('main', sample, 62000), 2)
+})
+
+function createApp ({ enabled = true, scalerState = 'closed', verticalScaler } = {}) {
+  const updates = []
+  const workers = { main: 1, other: 2 }
+
+  const app = {
+    log: logger,
+    env: {
+      PLT_LOCAL_SCALER_ENABLED: enabled,
+      PLT_LOCAL_SCALER_SCALE_UP_ELU: 0.8,
+      PLT_LOCAL_SCALER_SCALE_DOWN_ELU: 0.2,
+      PLT_LOCAL_SCALER_COOLDOWN_SEC: 60
+    },
+    getCircuitBreakersInfo: () => ({ scaler: { state: scalerState } }),
+    getWorkersCount: () => ({
+      main: { workers: 1, minWorkers: 1, maxWorkers: 4 },
+      other: { workers: 2, minWorkers: 2, maxWorkers: 2 }
+    }),
+    watt: {
+      runtime: {
+        getRuntimeConfig: async () => ({ verticalScaler }),
+        getApplicationResourcesInfo: async (id) => ({ workers: workers[id] }),
+        updateApplicationsResources: async (resources) => {
+          updates.push(...resources)
+          for (const { application, workers: count } of resources) {
+            workers[application] = count
+          }
+        }
+      }
+    },
+    updates,
+    setScalerState: (state) => { scalerState = state }
+  }
+  return app
+}
+
+const busySignals = {
+  main: { elu: { 'main:0': [[1, 0.95], [2, 0.9]] } },
+  other: { elu: { 'other:0': [[1, 0.95]], 'other:1': [[1, 0.95]] } }
+}
+
+test('local scaler scales the services while the scaler is not configured', async () => {
+  const app = createApp()
+  await localScalerPlugin(app)
+
+  await app.evaluateLocalScaling(busySignals, { scalerConfigured: false })
+
+  // The other service has a fixed number of workers
+  assert.deepStrictEqual(app.updates, [{ application: 'main', workers: 2 }])
+  assert.deepStrictEqual(app.getLocalScalerInfo(), { enabled: true, active: true })
+
+  // The cooldown has not passed
+  await app.evaluateLocalScaling(busySignals, { scalerConfigured: false })
+  assert.strictEqual(app.updates.length, 1)
+})
+
+test('local scaler hands the scaling back to the ICC scaler once it is reachable', async () => {
+  const app = createApp({ scalerState: 'open' })
+  await localScalerPlugin(app)
+
+  await app.evaluateLocalScaling(busySignals, { scalerConfigured: true })
+  assert.deepStrictEqual(app.updates, [{ application: 'main', workers: 2 }])
+
+  app.setScalerState('closed')
+  await app.evaluateLocalScaling(busySignals, { scalerConfigured: true })
+  assert.strictEqual(app.updates.length, 1)
+  assert.deepStrictEqual(app.getLocalScalerInfo(), { enabled: true, active: false })
+
+  // The cooldown is reset when the scaler is down again
+  app.setScalerState('half-open')
+  await app.evaluateLocalScaling(busySignals, { scalerConfigured: true })
+  assert.deepStrictEqual(app.updates, [
+    { application: 'main', workers: 2 },
+    { application: 'main', workers: 3 }
+  ])
+})
+
+test('local scaler does nothing when disabled or with the runtime vertical scaler', async () => {
+  {
+    const app = createApp({ enabled: false })
+    await localScalerPlugin(app)
+
+    await app.evaluateLocalScaling(busySignals, { scalerConfigured: false })
+    assert.deepStrictEqual(app.updates, [])
+    assert.deepStrictEqual(app.getLocalScalerInfo(), { enabled: false, active: false })
+  }
+
+  {
+    const app = createApp({ verticalScaler: { enabled: true } })
+    await localScalerPlugin(app)
+
+    await app.evaluateLocalScaling(busySignals, { scalerConfigured: false })
+    assert.deepStrictEqual(app.updates, [])
+  }
+})
@@ -0,0 +1,243 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { randomUUID } from 'node:crypto'
+import { EventEmitter } from 'node:events'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { setUpEnvironment, startICC } from './helper.js'
+import { start } from '../index.js'
+import { CommandRegistry } from '../lib/commands.js'
+import logLevelPlugin from '../plugins/log-level.js'
+import { onItcReady } from '../lib/worker-itc.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+function createMockApp (runtime = null) {
+  const log = { level: 'info', info: () => {}, error: () => {}, warn: () => {}, debug: () => {} }
+  return {
+    log,
+    commands: new CommandRegistry({ logger: log }),
+    env: {
+      PLT_LOG_LEVEL_DURATION_SEC: 600,
+      PLT_LOG_LEVEL_MAX_DURATION_SEC: 3600
+    },
+    watt: { runtime }
+  }
+}
+
+// Workers running lib/worker-log-level.js
+function createMockRuntime (levels) {
+  return Object.assign(new EventEmitter(), {
+    getWorkers: async () => ({
+      'service-1:0': { application: 'service-1', worker: 0, status: 'started' },
+      'service-1:1': { application: 'service-1', worker: 1, status: 'started' },
+      'service-2:0': { application: 'service-2', worker: 0, status: 'started' }
+    }),
+    sendCommandToApplication: async (workerId, command, { level }) => {
+      assert.strictEqual(command, 'setLogLevel')
+      const previous = levels[workerId] ?? 'info'
+      levels[workerId] = level
+      return { level, previous }
+    }
+  })
+}
+
+test('log level of watt-extra is restored when the window expires', async (t) => {
+  const app = createMockApp()
+  await logLevelPlugin(app)
+
+  const result = await app.setLogLevel({ level: 'debug', duration: 100 })
+  assert.strictEqual(result.target, 'watt-extra')
+  assert.strictEqual(result.level, 'debug')
+  assert.strictEqual(result.previous, 'info')
+  assert.strictEqual(app.log.level, 'debug')
+
+  // Changing the level again keeps the level to restore
+  await app.setLogLevel({ level: 'trace', duration: 100 })
+  assert.strictEqual(app.getLogLevels()['watt-extra'].previous, 'info')
+
+  await sleep(200)
+  assert.strictEqual(app.log.level, 'info')
+  assert.deepStrictEqual(app.getLogLevels(), { 'watt-extra': { level: 'info' } })
+})
+
+test('log level of an application is changed on all its workers', async (t) => {
+  const levels = {}
+  const app = createMockApp(createMockRuntime(levels))
+  await logLevelPlugin(app)
+
+  const reply = await app.commands.dispatch({
+    command: 'set-log-level',
+    requestId: 'req-1',
+    params: { level: 'debug', application: 'service-1', durationSec: 0.1 }
+  })
+  assert.strictEqual(reply.success, true)
+  assert.strictEqual(reply.result.target, 'service-1')
+  assert.deepStrictEqual(levels, { 'service-1:0': 'debug', 'service-1:1': 'debug' })
+  assert.strictEqual(app.log.level, 'info', 'Should not change the watt-extra level')
+
+  await sleep(200)
+  assert.deepStrictEqual(levels, { 'service-1:0': 'info', 'service-1:1': 'info' })
+})
+
+test('log level of an application is applied to the workers started later', async (t) => {
+  const levels = {}
+  const runtime = createMockRuntime(levels)
+  const app = createMockApp(runtime)
+  await logLevelPlugin(app)
+
+  await app.setLogLevel({ level: 'debug', application: 'service-1', duration: 60000 })
+  t.after(() => app.resetLogLevel('service-1'))
+
+  runtime.emit('application:worker:started', { application: 'service-1', worker: 2 })
+  runtime.emit('application:worker:started', { application: 'service-2', worker: 1 })
+  await sleep(10)
+  assert.strictEqual(levels['service-1:2'], 'debug')
+  assert.strictEqual(levels['service-2:1'], undefined)
+
+  await app.resetLogLevel('service-1')
+  runtime.emit('application:worker:started', { application: 'service-1', worker: 3 })
+  await sleep(10)
+  assert.strictEqual(levels['service-1:3'], undefined)
+})
+
+test('onItcReady waits for the ITC of the worker and gives up after maxAttempts', async (t) => {
+  t.after(() => { delete globalThis.platformatic })
+
+  let received = null
+  onItcReady((itc) => { received = itc }, { interval: 1, maxAttempts: 5 })
+  await sleep(10)
+  globalThis.platformatic = { itc: 'late' }
+  await sleep(10)
+  assert.strictEqual(received, null, 'Should stop polling after maxAttempts')
+
+  const timer = onItcReady((itc) => { received = itc }, { interval: 1 })
+  assert.strictEqual(timer.hasRef(), false)
+  await sleep(10)
+  assert.strictEqual(received, 'late')
+})
+
+test('log level window is capped and can be reset', async (t) => {
+  const app = createMockApp()
+  app.env.PLT_LOG_LEVEL_MAX_DURATION_SEC = 60
+  await logLevelPlugin(app)
+
+  const before = Date.now()
+  const { expiresAt } = await app.setLogLevel({ level: 'debug', duration: 24 * 60 * 60 * 1000 })
+  assert.ok(expiresAt <= Date.now() + 60000 && expiresAt >= before + 60000)
+
+  await app.resetLogLevel('watt-extra')
+  assert.strictEqual(app.log.level, 'info')
+})
+
+test('log level changes are validated', async (t) => {
+  const app = createMockApp(createMockRuntime({}))
+  await logLevelPlugin(app)
+
+  await assert.rejects(app.setLogLevel({ level: 'verbose' }), { code: 'PLT_INVALID_LOG_LEVEL_ERROR', statusCode: 400 })
+  await assert.rejects(app.setLogLevel({ level: 'debug', application: 'missing' }), {
+    code: 'PLT_LOG_LEVEL_APPLICATION_NOT_FOUND_ERROR',
+    statusCode: 404
+  })
+
+  // Workers without the log level handler
+  app.watt.runtime.sendCommandToApplication = async () => ({})
+  await assert.rejects(app.setLogLevel({ level: 'debug', application: 'service-2' }), {
+    code: 'PLT_LOG_LEVEL_NOT_SUPPORTED_ERROR'
+  })
+
+  // A window that is not a positive number is rejected
+  for (const durationSec of [-5, 0, 'abc', Infinity]) {
+    const reply = await app.commands.dispatch({
+      command: 'set-log-level',
+      requestId: 'req-1',
+      params: { level: 'debug', durationSec }
+    })
+    assert.strictEqual(reply.success, false)
+    assert.strictEqual(reply.error.code, 'PLT_INVALID_COMMAND_PARAMS_ERROR')
+  }
+  assert.strictEqual(app.log.level, 'info')
+
+  const noRuntime = createMockApp()
+  await logLevelPlugin(noRuntime)
+  await assert.rejects(noRuntime.setLogLevel({ level: 'debug', application: 'service-1' }), {
+    code: 'PLT_COMMAND_RUNTIME_NOT_STARTED_ERROR'
+  })
+})
+
+test('log level of the runtime workers is changed through the preload', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const icc = await startICC(t, { applicationId, applicationName })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000'
+  })
+
+  const app = await start()
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+  })
+
+  const { applications } = await app.watt.runtime.getApplications()
+  const application = applications[0].id
+
+  const result = await app.setLogLevel({ level: 'trace', application, duration: 60000 })
+  assert.strictEqual(result.target, application)
+  assert.strictEqual(result.level, 'trace')
+
+  // The level is set on the worker, restoring it reports 'trace' as previous
+  const workerId = Object.keys(await app.watt.runtime.getWorkers())[0]
+  const restored = await app.watt.runtime.sendCommandToApplication(workerId, 'setLogLevel', { level: result.previous })
+  assert.deepStrictEqual(restored, { level: result.previous, previous: 'trace', capabilityPrevious: 'trace' })
+
+  await app.resetLogLevel(application)
+})
+
+test('application writes the debug logs only while the log level is overridden', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const icc = await startICC(t, { applicationId, applicationName })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000'
+  })
+
+  const app = await start()
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+  })
+
+  const { applications } = await app.watt.runtime.getApplications()
+  const application = applications[0].id
+
+  async function writeDebugLine (marker) {
+    await app.watt.runtime.inject(application, { method: 'GET', url: `/debug-log?marker=${marker}` })
+    // The log lines reach the main thread asynchronously
+    await sleep(500)
+    return app.serviceHistory.getExcerpt(application).logs.some(line => line.includes(`"marker":"${marker}"`))
+  }
+
+  // The workers of the fixture log at the 'trace' level, start from 'info'
+  const workerId = Object.keys(await app.watt.runtime.getWorkers())[0]
+  await app.watt.runtime.sendCommandToApplication(workerId, 'setLogLevel', { level: 'info' })
+  assert.strictEqual(await writeDebugLine('before'), false)
+
+  await app.setLogLevel({ level: 'debug', application, duration: 60000 })
+  assert.strictEqual(await writeDebugLine('during'), true)
+
+  await app.resetLogLevel(application)
+  assert.strictEqual(await writeDebugLine('after'), false)
+})
@@ -0,0 +1,282 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { Outbox } from '../lib/outbox.js'
+import outboxPlugin from '../plugins/outbox.js'
+
+const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} }
+
+function createSender () {
+  const sent = []
+  let failure = null
+  const sender = async (payload) => {
+    if (failure) throw failure
+    sent.push(payload)
+    return { id: sent.length }
+  }
+  sender.sent = sent
+  sender.fail = (statusCode) => {
+    failure = new Error('ICC unavailable')
+    failure.statusCode = statusCode
+  }
+  sender.recover = () => { failure = null }
+  return sender
+}
+
+async function readSaved (dir) {
+  const files = (await readdir(dir)).sort()
+  return Promise.all(files.map(async file => JSON.parse(await readFile(join(dir, file), 'utf8'))))
+}
+
+function createOutbox (options = {}) {
+  return new Outbox({
+    categories: {
+      alerts: { maxItems: 10, maxAge: 60000 },
+      signals: { maxItems: 2, maxAge: 60000 }
+    },
+    logger,
+    ...options
+  })
+}
+
+test('outbox sends payloads right away when ICC is reachable', async () => {
+  const outbox = createOutbox()
+  const sender = createSender()
+  outbox.register('alerts', sender)
+
+  const result = await outbox.send('alerts', { alert: 1 })
+
+  assert.deepStrictEqual(result, { id: 1 })
+  assert.deepStrictEqual(sender.sent, [{ alert: 1 }])
+  assert.deepStrictEqual(outbox.getStats().alerts, { sent: 1, queued: 0, replayed: 0, dropped: 0, pending: 0 })
+})
+
+test('outbox queues failed payloads and replays them in order', async () => {
+  const outbox = createOutbox()
+  const alerts = createSender()
+  const signals = createSender()
+  outbox.register('alerts', alerts)
+  outbox.register('signals', signals)
+
+  alerts.fail(503)
+  signals.fail()
+  assert.strictEqual(await outbox.send('alerts', { alert: 1 }), null)
+  assert.strictEqual(await outbox.send('signals', { signal: 1 }), null)
+
+  // Newer payloads wait for the queued ones, even if ICC is back
+  alerts.recover()
+  assert.strictEqual(await outbox.send('alerts', { alert: 2 }), null)
+  assert.deepStrictEqual(alerts.sent, [])
+
+  // Replay stops at the first failure
+  await outbox.replay()
+  assert.deepStrictEqual(alerts.sent, [{ alert: 1 }])
+  assert.strictEqual(outbox.getStats().signals.pending, 1)
+  assert.strictEqual(outbox.getStats().alerts.pending, 1)
+
+  signals.recover()
+  await outbox.replay()
+  assert.deepStrictEqual(alerts.sent, [{ alert: 1 }, { alert: 2 }])
+  assert.deepStrictEqual(signals.sent, [{ signal: 1 }])
+
+  assert.deepStrictEqual(outbox.getStats(), {
+    alerts: { sent: 0, queued: 2, replayed: 2, dropped: 0, pending: 0 },
+    signals: { sent: 0, queued: 1, replayed: 1, dropped: 0, pending: 0 }
+  })
+})
+
+test('outbox drops payloads rejected by ICC', async () => {
+  const outbox = createOutbox()
+  const sender = createSender()
+  outbox.register('alerts', sender)
+
+  sender.fail(400)
+  await outbox.send('alerts', { alert: 1 })
+  assert.deepStrictEqual(outbox.getStats().alerts, { sent: 0, queued: 0, replayed: 0, dropped: 1, pending: 0 })
+
+  // Rate limited, retried later
+  sender.fail(429)
+  await outbox.send('alerts', { alert: 2 })
+  assert.strictEqual(outbox.getStats().alerts.pending, 1)
+
+  // Rejected during the replay
+  sender.fail(422)
+  await outbox.replay()
+  assert.deepStrictEqual(outbox.getStats().alerts, { sent: 0, queued: 1, replayed: 0, dropped: 2, pending: 0 })
+})
+
+test('outbox enforces the retention of each category', async (t) => {
+  const outbox = createOutbox({
+    categories: {
+      alerts: { maxItems: 10, maxAge: 50 },
+      signals: { maxItems: 2, maxAge: 60000 }
+    }
+  })
+  const alerts = createSender()
+  const signals = createSender()
+  outbox.register('alerts', alerts)
+  outbox.register('signals', signals)
+
+  for (let i = 1; i <= 3; i++) {
+    outbox.enqueue('signals', { signal: i })
+  }
+  outbox.enqueue('alerts', { alert: 1 })
+
+  await new Promise(resolve => setTimeout(resolve, 100))
+  await outbox.replay()
+
+  // The oldest signal overflowed, the alert expired
+  assert.deepStrictEqual(signals.sent, [{ signal: 2 }, { signal: 3 }])
+  assert.deepStrictEqual(alerts.sent, [])
+  assert.strictEqual(outbox.getStats().signals.dropped, 1)
+  assert.strictEqual(outbox.getStats().alerts.dropped, 1)
+})
+
+test('outbox is saved on disk and loaded by the next instance', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'watt-extra-outbox-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+
+  {
+    const outbox = createOutbox({ dir })
+    const sender = createSender()
+    sender.fail()
+    outbox.register('alerts', sender)
+
+    await outbox.send('alerts', { alert: 1 })
+    await outbox.send('alerts', { alert: 2 })
+    await outbox.flush()
+
+    // One file per item
+    const saved = await readSaved(dir)
+    assert.deepStrictEqual(saved.map(item => item.payload), [{ alert: 1 }, { alert: 2 }])
+  }
+
+  {
+    const outbox = createOutbox({ dir })
+    const sender = createSender()
+    outbox.register('alerts', sender)
+
+    await outbox.load()
+    await outbox.send('alerts', { alert: 3 })
+    await outbox.replay()
+    await outbox.flush()
+
+    assert.deepStrictEqual(sender.sent, [{ alert: 1 }, { alert: 2 }, { alert: 3 }])
+    assert.deepStrictEqual(await readdir(dir), [])
+  }
+})
+
+test('outbox skips and removes the invalid saved items and applies the retention to the loaded ones', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'watt-extra-outbox-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+
+  const now = Date.now()
+  const saved = [
+    null,
+    'item',
+    { seq: 1, category: 'unknown', payload: {}, enqueuedAt: now },
+    { seq: 2, category: 'signals', enqueuedAt: now },
+    { seq: 'x', category: 'signals', payload: { signal: 0 }, enqueuedAt: now },
+    { seq: 3, category: 'signals', payload: { signal: 1 }, enqueuedAt: now },
+    { seq: 4, category: 'signals', payload: { signal: 2 }, enqueuedAt: now },
+    { seq: 5, category: 'signals', payload: { signal: 3 }, enqueuedAt: now },
+    { seq: 6, category: 'alerts', payload: { alert: 1 }, enqueuedAt: now }
+  ]
+  for (const [i, item] of saved.entries()) {
+    await writeFile(join(dir, `${now}-${i}.json`), JSON.stringify(item))
+  }
+  await writeFile(join(dir, `${now}-truncated.json`), '{"seq":')
+
+  const outbox = createOutbox({ dir })
+  const alerts = createSender()
+  const signals = createSender()
+  outbox.register('alerts', alerts)
+  outbox.register('signals', signals)
+
+  await outbox.load()
+  assert.strictEqual(outbox.getStats().signals.dropped, 1)
+
+  await outbox.replay()
+  await outbox.flush()
+
+  assert.deepStrictEqual(signals.sent, [{ signal: 2 }, { signal: 3 }])
+  assert.deepStrictEqual(alerts.sent, [{ alert: 1 }])
+  assert.deepStrictEqual(await readdir(dir), [])
+})
+
+test('outbox plugin applies the retention overrides', async (t) => {
+  const app = {
+    log: logger,
+    env: {
+      PLT_OUTBOX_RETENTION: JSON.stringify({ ready: { maxItems: 0 } }),
+      PLT_OUTBOX_REPLAY_INTERVAL_SEC: 30
+    }
+  }
+  await outboxPlugin(app)
+  await app.setupOutbox()
+  t.after(() => app.closeOutbox())
+
+  const sender = createSender()
+  sender.fail()
+  app.outbox.register('ready', sender)
+
+  await app.outbox.send('ready', { ready: true })
+  assert.deepStrictEqual(app.outbox.getStats().ready, { sent: 0, queued: 1, replayed: 0, dropped: 1, pending: 0 })
+
+  // Replaying never throws
+  await app.replayOutbox()
+})
+
+test('outbox plugin ignores invalid retention overrides', async () => {
+  const errors = []
+  const app = {
+    log: { ...logger, error: (data, msg) => errors.push(msg) },
+    env: { PLT_OUTBOX_RETENTION: 'not json' }
+  }
+  await outboxPlugin(app)
+
+  assert.deepStrictEqual(errors, ['Failed to parse PLT_OUTBOX_RETENTION, using the default retention'])
+  assert.deepStrictEqual(Object.keys(app.outbox.getStats()), ['alerts', 'signals', 'ready', 'flamegraphs'])
+})
+
+test('outbox plugin uses the default retention for the overrides that are not valid', async () => {
+  for (const value of ['null', '42', '[1]', '"alerts"']) {
+    const errors = []
+    const app = {
+      log: { ...logger, error: (data, msg) => errors.push(msg ?? data) },
+      env: { PLT_OUTBOX_RETENTION: value }
+    }
+    await outboxPlugin(app)
+
+    assert.deepStrictEqual(errors, ['PLT_OUTBOX_RETENTION must be an object, using the default retention'])
+    assert.deepStrictEqual(Object.keys(app.outbox.getStats()), ['alerts', 'signals', 'ready', 'flamegraphs'])
+  }
+
+  const errors = []
+  const app = {
+    log: { ...logger, error: (data, msg) => errors.push(data) },
+    env: {
+      PLT_OUTBOX_RETENTION: JSON.stringify({
+        alerts: null,
+        signals: { maxItems: -1, maxAge: 'hour' },
+        ready: { maxItems: 0 }
+      })
+    }
+  }
+  await outboxPlugin(app)
+
+  assert.deepStrictEqual(errors, [
+    { category: 'alerts' },
+    { category: 'signals', maxItems: -1 },
+    { category: 'signals', maxAge: 'hour' }
+  ])
+
+  // The valid overrides are applied
+  const sender = createSender()
+  sender.fail()
+  app.outbox.register('ready', sender)
+  await app.outbox.send('ready', { ready: true })
+  assert.strictEqual(app.outbox.getStats().ready.pending, 0)
+})
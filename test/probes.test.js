@@ -0,0 +1,283 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { randomUUID } from 'node:crypto'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { request } from 'undici'
+import { setUpEnvironment, startICC } from './helper.js'
+import { start } from '../index.js'
+import adminPlugin from '../plugins/admin.js'
+import probesPlugin from '../plugins/probes.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+async function createProbesApp (t, env = {}, overrides = {}) {
+  const workers = {
+    'service-1:0': { application: 'service-1', worker: 0, status: 'started' },
+    'service-1:1': { application: 'service-1', worker: 1, status: 'started' }
+  }
+
+  const app = {
+    log: { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} },
+    env: {
+      PLT_ICC_URL: 'http://127.0.0.1:3000',
+      PLT_ADMIN_PORT: 0,
+      PLT_ADMIN_HOSTNAME: '127.0.0.1',
+      PLT_READINESS_CHECKS: 'runtime,icc,workers',
+      ...env
+    },
+    watt: { runtime: { getWorkers: async () => workers } },
+    workers,
+    isICCInitialized: () => true,
+    isShuttingDown: () => false,
+    ...overrides
+  }
+
+  await adminPlugin(app)
+  await probesPlugin(app)
+  await app.setupAdmin()
+  t.after(() => app.closeAdmin())
+
+  return app
+}
+
+async function probe (app, path) {
+  const { statusCode, body } = await request(`${app.adminUrl}${path}`)
+  return { statusCode, data: await body.json() }
+}
+
+test('liveness probe does not require the admin token', async (t) => {
+  const app = await createProbesApp(t)
+
+  const { statusCode, data } = await probe(app, '/live')
+  assert.strictEqual(statusCode, 200)
+  assert.deepStrictEqual(data, { status: 'ok' })
+})
+
+test('readiness probe reports the enabled checks', async (t) => {
+  const app = await createProbesApp(t)
+
+  const { statusCode, data } = await probe(app, '/ready')
+  assert.strictEqual(statusCode, 200)
+  assert.deepStrictEqual(data, {
+    ready: true,
+    shuttingDown: false,
+    checks: { runtime: true, icc: true, workers: true }
+  })
+})
+
+test('readiness probe fails until ICC is initialized', async (t) => {
+  let iccInitialized = false
+  const app = await createProbesApp(t, {}, { isICCInitialized: () => iccInitialized })
+
+  {
+    const { statusCode, data } = await probe(app, '/ready')
+    assert.strictEqual(statusCode, 503)
+    assert.strictEqual(data.ready, false)
+    assert.strictEqual(data.checks.icc, false)
+  }
+
+  iccInitialized = true
+
+  {
+    const { statusCode, data } = await probe(app, '/ready')
+    assert.strictEqual(statusCode, 200)
+    assert.strictEqual(data.ready, true)
+  }
+})
+
+test('readiness probe skips the ICC checks in standalone mode', async (t) => {
+  const app = await createProbesApp(t, {
+    PLT_ICC_URL: undefined,
+    PLT_READINESS_CHECKS: 'icc,updates'
+  }, {
+    isICCInitialized: () => false,
+    getUpdatesState: () => ({ connected: false })
+  })
+
+  const { statusCode, data } = await probe(app, '/ready')
+  assert.strictEqual(statusCode, 200)
+  assert.deepStrictEqual(data.checks, { icc: true, updates: true })
+})
+
+test('readiness probe fails when the runtime is not started or workers are not started', async (t) => {
+  {
+    const app = await createProbesApp(t, {}, { watt: { runtime: null } })
+    const { statusCode, data } = await probe(app, '/ready')
+    assert.strictEqual(statusCode, 503)
+    assert.deepStrictEqual(data.checks, { runtime: false, icc: true, workers: false })
+  }
+
+  {
+    const app = await createProbesApp(t)
+    app.workers['service-1:1'].status = 'starting'
+    const { statusCode, data } = await probe(app, '/ready')
+    assert.strictEqual(statusCode, 503)
+    assert.deepStrictEqual(data.checks, { runtime: true, icc: true, workers: false })
+  }
+})
+
+test('readiness probe checks the updates connection and the alerts grace period', async (t) => {
+  let connected = false
+  const workersInGracePeriod = new Set(['service-1:1'])
+  const app = await createProbesApp(t, { PLT_READINESS_CHECKS: 'updates, grace' }, {
+    getUpdatesState: () => ({ connected }),
+    isWorkerInGracePeriod: (workerId) => workersInGracePeriod.has(workerId)
+  })
+
+  {
+    const { statusCode, data } = await probe(app, '/ready')
+    assert.strictEqual(statusCode, 503)
+    assert.deepStrictEqual(data.checks, { updates: false, grace: false })
+  }
+
+  connected = true
+  workersInGracePeriod.clear()
+
+  {
+    const { statusCode, data } = await probe(app, '/ready')
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data.checks, { updates: true, grace: true })
+  }
+})
+
+test('readiness probe keeps a non-compliant application out of the traffic', async (t) => {
+  let report = null
+  const app = await createProbesApp(t, { PLT_COMPLIANCE_ENFORCEMENT: 'block-traffic' }, {
+    getComplianceReport: () => report
+  })
+
+  {
+    const { statusCode, data } = await probe(app, '/ready')
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(data.checks, { runtime: true, icc: true, workers: true, compliance: true })
+  }
+
+  report = { compliant: false, rules: [] }
+
+  {
+    const { statusCode, data } = await probe(app, '/ready')
+    assert.strictEqual(statusCode, 503)
+    assert.strictEqual(data.checks.compliance, false)
+  }
+})
+
+test('block-traffic requires the readiness probe to be served', async () => {
+  const warnings = []
+  const app = {
+    log: { info: () => {}, error: () => {}, warn: (...args) => warnings.push(args), debug: () => {} },
+    env: { PLT_COMPLIANCE_ENFORCEMENT: 'block-traffic' },
+    addAdminRoute: () => {}
+  }
+
+  await assert.rejects(probesPlugin(app), { code: 'PLT_READINESS_PROBE_MISSING_ERROR' })
+
+  // The admin API on a loopback address cannot be reached by the orchestrator
+  app.env.PLT_ADMIN_PORT = 9091
+  app.env.PLT_ADMIN_HOSTNAME = '127.0.0.1'
+  await probesPlugin(app)
+  assert.strictEqual(warnings.length, 1)
+
+  app.env.PLT_PROBES_PORT = 9092
+  await probesPlugin(app)
+  assert.strictEqual(warnings.length, 1)
+})
+
+test('readiness probe fails while shutting down', async (t) => {
+  const app = await createProbesApp(t, {}, { isShuttingDown: () => true })
+
+  const { statusCode, data } = await probe(app, '/ready')
+  assert.strictEqual(statusCode, 503)
+  assert.strictEqual(data.ready, false)
+  assert.strictEqual(data.shuttingDown, true)
+})
+
+test('readiness probe reports a failing check as not ready', async (t) => {
+  const app = await createProbesApp(t, { PLT_READINESS_CHECKS: 'workers' }, {
+    watt: { runtime: { getWorkers: async () => { throw new Error('boom') } } }
+  })
+
+  const { statusCode, data } = await probe(app, '/ready')
+  assert.strictEqual(statusCode, 503)
+  assert.deepStrictEqual(data.checks, { workers: false })
+})
+
+test('probes are served on their own port without the admin API', async (t) => {
+  const app = await createProbesApp(t, { PLT_PROBES_PORT: 0, PLT_PROBES_HOSTNAME: '127.0.0.1' })
+  await app.setupProbes()
+  t.after(() => app.closeProbes())
+
+  assert.notStrictEqual(app.probesUrl, app.adminUrl)
+
+  {
+    const { statusCode, body } = await request(`${app.probesUrl}/live`)
+    assert.strictEqual(statusCode, 200)
+    assert.deepStrictEqual(await body.json(), { status: 'ok' })
+  }
+
+  {
+    const { statusCode, body } = await request(`${app.probesUrl}/ready`)
+    assert.strictEqual(statusCode, 200)
+    assert.strictEqual((await body.json()).ready, true)
+  }
+
+  {
+    const { statusCode, body } = await request(`${app.probesUrl}/instance`)
+    assert.strictEqual(statusCode, 404)
+    await body.dump()
+  }
+})
+
+test('probes are not served on their own port when PLT_PROBES_PORT is not set', async (t) => {
+  const app = await createProbesApp(t)
+  await app.setupProbes()
+  t.after(() => app.closeProbes())
+
+  assert.strictEqual(app.probesUrl, undefined)
+})
+
+test('probes plugin rejects unknown readiness checks', async () => {
+  const app = {
+    log: { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} },
+    env: { PLT_READINESS_CHECKS: 'runtime,database' },
+    addAdminRoute: () => {}
+  }
+
+  await assert.rejects(probesPlugin(app), {
+    code: 'PLT_READINESS_CHECK_ERROR',
+    message: 'Unknown readiness check "database", supported checks are: runtime, icc, updates, workers, grace, compliance'
+  })
+})
+
+test('instance is ready once started and integrated with ICC', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const icc = await startICC(t, { applicationId, applicationName })
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000',
+    PLT_ADMIN_PORT: '0',
+    PLT_READINESS_CHECKS: 'runtime,icc,updates,workers'
+  })
+
+  const app = await start()
+  t.after(async () => {
+    await app.close()
+    await icc.close()
+    delete process.env.PLT_ADMIN_PORT
+    delete process.env.PLT_READINESS_CHECKS
+  })
+
+  const { statusCode, data } = await probe(app, '/ready')
+  assert.strictEqual(statusCode, 200)
+  assert.deepStrictEqual(data, {
+    ready: true,
+    shuttingDown: false,
+    checks: { runtime: true, icc: true, updates: true, workers: true }
+  })
+})
@@ -0,0 +1,103 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { mkdtemp, readdir, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { ProfileStore } from '../lib/profile-store.js'
+
+const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} }
+
+async function createStore (t, options = {}) {
+  const dir = await mkdtemp(join(tmpdir(), 'watt-extra-profiles-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+
+  return new ProfileStore({
+    dir,
+    maxCount: 10,
+    maxSize: 1024,
+    maxAge: 60000,
+    logger,
+    ...options
+  })
+}
+
+test('profile store saves profiles with their metadata', async (t) => {
+  const store = await createStore(t)
+  const timestamp = Date.now()
+
+  const entry = await store.save(new Uint8Array([1, 2, 3]), {
+    serviceId: 'service-1',
+    workerId: 'service-1:0',
+    type: 'cpu',
+    alertId: 'alert-1',
+    timestamp
+  })
+
+  assert.deepStrictEqual(await store.list(), [entry])
+  assert.deepStrictEqual(await store.listPending(), [entry])
+  assert.deepStrictEqual(await store.read(entry.id), new Uint8Array([1, 2, 3]))
+  assert.strictEqual(entry.size, 3)
+  assert.strictEqual(entry.uploaded, false)
+
+  await store.markUploaded(entry.id, 'flamegraph-1')
+
+  const [uploaded] = await store.list()
+  assert.strictEqual(uploaded.uploaded, true)
+  assert.strictEqual(uploaded.flamegraphId, 'flamegraph-1')
+  assert.deepStrictEqual(await store.listPending(), [])
+})
+
+test('profile store does not store the same profile twice', async (t) => {
+  const store = await createStore(t)
+  const metadata = { serviceId: 'service-1', workerId: 'service-1:0', type: 'cpu', timestamp: Date.now() }
+
+  const first = await store.save(new Uint8Array([1]), metadata)
+  const second = await store.save(new Uint8Array([1]), metadata)
+
+  assert.strictEqual(second.id, first.id)
+  assert.strictEqual((await store.list()).length, 1)
+})
+
+test('profile store removes the oldest profiles over the count and size limits', async (t) => {
+  const store = await createStore(t, { maxCount: 2, maxSize: 10 })
+  const now = Date.now()
+
+  const save = (size, offset) => store.save(new Uint8Array(size), {
+    serviceId: 'service-1',
+    workerId: 'service-1:0',
+    type: 'cpu',
+    timestamp: now + offset
+  })
+
+  await save(4, 0)
+  const second = await save(4, 1)
+  const third = await save(4, 2)
+
+  // Count limit
+  assert.deepStrictEqual((await store.list()).map(entry => entry.id), [second.id, third.id])
+
+  // Size limit
+  const fourth = await save(8, 3)
+  assert.deepStrictEqual((await store.list()).map(entry => entry.id), [fourth.id])
+
+  // Only the files of the kept profile remain on disk
+  assert.deepStrictEqual((await readdir(store.dir)).sort(), [`${fourth.id}.json`, `${fourth.id}.pprof`])
+})
+
+test('profile store removes the profiles older than the max age', async (t) => {
+  const store = await createStore(t, { maxAge: 1000 })
+  const now = Date.now()
+
+  await store.save(new Uint8Array(1), { serviceId: 'service-1', workerId: 'service-1:0', type: 'cpu', timestamp: now - 5000 })
+  const recent = await store.save(new Uint8Array(1), { serviceId: 'service-1', workerId: 'service-1:0', type: 'heap', timestamp: now })
+
+  assert.deepStrictEqual((await store.list()).map(entry => entry.id), [recent.id])
+})
+
+test('profile store returns empty results when the directory does not exist', async (t) => {
+  const store = await createStore(t)
+  await rm(store.dir, { recursive: true })
+
+  assert.deepStrictEqual(await store.list(), [])
+  assert.strictEqual(await store.read('missing'), null)
+})
@@ -0,0 +1,127 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { computeBackoff, isServerErrorResponse, CircuitBreaker } from '../lib/retry.js'
+import circuitBreakersPlugin from '../plugins/circuit-breakers.js'
+
+const logger = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} }
+
+function createBreaker (options = {}) {
+  return new CircuitBreaker({
+    name: 'scaler',
+    failureThreshold: 2,
+    resetTimeout: 100,
+    logger,
+    ...options
+  })
+}
+
+const fail = async () => { throw new Error('ICC unavailable') }
+const succeed = async () => 'ok'
+
+test('computeBackoff picks a random delay up to the exponential cap', () => {
+  const options = { baseDelay: 100, maxDelay: 1000 }
+
+  assert.strictEqual(computeBackoff(0, { ...options, random: () => 1 }), 100)
+  assert.strictEqual(computeBackoff(2, { ...options, random: () => 1 }), 400)
+  assert.strictEqual(computeBackoff(2, { ...options, random: () => 0.5 }), 200)
+  assert.strictEqual(computeBackoff(2, { ...options, random: () => 0 }), 0)
+
+  // Capped at maxDelay
+  assert.strictEqual(computeBackoff(10, { ...options, random: () => 1 }), 1000)
+
+  for (let i = 0; i < 100; i++) {
+    const delay = computeBackoff(3, options)
+    assert.ok(delay >= 0 && delay <= 800)
+  }
+})
+
+test('isServerErrorResponse detects server errors', () => {
+  assert.strictEqual(isServerErrorResponse({ statusCode: 503 }), true)
+  assert.strictEqual(isServerErrorResponse({ statusCode: 404 }), false)
+  assert.strictEqual(isServerErrorResponse({ statusCode: 200 }), false)
+  assert.strictEqual(isServerErrorResponse(undefined), false)
+})
+
+test('circuit breaker opens after consecutive failures', async () => {
+  const breaker = createBreaker()
+
+  await assert.rejects(breaker.execute(fail), /ICC unavailable/)
+  assert.strictEqual(breaker.state, 'closed')
+
+  // A success resets the failures count
+  assert.strictEqual(await breaker.execute(succeed), 'ok')
+  await assert.rejects(breaker.execute(fail), /ICC unavailable/)
+  assert.strictEqual(breaker.state, 'closed')
+
+  await assert.rejects(breaker.execute(fail), /ICC unavailable/)
+  assert.strictEqual(breaker.state, 'open')
+
+  let called = false
+  await assert.rejects(
+    breaker.execute(async () => { called = true }),
+    { code: 'PLT_CIRCUIT_OPEN_ERROR', statusCode: 503 }
+  )
+  assert.strictEqual(called, false, 'should not call the service while open')
+})
+
+test('circuit breaker lets a single trial call through when half-open', async () => {
+  const breaker = createBreaker({ failureThreshold: 1 })
+
+  await assert.rejects(breaker.execute(fail))
+  assert.strictEqual(breaker.state, 'open')
+
+  await sleep(150)
+  assert.strictEqual(breaker.state, 'half-open')
+
+  // A failed trial opens the circuit again
+  await assert.rejects(breaker.execute(fail), /ICC unavailable/)
+  assert.strictEqual(breaker.state, 'open')
+
+  await sleep(150)
+
+  let resolveTrial
+  const trial = breaker.execute(() => new Promise(resolve => { resolveTrial = resolve }))
+  await assert.rejects(breaker.execute(succeed), { code: 'PLT_CIRCUIT_OPEN_ERROR' })
+
+  resolveTrial('ok')
+  assert.strictEqual(await trial, 'ok')
+  assert.strictEqual(breaker.state, 'closed')
+  assert.deepStrictEqual(breaker.getInfo(), { state: 'closed', failures: 0, openedAt: null })
+})
+
+test('circuit breaker does not count client errors as failures', async () => {
+  const breaker = createBreaker({ failureThreshold: 1 })
+
+  const clientError = new Error('Bad request')
+  clientError.statusCode = 400
+  await assert.rejects(breaker.execute(async () => { throw clientError }), /Bad request/)
+  assert.strictEqual(breaker.state, 'closed')
+
+  // Responses are checked with isFailedResult
+  const isFailedResult = isServerErrorResponse
+  assert.deepStrictEqual(await breaker.execute(async () => ({ statusCode: 404 }), { isFailedResult }), { statusCode: 404 })
+  assert.strictEqual(breaker.state, 'closed')
+
+  assert.deepStrictEqual(await breaker.execute(async () => ({ statusCode: 502 }), { isFailedResult }), { statusCode: 502 })
+  assert.strictEqual(breaker.state, 'open')
+})
+
+test('circuit breakers plugin keeps a breaker per ICC service', async () => {
+  const app = {
+    log: logger,
+    env: {
+      PLT_ICC_CIRCUIT_BREAKER_THRESHOLD: 1,
+      PLT_ICC_CIRCUIT_BREAKER_RESET_SEC: 30
+    }
+  }
+  await circuitBreakersPlugin(app)
+
+  await assert.rejects(app.callICC('scaler', fail))
+  assert.strictEqual(await app.callICC('control-plane', succeed), 'ok')
+
+  const info = app.getCircuitBreakersInfo()
+  assert.deepStrictEqual(Object.keys(info), ['control-plane', 'scaler', 'compliance', 'cron'])
+  assert.strictEqual(info.scaler.state, 'open')
+  assert.strictEqual(info['control-plane'].state, 'closed')
+})
@@ -0,0 +1,102 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { CommandRegistry } from '../lib/commands.js'
+import runtimeCommandsPlugin from '../plugins/runtime-commands.js'
+
+function createMockApp (runtime) {
+  const log = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} }
+  return {
+    log,
+    commands: new CommandRegistry({ logger: log }),
+    watt: { runtime }
+  }
+}
+
+function createMockRuntime (calls) {
+  return {
+    getApplications: async () => ({ applications: [{ id: 'service-1' }, { id: 'service-2' }] }),
+    restart: async () => { calls.push('restart') },
+    restartApplication: async (id) => { calls.push({ restartApplication: id }) },
+    updateApplicationsResources: async (updates) => {
+      calls.push({ updateApplicationsResources: updates })
+      return [{ application: updates[0].application, workers: { current: 1, new: updates[0].workers, success: true } }]
+    }
+  }
+}
+
+test('runtime commands restart the runtime and single applications', async () => {
+  const calls = []
+  const app = createMockApp(createMockRuntime(calls))
+  await runtimeCommandsPlugin(app)
+
+  assert.deepStrictEqual(await app.commands.dispatch({ command: 'restart-runtime', requestId: 'req-1' }), {
+    requestId: 'req-1',
+    success: true,
+    result: { restarted: ['service-1', 'service-2'] }
+  })
+
+  assert.deepStrictEqual(
+    await app.commands.dispatch({ command: 'restart-application', requestId: 'req-2', params: { application: 'service-1' } }),
+    { requestId: 'req-2', success: true, result: { restarted: ['service-1'] } }
+  )
+
+  assert.deepStrictEqual(calls, ['restart', { restartApplication: 'service-1' }])
+})
+
+test('runtime commands scale the workers of an application', async () => {
+  const calls = []
+  const app = createMockApp(createMockRuntime(calls))
+  await runtimeCommandsPlugin(app)
+
+  const reply = await app.commands.dispatch({
+    command: 'scale-application',
+    requestId: 'req-3',
+    params: { application: 'service-1', workers: 3 }
+  })
+
+  assert.deepStrictEqual(reply, {
+    requestId: 'req-3',
+    success: true,
+    result: { success: true, application: 'service-1', workers: { current: 1, new: 3, success: true } }
+  })
+  assert.deepStrictEqual(calls, [{ updateApplicationsResources: [{ application: 'service-1', workers: 3 }] }])
+})
+
+test('runtime commands report invalid params and runtime errors', async () => {
+  const calls = []
+  const runtime = createMockRuntime(calls)
+  runtime.restartApplication = async (id) => {
+    throw new Error(`Application ${id} not found`)
+  }
+  const app = createMockApp(runtime)
+  await runtimeCommandsPlugin(app)
+
+  {
+    const reply = await app.commands.dispatch({ command: 'scale-application', requestId: 'req-4', params: { application: 'service-1', workers: 0 } })
+    assert.strictEqual(reply.success, false)
+    assert.strictEqual(reply.error.code, 'PLT_INVALID_COMMAND_PARAMS_ERROR')
+  }
+
+  {
+    const reply = await app.commands.dispatch({ command: 'restart-application', requestId: 'req-5', params: {} })
+    assert.strictEqual(reply.success, false)
+    assert.strictEqual(reply.error.code, 'PLT_INVALID_COMMAND_PARAMS_ERROR')
+  }
+
+  {
+    const reply = await app.commands.dispatch({ command: 'restart-application', requestId: 'req-6', params: { application: 'missing' } })
+    assert.strictEqual(reply.success, false)
+    assert.strictEqual(reply.error.message, 'Application missing not found')
+  }
+
+  assert.deepStrictEqual(calls, [])
+})
+
+test('runtime commands fail when the runtime is not started', async () => {
+  const app = createMockApp(null)
+  await runtimeCommandsPlugin(app)
+
+  const reply = await app.commands.dispatch({ command: 'restart-runtime', requestId: 'req-7' })
+  assert.strictEqual(reply.success, false)
+  assert.strictEqual(reply.error.code, 'PLT_COMMAND_RUNTIME_NOT_STARTED_ERROR')
+})
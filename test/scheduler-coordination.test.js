@@ -10,6 +10,7 @@ import { start } from '../index.js'
 import Watt from '../lib/watt.js'
 import schedulerPlugin from '../plugins/scheduler.js'
 import updatePlugin from '../plugins/update.js'
+import { CommandRegistry } from '../lib/commands.js'
 
 import {
   setUpEnvironment,
@@ -130,8 +131,10 @@ test('ICC coordination: should disable local jobs regardless of scheduler mode',
 })
 
 function createMockApp (port) {
+  const log = { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} }
   return {
-    log: { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} },
+    log,
+    commands: new CommandRegistry({ logger: log }),
     instanceConfig: {
       applicationId: 'test-application-id',
       scheduler: { mode: 'external' }
@@ -139,6 +142,7 @@ function createMockApp (port) {
     instanceId: 'test-pod-123',
     getRuntimeId: () => 'test-runtime-id',
     getAuthorizationHeaders: async () => ({ Authorization: 'Bearer test-token' }),
+    callICC: (_service, fn) => fn(),
     env: {
       PLT_ICC_URL: `http://localhost:${port}`,
       PLT_UPDATES_RECONNECT_INTERVAL_SEC: 1
@@ -357,6 +361,68 @@ test('run-scheduled-job: should fail on non-2xx callback responses', async (t) =
   )
 })
 
+test('pause-scheduled-job: should skip the ticks of the job until it is resumed', async (t) => {
+  const app = createMockApp(0)
+
+  const executed = []
+  app.watt.runtime.getScheduler = async () => ([
+    { name: 'cleanup', cron: '0 * * * *', source: 'config', paused: true }
+  ])
+  app.watt.runtime.runSchedulerJob = async (name) => {
+    executed.push(name)
+    return { name, success: true }
+  }
+
+  await schedulerPlugin(app)
+
+  const pauseReply = await app.commands.dispatch({
+    command: 'pause-scheduled-job',
+    requestId: 'pause-1',
+    params: { name: 'cleanup' }
+  })
+  assert.deepStrictEqual(pauseReply, { requestId: 'pause-1', success: true, result: { name: 'cleanup', paused: true } })
+  assert.deepStrictEqual(app.getPausedScheduledJobs(), ['cleanup'])
+
+  const skippedReply = await app.commands.dispatch({
+    command: 'run-scheduled-job',
+    requestId: 'run-1',
+    params: { name: 'cleanup' }
+  })
+  assert.deepStrictEqual(skippedReply, {
+    requestId: 'run-1',
+    success: true,
+    result: { name: 'cleanup', skipped: true, reason: 'paused' }
+  })
+  assert.deepStrictEqual(executed, [])
+
+  await app.commands.dispatch({ command: 'resume-scheduled-job', params: { name: 'cleanup' } })
+  assert.deepStrictEqual(app.getPausedScheduledJobs(), [])
+
+  const runReply = await app.commands.dispatch({
+    command: 'run-scheduled-job',
+    requestId: 'run-2',
+    params: { name: 'cleanup' }
+  })
+  assert.strictEqual(runReply.success, true)
+  assert.deepStrictEqual(executed, ['cleanup'])
+})
+
+test('pause-scheduled-job: should reject unknown jobs', async (t) => {
+  const app = createMockApp(0)
+  app.watt.runtime.getScheduler = async () => ([])
+
+  await schedulerPlugin(app)
+
+  const reply = await app.commands.dispatch({
+    command: 'pause-scheduled-job',
+    requestId: 'pause-2',
+    params: { name: 'missing' }
+  })
+  assert.strictEqual(reply.success, false)
+  assert.strictEqual(reply.error.code, 'PLT_SCHEDULED_JOB_NOT_FOUND_ERROR')
+  assert.deepStrictEqual(app.getPausedScheduledJobs(), [])
+})
+
 test('collectSchedulerJobs: should use the runtime scheduler status when available', async (t) => {
   const app = createMockApp(0)
 
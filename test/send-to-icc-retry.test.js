@@ -41,6 +41,9 @@ test('should retry sending info to ICC with exponential backoff', async (t) => {
   const app = await buildApp(logger)
   t.after(async () => closeResources(app))
 
+  // Take the upper bound of the jittered backoff
+  t.mock.method(Math, 'random', () => 1)
+
   // Mock failure for the first 2 calls, then succeed
   let callCount = 0
   const retryTimes = []
@@ -64,6 +67,7 @@ test('should retry sending info to ICC with exponential backoff', async (t) => {
   await app.sendToICCWithRetry()
   assert.strictEqual(callCount, 3, 'ICC should be called 3 times (1 initial + 2 retries)')
   assert.ok(retryTimes[0] >= retryInterval, 'First retry should wait at least the base retry interval')
+  assert.ok(retryTimes[0] < retryInterval * 4, 'First retry should be based on PLT_ICC_RETRY_TIME')
   assert.ok(retryTimes[1] > retryTimes[0], 'Second retry should have longer delay due to exponential backoff')
 })
 
@@ -81,6 +85,10 @@ test('should continue retrying until success within max attempts', async (t) =>
 
   const app = await buildApp(logger)
   t.after(async () => closeResources(app))
+
+  // Take the upper bound of the jittered backoff
+  t.mock.method(Math, 'random', () => 1)
+
   let callCount = 0
   const succeedAfter = 5 // Succeed after 5 attempts
 
@@ -136,3 +144,35 @@ test('should not retry if first attempt succeeds', async (t) => {
   await app.sendToICCWithRetry()
   assert.strictEqual(callCount, 1, 'ICC should be called only once')
 })
+
+test('should spread the retries with jitter', async (t) => {
+  const applicationName = 'test-app'
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000'
+  })
+
+  const app = await buildApp(logger)
+  t.after(async () => closeResources(app))
+
+  // The lower bound of the jittered backoff is no delay at all
+  t.mock.method(Math, 'random', () => 0)
+
+  let callCount = 0
+  app.sendToICC = () => {
+    callCount++
+    if (callCount <= 5) {
+      throw new Error('Mock ICC connection failure')
+    }
+    return true
+  }
+
+  const start = Date.now()
+  await app.sendToICCWithRetry()
+
+  assert.strictEqual(callCount, 6)
+  assert.ok(Date.now() - start < 1000, 'Retries should not wait the full backoff')
+})
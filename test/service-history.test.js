@@ -0,0 +1,44 @@
+import { test } from 'node:test'
+import { deepEqual, equal } from 'node:assert'
+import { RingBuffer, ServiceHistory } from '../lib/service-history.js'
+
+test('RingBuffer keeps the last items in order', async () => {
+  const buffer = new RingBuffer(3)
+  deepEqual(buffer.last(), [])
+
+  buffer.push(1)
+  buffer.push(2)
+  deepEqual(buffer.last(), [1, 2])
+
+  buffer.push(3)
+  buffer.push(4)
+  buffer.push(5)
+  equal(buffer.size, 3)
+  deepEqual(buffer.last(), [3, 4, 5])
+  deepEqual(buffer.last(2), [4, 5])
+  deepEqual(buffer.last(10), [3, 4, 5])
+})
+
+test('RingBuffer with no capacity keeps nothing', async () => {
+  const buffer = new RingBuffer(0)
+  buffer.push(1)
+  deepEqual(buffer.last(), [])
+})
+
+test('ServiceHistory keeps the logs and events of each service', async () => {
+  const history = new ServiceHistory({ maxLogs: 2, maxEvents: 1, maxLineLength: 10 })
+
+  history.addLog('service-1', 'line 1')
+  history.addLog('service-1', 'line 2')
+  history.addLog('service-1', 'a very long line')
+  history.addLog('service-2', 'line 1')
+  history.addEvent('service-1', { event: 'started', worker: 0 })
+  history.addEvent('service-1', { event: 'exited', worker: 0 })
+
+  deepEqual(history.getExcerpt('service-1'), {
+    logs: ['line 2', 'a very lon...'],
+    events: [{ event: 'exited', worker: 0 }]
+  })
+  deepEqual(history.getExcerpt('service-2'), { logs: ['line 1'], events: [] })
+  deepEqual(history.getExcerpt('unknown'), { logs: [], events: [] })
+})
@@ -0,0 +1,150 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { setTimeout as sleep } from 'node:timers/promises'
+import shutdownPlugin from '../plugins/shutdown.js'
+
+function createMockApp (env = {}) {
+  const calls = []
+  const app = {
+    log: { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} },
+    env: {
+      PLT_SHUTDOWN_DRAIN_PERIOD_SEC: 0,
+      PLT_SHUTDOWN_TIMEOUT_SEC: 1,
+      ...env
+    },
+    reportStatus: async (status) => { calls.push(`status:${status}`) },
+    flushHealthSignals: async () => { calls.push('flushHealthSignals') },
+    flushAlerts: async () => { calls.push('flushAlerts') },
+    close: async () => {
+      app.removeShutdownHandlers()
+      calls.push('close')
+    },
+    calls
+  }
+  return app
+}
+
+test('shutdown drains, flushes and closes the instance in order', async () => {
+  const app = createMockApp({ PLT_SHUTDOWN_DRAIN_PERIOD_SEC: 0.2 })
+  await shutdownPlugin(app)
+
+  assert.strictEqual(app.isShuttingDown(), false)
+
+  const start = Date.now()
+  const promise = app.shutdown('SIGTERM')
+  assert.strictEqual(app.isShuttingDown(), true)
+  // Subsequent calls reuse the same shutdown
+  assert.strictEqual(app.shutdown('SIGTERM'), promise)
+  await promise
+
+  assert.ok(Date.now() - start >= 200, 'should wait for the grace delay')
+  assert.deepStrictEqual(app.calls, [
+    'status:draining',
+    'flushHealthSignals',
+    'flushAlerts',
+    'close'
+  ])
+})
+
+test('shutdown closes the instance even if flushing fails', async () => {
+  const app = createMockApp()
+  const warnings = []
+  app.log.warn = (data, msg) => warnings.push(msg)
+  app.flushAlerts = async () => { throw new Error('boom') }
+  await shutdownPlugin(app)
+
+  await app.shutdown('SIGTERM')
+
+  assert.deepStrictEqual(app.calls, ['status:draining', 'flushHealthSignals', 'close'])
+  assert.deepStrictEqual(warnings, ['Failed to flush pending data before shutdown'])
+})
+
+test('shutdown signal handler exits after closing the instance', async (t) => {
+  const app = createMockApp()
+  await shutdownPlugin(app)
+
+  const exitCodes = []
+  t.mock.method(process, 'exit', (code) => { exitCodes.push(code) })
+
+  const listenersCount = process.listenerCount('SIGTERM')
+  app.setupShutdown()
+  // Calling it twice does not register the handlers twice
+  app.setupShutdown()
+  assert.strictEqual(process.listenerCount('SIGTERM'), listenersCount + 1)
+  assert.strictEqual(process.listenerCount('SIGINT') > 0, true)
+
+  process.emit('SIGTERM', 'SIGTERM')
+  await app.shutdown()
+
+  await sleep(10)
+  assert.deepStrictEqual(exitCodes, [0])
+  assert.strictEqual(process.listenerCount('SIGTERM'), listenersCount)
+})
+
+test('shutdown signal handler forces exit after the timeout', async (t) => {
+  const app = createMockApp({ PLT_SHUTDOWN_TIMEOUT_SEC: 0.1 })
+  app.close = () => new Promise(() => {})
+  await shutdownPlugin(app)
+
+  const exitCodes = []
+  t.mock.method(process, 'exit', (code) => { exitCodes.push(code) })
+
+  app.setupShutdown()
+  t.after(() => app.removeShutdownHandlers())
+
+  process.emit('SIGTERM', 'SIGTERM')
+  await sleep(200)
+
+  assert.deepStrictEqual(exitCodes, [1])
+})
+
+test('shutdown signal handler forces exit on a second signal', async (t) => {
+  const app = createMockApp({ PLT_SHUTDOWN_TIMEOUT_SEC: 0.1 })
+  app.close = () => new Promise(() => {})
+  await shutdownPlugin(app)
+
+  const exitCodes = []
+  t.mock.method(process, 'exit', (code) => { exitCodes.push(code) })
+
+  app.setupShutdown()
+  t.after(() => app.removeShutdownHandlers())
+
+  process.emit('SIGINT', 'SIGINT')
+  await sleep(10)
+  process.emit('SIGINT', 'SIGINT')
+  assert.deepStrictEqual(exitCodes, [1])
+
+  // Let the force exit timer of the first signal expire while exit is mocked
+  await sleep(200)
+})
+
+test('shutdown handler closes the instance and exits with an error on uncaught errors', async (t) => {
+  const app = createMockApp()
+  const errors = []
+  app.log.error = (data, msg) => errors.push({ event: data.event, message: data.err?.message, msg })
+  await shutdownPlugin(app)
+
+  const exitCodes = []
+  t.mock.method(process, 'exit', (code) => { exitCodes.push(code) })
+
+  app.setupShutdown()
+  t.after(() => app.removeShutdownHandlers())
+
+  // Emitting the events would also reach the handlers of the test runner
+  const [onRejection] = process.listeners('unhandledRejection').slice(-1)
+  const [onException] = process.listeners('uncaughtException').slice(-1)
+
+  onRejection(new Error('rejected'))
+  await app.shutdown()
+  await sleep(10)
+  assert.deepStrictEqual(app.calls, ['status:draining', 'flushHealthSignals', 'flushAlerts', 'close'])
+  assert.deepStrictEqual(exitCodes, [1])
+
+  // An error during the shutdown forces the exit
+  onException(new Error('thrown'))
+  assert.deepStrictEqual(exitCodes, [1, 1])
+  assert.deepStrictEqual(errors, [
+    { event: 'unhandledRejection', message: 'rejected', msg: 'Unexpected error, shutting down' },
+    { event: 'uncaughtException', message: 'thrown', msg: 'Unexpected error, shutting down' }
+  ])
+})
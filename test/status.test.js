@@ -0,0 +1,162 @@
+import assert from 'node:assert'
+import { test } from 'node:test'
+import { randomUUID } from 'node:crypto'
+import { join, dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { EventEmitter } from 'node:events'
+import { setUpEnvironment, startICC } from './helper.js'
+import { start } from '../index.js'
+import statusPlugin from '../plugins/status.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+function createMockApp (env = {}, overrides = {}) {
+  const runtime = new EventEmitter()
+  runtime.workers = {
+    'service-1:0': { application: 'service-1', worker: 0, status: 'started' },
+    'service-1:1': { application: 'service-1', worker: 1, status: 'started' }
+  }
+  runtime.getWorkers = async () => runtime.workers
+
+  return {
+    log: { info: () => {}, error: () => {}, warn: () => {}, debug: () => {} },
+    env: {
+      PLT_ICC_URL: 'http://127.0.0.1:3000',
+      PLT_CONTROL_PLANE_URL: 'http://127.0.0.1:3000/control-plane',
+      ...env
+    },
+    instanceId: 'test-pod-123',
+    instanceConfig: { applicationId: 'test-application-id' },
+    getAuthorizationHeaders: async () => ({ authorization: 'Bearer test-token' }),
+    callICC: (_service, fn) => fn(),
+    watt: { runtime },
+    ...overrides
+  }
+}
+
+test('should report the runtime lifecycle status to ICC', async (t) => {
+  const applicationName = 'test-app'
+  const applicationId = randomUUID()
+  const applicationPath = join(__dirname, 'fixtures', 'service-1')
+
+  const statuses = []
+
+  const icc = await startICC(t, {
+    applicationId,
+    applicationName,
+    saveApplicationInstanceStatus: ({ instanceId, status }) => {
+      statuses.push(status)
+    }
+  })
+  t.after(() => icc.close())
+
+  setUpEnvironment({
+    PLT_APP_NAME: applicationName,
+    PLT_APP_DIR: applicationPath,
+    PLT_ICC_URL: 'http://127.0.0.1:3000'
+  })
+
+  const app = await start()
+  await app.reportStatus('started')
+  assert.deepStrictEqual(statuses.slice(0, 2), ['starting', 'started'])
+  assert.strictEqual(app.getStatus(), 'started')
+
+  await app.close()
+  assert.deepStrictEqual(statuses.slice(-2), ['stopping', 'stopped'])
+  assert.strictEqual(app.getStatus(), 'stopped')
+})
+
+test('should report degraded on worker crash and recover when all workers are started', async (t) => {
+  const statuses = []
+  const icc = await startICC(t, {
+    saveApplicationInstanceStatus: ({ instanceId, status }) => {
+      assert.strictEqual(instanceId, 'test-pod-123')
+      statuses.push(status)
+    }
+  })
+  t.after(() => icc.close())
+
+  const app = createMockApp()
+  await statusPlugin(app)
+
+  app.setupStatus()
+  await app.reportStatus('started')
+
+  const runtime = app.watt.runtime
+  runtime.workers['service-1:1'].status = 'exited'
+  runtime.emit('application:worker:error', { application: 'service-1', worker: 1, code: 1 })
+  assert.strictEqual(app.getStatus(), 'degraded')
+
+  // Another worker is still restarting: the instance stays degraded
+  runtime.workers['service-1:0'].status = 'starting'
+  runtime.emit('application:worker:started', { application: 'service-1', worker: 1 })
+  await new Promise(resolve => setImmediate(resolve))
+  assert.strictEqual(app.getStatus(), 'degraded')
+
+  runtime.workers['service-1:0'].status = 'started'
+  runtime.workers['service-1:1'].status = 'started'
+  runtime.emit('application:worker:started', { application: 'service-1', worker: 0 })
+  await new Promise(resolve => setImmediate(resolve))
+  assert.strictEqual(app.getStatus(), 'started')
+
+  runtime.emit('restarting')
+  runtime.emit('restarted')
+  await app.reportStatus()
+
+  assert.deepStrictEqual(statuses, ['started', 'degraded', 'started', 'restarting', 'started', 'started'])
+})
+
+test('should not throw when ICC is unreachable', async () => {
+  const warnings = []
+  const app = createMockApp({ PLT_CONTROL_PLANE_URL: 'http://127.0.0.1:1/control-plane' })
+  app.log.warn = (data, msg) => warnings.push(msg)
+  await statusPlugin(app)
+
+  await app.reportStatus('starting')
+  // Reporting the same status twice is a no-op
+  await app.reportStatus('starting')
+
+  assert.strictEqual(app.getStatus(), 'starting')
+  assert.deepStrictEqual(warnings, ['Failed to report application status'])
+})
+
+test('should resend the current status after ICC recovery', async (t) => {
+  const statuses = []
+  const app = createMockApp()
+  await statusPlugin(app)
+
+  await app.reportStatus('started')
+  assert.deepStrictEqual(statuses, [])
+
+  const icc = await startICC(t, {
+    saveApplicationInstanceStatus: ({ instanceId, status }) => {
+      assert.strictEqual(instanceId, 'test-pod-123')
+      statuses.push(status)
+    }
+  })
+  t.after(() => icc.close())
+
+  await app.reportStatus()
+  assert.deepStrictEqual(statuses, ['started'])
+})
+
+test('should not send status without an application id', async () => {
+  const warnings = []
+  const app = createMockApp({}, { instanceConfig: null })
+  app.log.warn = (data, msg) => warnings.push(msg)
+  await statusPlugin(app)
+
+  await assert.rejects(app.sendStatus('started'), { code: 'PLT_STATUS_APPID_ERROR' })
+  await app.reportStatus('started')
+  assert.ok(warnings.includes('Failed to report application status'))
+})
+
+test('should skip status reporting in standalone mode', async () => {
+  const app = createMockApp({ PLT_ICC_URL: undefined })
+  await statusPlugin(app)
+
+  await app.sendStatus('started')
+  await app.reportStatus('started')
+  assert.strictEqual(app.getStatus(), 'started')
+})
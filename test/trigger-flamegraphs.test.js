@@ -6,6 +6,8 @@ import { WebSocketServer } from 'ws'
 import { setUpEnvironment } from './helper.js'
 import updatePlugin from '../plugins/update.js'
 import flamegraphsPlugin from '../plugins/flamegraphs.js'
+import { Outbox } from '../lib/outbox.js'
+import { CommandRegistry } from '../lib/commands.js'
 
 function setupMockIccServer (wss, receivedMessages, validateAuth = false) {
   let ws = null
@@ -94,6 +96,7 @@ function createMockApp (port, includeScalerUrl = true, env = {}) {
     getAuthorizationHeaders: async () => {
       return { Authorization: 'Bearer test-token' }
     },
+    callICC: (_service, fn) => fn(),
     getRuntimeId: () => {
       if (!runtimeId) {
         runtimeId = 'test-runtime-id'
@@ -114,6 +117,16 @@ function createMockApp (port, includeScalerUrl = true, env = {}) {
     watt: mockWatt
   }
 
+  app.outbox = new Outbox({
+    categories: { flamegraphs: { maxItems: 20, maxAge: 60000 } },
+    logger: app.log
+  })
+  app.commands = new CommandRegistry({ logger: app.log })
+  app.configUpdateHandlers = new Map()
+  app.onConfigUpdate = (field, handler) => {
+    app.configUpdateHandlers.set(field, handler)
+  }
+
   if (includeScalerUrl) {
     app.instanceConfig.iccServices = {
       scaler: {
@@ -1119,3 +1132,217 @@ test('sendFlamegraphs should upload preserved profiles and log the preserved fla
   )
   ok(preservedLog, 'Should log that the profile is a preserved one')
 })
+
+async function createProfilesDir (t) {
+  const { mkdtemp, rm } = await import('node:fs/promises')
+  const { tmpdir } = await import('node:os')
+  const { join } = await import('node:path')
+
+  const dir = await mkdtemp(join(tmpdir(), 'watt-extra-profiles-'))
+  t.after(() => rm(dir, { recursive: true, force: true }))
+  return dir
+}
+
+async function startMockScaler (t, httpPort, uploads, options = {}) {
+  const { createServer } = await import('node:http')
+  const server = createServer((req, res) => {
+    const body = []
+    req.on('data', chunk => body.push(chunk))
+    req.on('end', () => {
+      if (options.fail?.()) {
+        res.writeHead(500)
+        res.end('Scaler unavailable')
+        return
+      }
+      uploads.push({ url: req.url, body: Buffer.concat(body) })
+      res.writeHead(200, { 'content-type': 'application/json' })
+      res.end(JSON.stringify({ id: `flamegraph-${uploads.length}` }))
+    })
+  })
+
+  await new Promise(resolve => server.listen(httpPort, resolve))
+  t.after(() => server.close())
+}
+
+test('sendFlamegraphs should store captured profiles on disk', async (t) => {
+  setUpEnvironment()
+
+  const httpPort = port + 21
+  const profilesDir = await createProfilesDir(t)
+  const uploads = []
+  await startMockScaler(t, httpPort, uploads)
+
+  const app = createMockApp(httpPort, true, { PLT_PROFILES_DIR: profilesDir })
+  const timestamp = Date.now()
+  app.watt.runtime.getApplicationLastProfile = async () => {
+    return { profile: new Uint8Array([1, 2, 3]), timestamp, preserved: false }
+  }
+
+  await flamegraphsPlugin(app)
+  await app.sendFlamegraphs({ workerIds: ['service-1:0'], profileType: 'heap', alertId: 'alert-1' })
+
+  equal(uploads.length, 1)
+
+  const stored = await app.listStoredProfiles()
+  equal(stored.length, 1)
+  const { id, ...metadata } = stored[0]
+  ok(id)
+  deepEqual(metadata, {
+    serviceId: 'service-1',
+    workerId: 'service-1:0',
+    type: 'heap',
+    alertId: 'alert-1',
+    timestamp,
+    size: 3,
+    uploaded: true,
+    flamegraphId: 'flamegraph-1'
+  })
+})
+
+test('sendFlamegraphs should store profiles when the scaler URL is missing and upload them later', async (t) => {
+  setUpEnvironment()
+
+  const httpPort = port + 22
+  const profilesDir = await createProfilesDir(t)
+  const uploads = []
+  await startMockScaler(t, httpPort, uploads)
+
+  const app = createMockApp(httpPort, false, { PLT_PROFILES_DIR: profilesDir })
+  app.watt.runtime.getApplicationLastProfile = async (workerId) => {
+    return { profile: new Uint8Array([1, 2, 3]), timestamp: Date.now(), preserved: false }
+  }
+
+  await flamegraphsPlugin(app)
+  await app.sendFlamegraphs({ alertId: 'alert-1' })
+
+  {
+    const stored = await app.listStoredProfiles()
+    equal(stored.length, 2)
+    ok(stored.every(entry => entry.uploaded === false))
+  }
+
+  // Nothing to upload to yet
+  await app.retryStoredProfiles()
+  equal(uploads.length, 0)
+
+  app.instanceConfig.iccServices = {
+    scaler: { url: `http://localhost:${httpPort}/scaler` }
+  }
+  await app.retryStoredProfiles()
+
+  equal(uploads.length, 2)
+  ok(uploads.every(upload => upload.url.includes('alertId=alert-1')))
+  deepEqual(uploads.map(upload => upload.url.split('?')[0]).sort(), [
+    '/scaler/pods/test-pod-123/services/service-1/flamegraph',
+    '/scaler/pods/test-pod-123/services/service-2/flamegraph'
+  ])
+  deepEqual(uploads[0].body, Buffer.from([1, 2, 3]))
+
+  const stored = await app.listStoredProfiles()
+  ok(stored.every(entry => entry.uploaded === true))
+})
+
+test('sendFlamegraphs should retry failed uploads from disk', async (t) => {
+  setUpEnvironment()
+
+  const httpPort = port + 23
+  const profilesDir = await createProfilesDir(t)
+  const uploads = []
+  let scalerDown = true
+  await startMockScaler(t, httpPort, uploads, { fail: () => scalerDown })
+
+  const app = createMockApp(httpPort, true, { PLT_PROFILES_DIR: profilesDir })
+  app.watt.runtime.getApplicationLastProfile = async () => {
+    return { profile: new Uint8Array([1, 2, 3]), timestamp: Date.now(), preserved: false }
+  }
+
+  await flamegraphsPlugin(app)
+  await app.sendFlamegraphs({ workerIds: ['service-1:0'] })
+
+  equal(uploads.length, 0)
+  equal(app.getFlamegraphsCache().length, 0)
+  equal((await app.listStoredProfiles())[0].uploaded, false)
+
+  // Still failing, the profile is kept for the next round
+  await app.retryStoredProfiles()
+  equal((await app.listStoredProfiles())[0].uploaded, false)
+
+  scalerDown = false
+  await app.retryStoredProfiles()
+
+  equal(uploads.length, 1)
+  const [entry] = await app.listStoredProfiles()
+  equal(entry.uploaded, true)
+  equal(entry.flamegraphId, 'flamegraph-1')
+})
+
+test('sendFlamegraphs should queue failed uploads in the outbox when profiles are not stored', async (t) => {
+  setUpEnvironment()
+
+  const httpPort = port + 24
+  const uploads = []
+  let scalerDown = true
+  await startMockScaler(t, httpPort, uploads, { fail: () => scalerDown })
+
+  const app = createMockApp(httpPort)
+  app.watt.runtime.getApplicationLastProfile = async () => {
+    return { profile: new Uint8Array([1, 2, 3]), timestamp: Date.now(), preserved: false }
+  }
+
+  await flamegraphsPlugin(app)
+  await app.sendFlamegraphs({ workerIds: ['service-1:0'], alertId: 'alert-1' })
+
+  equal(uploads.length, 0)
+  equal(app.outbox.getStats().flamegraphs.pending, 1)
+
+  scalerDown = false
+  await app.outbox.replay()
+
+  equal(uploads.length, 1)
+  ok(uploads[0].url.startsWith('/scaler/pods/test-pod-123/services/service-1/flamegraph'))
+  ok(uploads[0].url.includes('alertId=alert-1'))
+  deepEqual(uploads[0].body, Buffer.from([1, 2, 3]))
+  equal(app.outbox.getStats().flamegraphs.pending, 0)
+})
+
+test('flamegraphs config update should restart profiling with the new options', async (t) => {
+  setUpEnvironment()
+
+  const app = createMockApp(port)
+  const calls = []
+
+  app.watt.runtime.sendCommandToApplication = async (workerFullId, command, options) => {
+    calls.push({ workerFullId, command, options })
+    return { success: true }
+  }
+
+  await flamegraphsPlugin(app)
+  await app.setupFlamegraphs()
+  t.after(() => app.cleanupFlamegraphs())
+
+  equal(calls.length, 4)
+  equal(calls[0].options.durationMillis, 1000)
+  equal(calls[0].options.eluThreshold, 0)
+  calls.length = 0
+
+  const applyUpdate = app.configUpdateHandlers.get('flamegraphs')
+  await applyUpdate({ intervalSec: 5, eluThreshold: 0.8 })
+
+  const stopCalls = calls.filter(c => c.command === 'stopProfiling')
+  const startCalls = calls.filter(c => c.command === 'startProfiling')
+  equal(stopCalls.length, 4, 'Should stop cpu and heap profiling on both workers')
+  equal(startCalls.length, 4, 'Should start cpu and heap profiling on both workers')
+
+  for (const call of startCalls) {
+    equal(call.options.durationMillis, 5000)
+    equal(call.options.eluThreshold, 0.8)
+  }
+
+  // A removed config falls back to the env options
+  calls.length = 0
+  await applyUpdate(undefined)
+  const restarted = calls.filter(c => c.command === 'startProfiling')
+  equal(restarted.length, 4)
+  equal(restarted[0].options.durationMillis, 1000)
+  equal(restarted[0].options.eluThreshold, 0)
+})
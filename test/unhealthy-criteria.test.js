@@ -0,0 +1,123 @@
+import { test } from 'node:test'
+import { deepEqual, equal } from 'node:assert'
+import {
+  getBreaches,
+  needsHealthDetails,
+  parseCriteriaSizes,
+  resolveUnhealthyCriteria,
+  SampleWindows
+} from '../lib/unhealthy-criteria.js'
+
+test('resolveUnhealthyCriteria uses the default criteria', async () => {
+  deepEqual(resolveUnhealthyCriteria([], 'service-1'), {
+    elu: 0.85,
+    heapUsed: 0.99,
+    samples: 1,
+    window: 1
+  })
+
+  const criteria = resolveUnhealthyCriteria([null], 'service-1', { maxHeapUsed: 0.9 })
+  equal(criteria.heapUsed, 0.9)
+})
+
+test('resolveUnhealthyCriteria merges the sources and the application criteria', async () => {
+  const envCriteria = parseCriteriaSizes({
+    elu: 0.9,
+    rss: '1GB',
+    samples: 3,
+    window: 5,
+    applications: {
+      'service-1': { elu: 0.95, activeHandles: 1000 }
+    }
+  })
+  const iccCriteria = {
+    samples: 2,
+    applications: {
+      'service-1': { eventLoopDelay: 100 },
+      'service-2': { heapTotal: 512 * 1024 * 1024 }
+    }
+  }
+
+  deepEqual(resolveUnhealthyCriteria([envCriteria, iccCriteria], 'service-1'), {
+    elu: 0.95,
+    heapUsed: 0.99,
+    rss: 1024 * 1024 * 1024,
+    activeHandles: 1000,
+    eventLoopDelay: 100,
+    samples: 2,
+    window: 5
+  })
+
+  const criteria = resolveUnhealthyCriteria([envCriteria, iccCriteria], 'service-2')
+  equal(criteria.elu, 0.9)
+  equal(criteria.heapTotal, 512 * 1024 * 1024)
+  equal(criteria.activeHandles, undefined)
+
+  // The window always contains the required samples
+  equal(resolveUnhealthyCriteria([{ samples: 4 }], 'service-1').window, 4)
+})
+
+test('parseCriteriaSizes converts the memory sizes to bytes', async () => {
+  deepEqual(parseCriteriaSizes({
+    elu: 0.9,
+    heapTotal: '512MB',
+    rss: 1000,
+    applications: {
+      'service-1': { rss: '1GB' },
+      'service-2': { elu: 0.95 }
+    }
+  }), {
+    elu: 0.9,
+    heapTotal: 512 * 1024 * 1024,
+    rss: 1000,
+    applications: {
+      'service-1': { rss: 1024 * 1024 * 1024 },
+      'service-2': { elu: 0.95 }
+    }
+  })
+})
+
+test('needsHealthDetails is true when a worker-reported criterion is set', async () => {
+  equal(needsHealthDetails(resolveUnhealthyCriteria([], 'service-1')), false)
+  equal(needsHealthDetails({ elu: 0.8, rss: 100 }), true)
+  equal(needsHealthDetails({ eventLoopDelay: 100 }), true)
+  equal(needsHealthDetails({ activeHandles: 100 }), true)
+})
+
+test('getBreaches returns the exceeded criteria', async () => {
+  const criteria = { elu: 0.8, heapUsed: 0.9, heapTotal: 1000, rss: 5000, activeHandles: 10 }
+
+  deepEqual(getBreaches({ elu: 0.5, heapUsed: 100, heapTotal: 200 }, criteria), [])
+
+  deepEqual(getBreaches({
+    elu: 0.9,
+    heapUsed: 1900,
+    heapTotal: 2000,
+    rss: 4000,
+    eventLoopDelay: 500,
+    activeHandles: 20
+  }, criteria), [
+    { criterion: 'elu', value: 0.9, threshold: 0.8 },
+    { criterion: 'heapUsed', value: 0.95, threshold: 0.9 },
+    { criterion: 'heapTotal', value: 2000, threshold: 1000 },
+    { criterion: 'activeHandles', value: 20, threshold: 10 }
+  ])
+})
+
+test('SampleWindows applies the N of M semantics per worker', async () => {
+  const windows = new SampleWindows()
+  const criteria = { samples: 2, window: 3 }
+
+  equal(windows.add('service-1:0', true, criteria), false)
+  equal(windows.add('service-1:1', true, criteria), false)
+  equal(windows.add('service-1:0', false, criteria), false)
+  equal(windows.add('service-1:0', true, criteria), true)
+  // The first unhealthy sample is out of the window
+  equal(windows.add('service-1:0', false, criteria), false)
+  equal(windows.add('service-1:0', true, criteria), true)
+
+  windows.clear()
+  equal(windows.add('service-1:1', true, criteria), false)
+
+  equal(windows.add('service-2:0', true, { samples: 1, window: 1 }), true)
+})
@@ -1,23 +1,27 @@
 import { test } from 'node:test'
-import { equal, deepEqual } from 'node:assert'
+import { equal, deepEqual, ok } from 'node:assert'
 import { WebSocketServer } from 'ws'
 import { setUpEnvironment } from './helper.js'
 import updatePlugin from '../plugins/update.js'
+import { CommandRegistry } from '../lib/commands.js'
 import { once, EventEmitter } from 'node:events'
 import { setTimeout as sleep } from 'node:timers/promises'
 
 function createMockApp (port, options = {}) {
   let runtimeId = null
+  const log = {
+    info: () => {},
+    error: () => {},
+    warn: () => {},
+    debug: () => {},
+  }
   return {
-    log: {
-      info: () => {},
-      error: () => {},
-      warn: () => {},
-      debug: () => {},
-    },
+    log,
+    commands: new CommandRegistry({ logger: log }),
     instanceConfig: {
       applicationId: 'test-application-id',
     },
+    fetchInstanceConfig: async () => ({ applicationId: 'test-application-id' }),
     getAuthorizationHeaders: async () => {
       return { Authorization: 'Bearer test-token' }
     },
@@ -564,3 +568,330 @@ test('should reconnect to updates if connection closes', async (t) => {
   deepEqual(processedMessages, [testMessage1, testMessage2])
   wss2.close()
 })
+
+test('update plugin reconnects on demand and exposes the connection state', async (t) => {
+  const wss = new WebSocketServer({ port })
+  t.after(async () => wss.close())
+
+  const connections = []
+  wss.on('connection', (ws) => {
+    connections.push(ws)
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString())
+      if (message.command === 'subscribe' && message.topic === '/config') {
+        ws.send(JSON.stringify({ command: 'ack' }))
+      }
+    })
+  })
+
+  const app = createMockApp(port)
+  t.after(() => app.closeUpdates())
+  await updatePlugin(app)
+
+  deepEqual(app.getUpdatesState(), {
+    connected: false,
+    reconnecting: false,
+    closing: false,
+    lastMessageAt: null,
+    lastPongAt: null
+  })
+
+  await app.connectToUpdates()
+  const { lastMessageAt, ...state } = app.getUpdatesState()
+  deepEqual(state, { connected: true, reconnecting: false, closing: false, lastPongAt: null })
+  ok(lastMessageAt <= Date.now(), 'Should record the subscription ack as last message')
+
+  await app.reconnectUpdates()
+  equal(app.getUpdatesState().connected, true)
+  equal(connections.length, 2, 'Should open a new connection')
+
+  // The dropped connection must not trigger a scheduled reconnection
+  await sleep(1200)
+  equal(connections.length, 2, 'Should not reconnect again')
+
+  await app.closeUpdates()
+  const { connected, reconnecting, closing } = app.getUpdatesState()
+  deepEqual({ connected, reconnecting, closing }, { connected: false, reconnecting: false, closing: true })
+})
+
+test('update plugin cancels the scheduled reconnection when reconnecting on demand', async (t) => {
+  const wss = new WebSocketServer({ port })
+  t.after(async () => wss.close())
+
+  const connections = []
+  wss.on('connection', (ws) => {
+    connections.push(ws)
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString())
+      if (message.command === 'subscribe' && message.topic === '/config') {
+        ws.send(JSON.stringify({ command: 'ack' }))
+      }
+    })
+  })
+
+  const app = createMockApp(port)
+  t.after(() => app.closeUpdates())
+  await updatePlugin(app)
+
+  await app.connectToUpdates()
+  equal(connections.length, 1)
+
+  // The closed connection schedules a reconnection
+  connections[0].terminate()
+  await sleep(100)
+  equal(app.getUpdatesState().reconnecting, true)
+
+  await app.reconnectUpdates()
+  equal(connections.length, 2, 'Should open a new connection')
+  deepEqual(
+    { connected: app.getUpdatesState().connected, reconnecting: app.getUpdatesState().reconnecting },
+    { connected: true, reconnecting: false }
+  )
+
+  // The backoff of the scheduled reconnection must not open another connection
+  await sleep(2500)
+  equal(connections.length, 2, 'Should not open a second connection')
+  equal(app.getUpdatesState().connected, true)
+})
+
+test('update plugin pings the updates websocket and records the pongs', async (t) => {
+  const wss = new WebSocketServer({ port })
+  t.after(async () => wss.close())
+
+  let pings = 0
+  wss.on('connection', (ws) => {
+    ws.on('ping', () => { pings++ })
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString())
+      if (message.command === 'subscribe' && message.topic === '/config') {
+        ws.send(JSON.stringify({ command: 'ack' }))
+      }
+    })
+  })
+
+  const app = createMockApp(port)
+  app.env.PLT_UPDATES_HEARTBEAT_INTERVAL_SEC = 0.1
+  app.env.PLT_UPDATES_HEARTBEAT_TIMEOUT_SEC = 0.5
+  t.after(() => app.closeUpdates())
+  await updatePlugin(app)
+
+  await app.connectToUpdates()
+  await sleep(500)
+
+  ok(pings >= 2, 'Should ping periodically')
+  const { connected, lastPongAt } = app.getUpdatesState()
+  equal(connected, true, 'Should keep the connection while pongs arrive')
+  ok(lastPongAt > 0, 'Should record the last pong')
+})
+
+test('update plugin reconnects when the updates websocket stops answering pings', async (t) => {
+  // autoPong disabled: simulates a half-open connection that never emits 'close'
+  const wss = new WebSocketServer({ port, autoPong: false })
+  t.after(async () => wss.close())
+
+  const ee = new EventEmitter()
+  let connections = 0
+  wss.on('connection', (ws) => {
+    connections++
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString())
+      if (message.command === 'subscribe' && message.topic === '/config') {
+        ws.send(JSON.stringify({ command: 'ack' }))
+        ee.emit('subscribed')
+      }
+    })
+  })
+
+  const app = createMockApp(port)
+  app.env.PLT_UPDATES_HEARTBEAT_INTERVAL_SEC = 0.1
+  app.env.PLT_UPDATES_HEARTBEAT_TIMEOUT_SEC = 0.2
+
+  const warnings = []
+  app.log.warn = (data, msg) => { warnings.push({ data, msg }) }
+
+  t.after(() => app.closeUpdates())
+  await updatePlugin(app)
+
+  await app.connectToUpdates()
+  equal(connections, 1)
+
+  // Heartbeat timeout, then the jittered reconnect delay (at most 1s)
+  await once(ee, 'subscribed')
+  equal(connections, 2, 'Should reconnect after the missing pong')
+
+  const warning = warnings.find(w => w.msg === 'No pong received from updates websocket, dropping the connection')
+  ok(warning, 'Should log the dead connection')
+  ok(warning.data.lastMessageAt > 0, 'Should log the last message time')
+  equal(warning.data.lastPongAt, null)
+})
+
+test('update plugin resyncs the config after reconnecting', async (t) => {
+  const wss = new WebSocketServer({ port })
+  t.after(async () => wss.close())
+
+  const ee = new EventEmitter()
+  const connections = []
+  wss.on('connection', (ws) => {
+    connections.push(ws)
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString())
+      if (message.command === 'subscribe' && message.topic === '/config') {
+        ws.send(JSON.stringify({ command: 'ack' }))
+        ee.emit('subscribed')
+      }
+    })
+  })
+
+  const app = createMockApp(port)
+  app.instanceConfig.config = { httpCacheConfig: { maxEntries: 100 } }
+
+  const latestConfig = { httpCacheConfig: { maxEntries: 500 } }
+  let fetches = 0
+  app.fetchInstanceConfig = async () => {
+    fetches++
+    return { applicationId: 'test-application-id', config: latestConfig }
+  }
+
+  const appliedConfigs = []
+  t.after(() => app.closeUpdates())
+  await updatePlugin(app)
+  app.updateConfig = async (message) => {
+    appliedConfigs.push(message)
+    app.instanceConfig.config = message.data
+    ee.emit('config-applied')
+  }
+
+  await app.connectToUpdates()
+  equal(fetches, 0, 'Should not resync on the first connection')
+
+  // The config changed while disconnected
+  const applied = once(ee, 'config-applied')
+  connections[0].terminate()
+  await applied
+
+  equal(fetches, 1)
+  deepEqual(appliedConfigs, [{ topic: '/config', type: 'config-updated', data: latestConfig }])
+
+  // Nothing changed during the second disconnection
+  const subscribed = once(ee, 'subscribed')
+  connections[1].terminate()
+  await subscribed
+  await sleep(100)
+
+  equal(fetches, 2)
+  equal(appliedConfigs.length, 1, 'Should not apply an unchanged config')
+})
+
+test('update plugin acknowledges and replies to the commands sent with a requestId', async (t) => {
+  const wss = new WebSocketServer({ port })
+  t.after(async () => wss.close())
+
+  const replies = []
+  const ee = new EventEmitter()
+  let serverSocket
+  wss.on('connection', (ws) => {
+    serverSocket = ws
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString())
+      if (message.command === 'subscribe' && message.topic === '/config') {
+        ws.send(JSON.stringify({ command: 'ack' }))
+        return
+      }
+      replies.push(message)
+      ee.emit('reply')
+    })
+  })
+
+  const app = createMockApp(port)
+  app.commands = new CommandRegistry({ logger: app.log })
+
+  let triggered = 0
+  app.commands.register('trigger-flamegraph', async () => { triggered++ })
+
+  t.after(() => app.closeUpdates())
+  await updatePlugin(app)
+  const listed = once(ee, 'reply')
+  await app.connectToUpdates()
+  await listed
+
+  // The supported commands are sent when the connection opens
+  deepEqual(replies.shift(), { command: 'supported-commands', commands: ['list-commands', 'trigger-flamegraph'] })
+
+  // No requestId, no reply
+  serverSocket.send(JSON.stringify({ command: 'trigger-flamegraph' }))
+
+  for (const [requestId, command, count] of [['req-1', 'list-commands', 2], ['req-2', 'unknown-command', 1]]) {
+    const replied = once(ee, 'reply')
+    serverSocket.send(JSON.stringify({ command, requestId }))
+    await replied
+    while (replies.length < count) {
+      await once(ee, 'reply')
+    }
+  }
+
+  equal(triggered, 1)
+  deepEqual(replies[0], { command: 'ack', requestId: 'req-1' })
+  deepEqual(replies[1], {
+    requestId: 'req-1',
+    success: true,
+    result: { commands: ['list-commands', 'trigger-flamegraph'] }
+  })
+  // Unsupported commands are not acknowledged
+  equal(replies[2].requestId, 'req-2')
+  equal(replies[2].success, false)
+  equal(replies[2].error.code, 'PLT_UNSUPPORTED_COMMAND_ERROR')
+  equal(replies.length, 3)
+})
+
+test('update plugin reports the config updates that cannot be applied', async (t) => {
+  const wss = new WebSocketServer({ port })
+  t.after(async () => wss.close())
+
+  const reports = []
+  const ee = new EventEmitter()
+  let serverSocket
+  wss.on('connection', (ws) => {
+    serverSocket = ws
+    ws.on('message', (data) => {
+      const message = JSON.parse(data.toString())
+      if (message.command === 'subscribe' && message.topic === '/config') {
+        ws.send(JSON.stringify({ command: 'ack' }))
+        return
+      }
+      if (message.command === 'supported-commands') return
+      reports.push(message)
+      ee.emit('report')
+    })
+  })
+
+  const app = createMockApp(port)
+  app.applyConfigUpdate = async () => {
+    const err = new Error('Failed to apply the ICC config update: kaboom')
+    err.code = 'PLT_ICC_CONFIG_UPDATE_ERROR'
+    throw err
+  }
+
+  t.after(() => app.closeUpdates())
+  await updatePlugin(app)
+  await app.connectToUpdates()
+
+  const reported = once(ee, 'report')
+  serverSocket.send(JSON.stringify({
+    topic: '/config',
+    type: 'config-updated',
+    requestId: 'req-1',
+    data: { enableTrafficInterceptor: true }
+  }))
+  await reported
+
+  deepEqual(reports, [{
+    command: 'config-update-failed',
+    topic: '/config',
+    requestId: 'req-1',
+    error: {
+      message: 'Failed to apply the ICC config update: kaboom',
+      name: 'Error',
+      code: 'PLT_ICC_CONFIG_UPDATE_ERROR'
+    }
+  }])
+})